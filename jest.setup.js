@@ -0,0 +1,3 @@
+// Tests run offline: model calls go to the stub provider and Hansard responses are not cached on disk
+process.env.LLM_PROVIDER = 'stub';
+process.env.HANSARD_CACHE = 'off';
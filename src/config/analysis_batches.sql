@@ -0,0 +1,45 @@
+-- Analysis batch jobs submitted with --batch, one row per job. A batch is open
+-- until collected_at is set, and later runs skip its debates until then.
+-- status is the provider's batch status: validating, in_progress, finalizing,
+-- completed, failed, expired or cancelled.
+CREATE TABLE IF NOT EXISTS public.analysis_batches (
+  batch_id text PRIMARY KEY,
+  provider text NOT NULL,
+  model text,
+  status text NOT NULL,
+  request_count integer NOT NULL DEFAULT 0,
+  analysed_count integer,
+  failed_count integer,
+  error text,
+  submitted_at timestamp with time zone DEFAULT now(),
+  checked_at timestamp with time zone,
+  collected_at timestamp with time zone
+);
+
+-- Most the batch can cost in USD, reserved against the daily model budget until it is collected
+ALTER TABLE public.analysis_batches ADD COLUMN IF NOT EXISTS estimated_cost numeric(12, 6);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_batches_open ON public.analysis_batches(provider, submitted_at)
+  WHERE collected_at IS NULL;
+
+-- The debates in each batch, with what is needed to validate and store their results
+CREATE TABLE IF NOT EXISTS public.analysis_batch_debates (
+  batch_id text NOT NULL REFERENCES public.analysis_batches(batch_id) ON DELETE CASCADE,
+  ext_id text NOT NULL,
+  -- The processed debate, with its prompt context for analysing it directly
+  debate jsonb NOT NULL,
+  speakers jsonb,
+  -- Kind, name and peerage of each fetched item, for linking speaker points
+  link_items jsonb,
+  -- { oldHash, newHash, oldFileId } when the debate is a revision of a stored one
+  revision jsonb,
+  PRIMARY KEY (batch_id, ext_id)
+);
+
+-- Set once the debate's analysis is stored or its failure recorded
+ALTER TABLE public.analysis_batch_debates ADD COLUMN IF NOT EXISTS collected_at timestamp with time zone;
+
+CREATE INDEX IF NOT EXISTS idx_analysis_batch_debates_ext_id ON public.analysis_batch_debates(ext_id);
+
+GRANT SELECT ON public.analysis_batches TO service_role;
+GRANT SELECT ON public.analysis_batch_debates TO service_role;
@@ -0,0 +1,24 @@
+-- Debates whose analysis could not be generated, one row per failed attempt run.
+-- kind is one of: invalid_input, too_short, provider_error, refusal, content_filter,
+-- empty_response, truncated, malformed_json, schema_invalid, unknown
+CREATE TABLE IF NOT EXISTS public.analysis_failures (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  ext_id text NOT NULL,
+  title text,
+  house text,
+  debate_type text,
+  debate_date date,
+  kind text NOT NULL,
+  message text,
+  attempts integer NOT NULL DEFAULT 1,
+  finish_reason text,
+  model text,
+  -- First 20,000 characters of the last response, where there was one
+  raw_response text,
+  failed_at timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_failures_ext_id ON public.analysis_failures(ext_id);
+CREATE INDEX IF NOT EXISTS idx_analysis_failures_kind ON public.analysis_failures(kind, failed_at DESC);
+
+GRANT SELECT ON public.analysis_failures TO service_role;
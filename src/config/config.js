@@ -1,17 +1,12 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import OpenAI from 'openai';
 
 // Load environment variables from .env file
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 dotenv.config({ path: join(__dirname, '../../.env') });
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 export const config = {
   // API Keys
   SUPABASE_URL: process.env.SUPABASE_URL,
@@ -25,11 +20,70 @@ export const config = {
   MAX_RETRIES: parseInt(process.env.MAX_RETRIES || '3'),
   RETRY_DELAY: parseInt(process.env.RETRY_DELAY || '1000'),
 
+  // Hansard request rate (shared by every caller in the process)
+  HANSARD_RATE_LIMIT: parseFloat(process.env.HANSARD_RATE_LIMIT || '5'),
+  HANSARD_MAX_CONCURRENCY: parseInt(process.env.HANSARD_MAX_CONCURRENCY || '5'),
+  HANSARD_MAX_RETRY_DELAY: parseInt(process.env.HANSARD_MAX_RETRY_DELAY || '30000'),
+
+  // Hansard fixtures ('record' or 'replay')
+  HANSARD_FIXTURES_MODE: process.env.HANSARD_FIXTURES_MODE || null,
+  HANSARD_FIXTURES_DIR: process.env.HANSARD_FIXTURES_DIR || join(__dirname, '../../fixtures/hansard'),
+
+  // Hansard response cache (set HANSARD_CACHE=off to disable)
+  HANSARD_CACHE_ENABLED: process.env.HANSARD_CACHE !== 'off',
+  HANSARD_CACHE_DIR: process.env.HANSARD_CACHE_DIR || join(__dirname, '../../.cache/hansard'),
+
+  // Written statements and answers from the questions-statements API (set WRITTEN_RECORDS=off to skip)
+  WRITTEN_RECORDS_ENABLED: process.env.WRITTEN_RECORDS !== 'off',
+
+  // Backfill progress, saved after every sitting day and section
+  BACKFILL_CHECKPOINT_PATH: process.env.BACKFILL_CHECKPOINT_PATH || join(__dirname, '../../.cache/backfill-checkpoint.json'),
+
+  // Diff report written by npm run sync-members
+  MEMBER_SYNC_REPORT_PATH: process.env.MEMBER_SYNC_REPORT_PATH || join(__dirname, '../../.cache/member-sync-report.json'),
+
+  // LLM provider: 'openai', 'http' (an OpenAI-compatible server at LLM_BASE_URL) or 'stub' (offline, deterministic)
+  LLM_PROVIDER: process.env.LLM_PROVIDER || 'openai',
+  LLM_BASE_URL: process.env.LLM_BASE_URL || null,
+  LLM_API_KEY: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+
+  // Model per task; null for the assistant tasks means the assistant's own model
+  LLM_MODELS: {
+    analysis: process.env.LLM_MODEL_ANALYSIS || 'gpt-4o',
+    questions: process.env.LLM_MODEL_QUESTIONS || 'gpt-4o',
+    summary: process.env.LLM_MODEL_SUMMARY || null,
+    search: process.env.LLM_MODEL_SEARCH || null,
+    embeddings: process.env.LLM_MODEL_EMBEDDINGS || 'text-embedding-3-small',
+    completion: process.env.LLM_MODEL_COMPLETION || 'gpt-4o'
+  },
+
+  // Run ID recorded with every model call in the usage ledger (defaults to a new UUID per process)
+  RUN_ID: process.env.RUN_ID || null,
+
+  // Spending caps in USD; the pipeline stops once either is reached (unset for no cap)
+  LLM_RUN_BUDGET: process.env.LLM_RUN_BUDGET ? parseFloat(process.env.LLM_RUN_BUDGET) : null,
+  LLM_DAILY_BUDGET: process.env.LLM_DAILY_BUDGET ? parseFloat(process.env.LLM_DAILY_BUDGET) : null,
+
+  // USD per million prompt (input) and completion (output) tokens, matched by longest model prefix;
+  // LLM_PRICES is JSON in the same shape, merged over these
+  LLM_PRICES: {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 },
+    ...JSON.parse(process.env.LLM_PRICES || '{}')
+  },
+
+  // Debates estimated above ANALYSIS_CONTEXT_TOKENS are analysed in windows of ANALYSIS_WINDOW_TOKENS
+  ANALYSIS_CONTEXT_TOKENS: parseInt(process.env.ANALYSIS_CONTEXT_TOKENS || '100000'),
+  ANALYSIS_WINDOW_TOKENS: parseInt(process.env.ANALYSIS_WINDOW_TOKENS || '12000'),
+
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'INFO',
 
   // Default assistant ID
   DEFAULT_ASSISTANT_ID: process.env.ALLTIME_OPENAI_ASSISTANT_ID,
-  WEEKLY_ASSISTANT_ID: process.env.WEEKLY_OPENAI_ASSISTANT_ID,
-  OPENAI: openai
+  WEEKLY_ASSISTANT_ID: process.env.WEEKLY_OPENAI_ASSISTANT_ID
 }; 
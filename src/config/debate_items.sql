@@ -0,0 +1,6 @@
+-- Per-item metadata: [{ item_id, ext_id, section_ext_id, member_id, timecode, hrs_tag, item_type, kind, url }]
+-- url deep-links the contribution on hansard.parliament.uk; timecode is the sitting clock time
+-- used to seek the parliamentlive.tv recording. kind is one of
+-- 'speech', 'procedural', 'division', 'timestamp', 'other'.
+ALTER TABLE public.debates_new
+  ADD COLUMN IF NOT EXISTS items jsonb;
@@ -0,0 +1,17 @@
+-- Content hash of the normalised transcript each analysis was generated from
+ALTER TABLE public.debates_new
+  ADD COLUMN IF NOT EXISTS content_hash text;
+
+-- Audit trail of debates Hansard revised after we first ingested them
+CREATE TABLE IF NOT EXISTS public.debate_revisions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  ext_id text NOT NULL REFERENCES public.debates_new(ext_id) ON DELETE CASCADE,
+  old_hash text,
+  new_hash text NOT NULL,
+  old_file_id text,
+  new_file_id text,
+  detected_at timestamp with time zone DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_debate_revisions_ext_id ON public.debate_revisions(ext_id);
+CREATE INDEX IF NOT EXISTS idx_debate_revisions_detected_at ON public.debate_revisions(detected_at DESC);
@@ -0,0 +1,3 @@
+-- Outline of each debate's sub-debates: { title, ext_id, item_count, sections: [...] }
+ALTER TABLE public.debates_new
+  ADD COLUMN IF NOT EXISTS sections jsonb;
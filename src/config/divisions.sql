@@ -0,0 +1,27 @@
+-- Division results for each debate: the question put, counts, tellers and how each member voted
+CREATE TABLE IF NOT EXISTS public.divisions (
+  ext_id text PRIMARY KEY,
+  debate_ext_id text NOT NULL REFERENCES public.debates_new(ext_id) ON DELETE CASCADE,
+  section_ext_id text,
+  house text,
+  number text,
+  division_time timestamp with time zone,
+  question text,
+  ayes_count integer NOT NULL DEFAULT 0,
+  noes_count integer NOT NULL DEFAULT 0,
+  -- Teller names, e.g. ["Mark Tami", "Chris Elmore"]
+  aye_tellers jsonb DEFAULT '[]'::jsonb,
+  noe_tellers jsonb DEFAULT '[]'::jsonb,
+  -- Voter lists: [{ member_id, name, party, proxy }]
+  ayes jsonb DEFAULT '[]'::jsonb,
+  noes jsonb DEFAULT '[]'::jsonb,
+  is_evel boolean DEFAULT false,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now()
+);
+
+-- 'aye' or 'noe' when the Speaker or Chair decided a tied division with a casting vote
+ALTER TABLE public.divisions ADD COLUMN IF NOT EXISTS casting_vote text;
+
+CREATE INDEX IF NOT EXISTS idx_divisions_debate_ext_id ON public.divisions(debate_ext_id);
+CREATE INDEX IF NOT EXISTS idx_divisions_division_time ON public.divisions(division_time DESC);
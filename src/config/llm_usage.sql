@@ -0,0 +1,45 @@
+-- One row per model call: completions, embeddings, assistant runs and batch results.
+-- cost is estimated from config.LLM_PRICES in USD and is null for models without a price.
+CREATE TABLE IF NOT EXISTS public.llm_usage (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  run_id text NOT NULL,
+  task text NOT NULL,
+  provider text,
+  model text,
+  debate_id text,
+  debate_type text,
+  prompt_tokens integer NOT NULL DEFAULT 0,
+  completion_tokens integer NOT NULL DEFAULT 0,
+  cost numeric(12, 6),
+  -- Batch API calls are billed at half price
+  batch boolean NOT NULL DEFAULT false,
+  created_at timestamp with time zone DEFAULT now()
+);
+
+-- The batch job and request a batch result row is for; null for direct calls
+ALTER TABLE public.llm_usage ADD COLUMN IF NOT EXISTS batch_id text;
+ALTER TABLE public.llm_usage ADD COLUMN IF NOT EXISTS custom_id text;
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON public.llm_usage(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_run_id ON public.llm_usage(run_id);
+-- One row per batch result, so a batch collected twice is recorded once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_llm_usage_batch_request ON public.llm_usage(batch_id, custom_id);
+
+-- Totals per UTC day, task, debate type and model, read by the daily budget and npm run usage-report
+CREATE OR REPLACE VIEW public.llm_usage_daily AS
+SELECT
+  (created_at AT TIME ZONE 'UTC')::date AS day,
+  task,
+  debate_type,
+  model,
+  count(*) AS calls,
+  count(DISTINCT run_id) AS runs,
+  sum(prompt_tokens) AS prompt_tokens,
+  sum(completion_tokens) AS completion_tokens,
+  sum(cost) AS cost,
+  count(*) FILTER (WHERE cost IS NULL) AS unpriced_calls
+FROM public.llm_usage
+GROUP BY 1, task, debate_type, model;
+
+GRANT SELECT ON public.llm_usage TO service_role;
+GRANT SELECT ON public.llm_usage_daily TO service_role;
@@ -0,0 +1,16 @@
+-- Dated spans of each member's names, party memberships and house memberships (constituency or peerage)
+CREATE TABLE IF NOT EXISTS public.member_history (
+  member_id integer NOT NULL,
+  kind text NOT NULL CHECK (kind IN ('name', 'party', 'house')),
+  -- Display name, party name, or constituency / peerage type
+  value text NOT NULL,
+  -- Full title for names, abbreviation for parties, end reason for house memberships
+  detail text,
+  house text,
+  start_date date NOT NULL,
+  end_date date,
+  updated_at timestamp with time zone DEFAULT now(),
+  PRIMARY KEY (member_id, kind, start_date, value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_history_member ON public.member_history(member_id, kind, start_date DESC);
@@ -0,0 +1,60 @@
+-- What each member said in each processed debate, recorded at ingestion
+CREATE TABLE IF NOT EXISTS public.member_debate_activity (
+  debate_ext_id text NOT NULL REFERENCES public.debates_new(ext_id) ON DELETE CASCADE,
+  member_id integer NOT NULL,
+  name text,
+  party text,
+  house text,
+  debate_date date NOT NULL,
+  debate_type text,
+  debate_title text,
+  contributions integer NOT NULL DEFAULT 0,
+  words integer NOT NULL DEFAULT 0,
+  questions_asked integer NOT NULL DEFAULT 0,
+  answers_given integer NOT NULL DEFAULT 0,
+  -- Opening of the member's longest contribution, and the Hansard item it came from
+  quote text,
+  quote_item_ext_id text,
+  created_at timestamp with time zone DEFAULT now(),
+  PRIMARY KEY (debate_ext_id, member_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_debate_activity_member ON public.member_debate_activity(member_id, debate_date DESC);
+
+-- Per-member statistics rebuilt from member_debate_activity after each ingestion run
+CREATE TABLE IF NOT EXISTS public.member_profiles (
+  member_id integer PRIMARY KEY,
+  name text,
+  party text,
+  house text,
+  debates integer NOT NULL DEFAULT 0,
+  contributions integer NOT NULL DEFAULT 0,
+  words integer NOT NULL DEFAULT 0,
+  questions_asked integer NOT NULL DEFAULT 0,
+  answers_given integer NOT NULL DEFAULT 0,
+  -- [{ week, contributions, words }] for the last 52 weeks, week being the Monday
+  weekly jsonb NOT NULL DEFAULT '[]'::jsonb,
+  -- [{ type, debates }]
+  debate_types jsonb NOT NULL DEFAULT '[]'::jsonb,
+  -- [{ title, debate_ext_id, date, words }], the debates the member spoke most in
+  top_debates jsonb NOT NULL DEFAULT '[]'::jsonb,
+  -- [{ quote, debate_ext_id, debate_title, date, item_ext_id }]
+  recent_quotes jsonb NOT NULL DEFAULT '[]'::jsonb,
+  first_seen date,
+  last_seen date,
+  updated_at timestamp with time zone DEFAULT now()
+);
+
+-- top_debates was first created as top_topics; rename it where that version was applied
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'member_profiles' AND column_name = 'top_topics'
+  ) THEN
+    ALTER TABLE public.member_profiles RENAME COLUMN top_topics TO top_debates;
+  END IF;
+END $$;
+
+GRANT SELECT ON public.member_debate_activity TO authenticated, anon, service_role;
+GRANT SELECT ON public.member_profiles TO authenticated, anon, service_role;
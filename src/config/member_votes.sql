@@ -0,0 +1,50 @@
+-- How each member voted in each division, with their party's majority position
+CREATE TABLE IF NOT EXISTS public.member_votes (
+  division_ext_id text NOT NULL REFERENCES public.divisions(ext_id) ON DELETE CASCADE,
+  debate_ext_id text NOT NULL REFERENCES public.debates_new(ext_id) ON DELETE CASCADE,
+  member_id integer NOT NULL,
+  name text,
+  party text,
+  house text,
+  division_time timestamp with time zone,
+  vote text NOT NULL CHECK (vote IN ('aye', 'no')),
+  -- Majority vote of the member's party; null for ties and members without a whip
+  party_position text CHECK (party_position IN ('aye', 'no')),
+  party_ayes integer NOT NULL DEFAULT 0,
+  party_noes integer NOT NULL DEFAULT 0,
+  is_rebellion boolean NOT NULL DEFAULT false,
+  created_at timestamp with time zone DEFAULT now(),
+  PRIMARY KEY (division_ext_id, member_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_votes_member_time ON public.member_votes(member_id, division_time DESC);
+CREATE INDEX IF NOT EXISTS idx_member_votes_rebellion ON public.member_votes(member_id) WHERE is_rebellion;
+
+-- Votes against the party majority, with the division and debate they happened in
+CREATE OR REPLACE VIEW public.rebellions AS
+SELECT
+  mv.member_id,
+  mv.name AS member_name,
+  mv.party AS member_party,
+  mv.house,
+  mv.vote,
+  mv.party_position,
+  mv.party_ayes,
+  mv.party_noes,
+  mv.division_time,
+  mv.division_ext_id,
+  d.number AS division_number,
+  d.question,
+  d.ayes_count,
+  d.noes_count,
+  mv.debate_ext_id,
+  dn.title AS debate_title,
+  dn.type AS debate_type,
+  dn.date AS debate_date
+FROM public.member_votes mv
+  JOIN public.divisions d ON d.ext_id = mv.division_ext_id
+  LEFT JOIN public.debates_new dn ON dn.ext_id = mv.debate_ext_id
+WHERE mv.is_rebellion;
+
+GRANT SELECT ON public.member_votes TO authenticated, anon, service_role;
+GRANT SELECT ON public.rebellions TO authenticated, anon, service_role;
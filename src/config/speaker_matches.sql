@@ -0,0 +1,29 @@
+-- Raw speaker attributions matched to members, with the decision on each match.
+-- 'auto' matches were confident enough to accept; 'pending' ones await review
+-- with `npm run review-speakers`, which marks them 'accepted' or 'rejected'.
+CREATE TABLE IF NOT EXISTS public.speaker_matches (
+  id bigint GENERATED ALWAYS AS IDENTITY UNIQUE,
+  -- Lower-cased attribution without punctuation, so differently punctuated copies share one decision
+  attribution_key text NOT NULL,
+  attribution text NOT NULL,
+  member_id integer NOT NULL,
+  member_name text,
+  confidence numeric(4, 3) NOT NULL,
+  reasons text[],
+  status text NOT NULL CHECK (status IN ('auto', 'pending', 'accepted', 'rejected')),
+  decided_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  PRIMARY KEY (attribution_key, member_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_speaker_matches_status ON public.speaker_matches(status, confidence DESC);
+
+-- Matches awaiting a decision
+CREATE OR REPLACE VIEW public.speaker_review_queue AS
+SELECT id, attribution, member_id, member_name, confidence, reasons, created_at
+FROM public.speaker_matches
+WHERE status = 'pending';
+
+GRANT SELECT ON public.speaker_matches TO authenticated, anon, service_role;
+GRANT SELECT ON public.speaker_review_queue TO authenticated, anon, service_role;
@@ -3,12 +3,19 @@ import logger from './utils/logger.js';
 import fs from 'fs';
 import { processScheduledSearches } from './scheduler/index.js';
 import { HansardService } from './services/hansard.js';
-import { SupabaseService } from './services/supabase.js';
+import { WrittenRecordsService } from './services/written-records.js';
+import { config } from './config/config.js';
+import { ingestDebates } from './processors/ingestDebates.js';
+import { collectAnalysisBatches } from './processors/batchGenerateAnalysis.js';
+import { backfillDateRange, printBackfillSummary } from './processors/backfill.js';
 import { getDebateType } from './utils/transforms.js';
+import { UsageLedger } from './services/usage-ledger.js';
 
 const DEFAULT_PROCESS = ['analysis'];
 
-async function processDateRange(startDate, endDate, specificDebateId = null) {
+async function processDateRange(startDate, endDate, specificDebateId = null, options = {}) {
+  const { revalidate = false, filters = {}, batch = false } = options;
+
   // If specific debate ID provided, fetch and process single debate
   if (specificDebateId) {
     logger.info(`Processing single debate: ${specificDebateId}`);
@@ -46,7 +53,7 @@ async function processDateRange(startDate, endDate, specificDebateId = null) {
       childDebatesCount: debate.ChildDebates?.length
     });
     
-    return processDebates(null, specificDebateId, DEFAULT_PROCESS, [debate]);
+    return processDebates(null, specificDebateId, DEFAULT_PROCESS, [debate], filters);
   }
 
   const start = new Date(startDate);
@@ -63,47 +70,21 @@ async function processDateRange(startDate, endDate, specificDebateId = null) {
     while (retryCount < MAX_RETRIES) {
       try {
         // Get all debates for this date
-        const options = { specificDate: formattedDate };
-        const allDebates = await HansardService.getLatestDebates(options);
+        const hansardDebates = await HansardService.getLatestDebates({
+          specificDate: formattedDate,
+          revalidate,
+          ...filters
+        });
+        const writtenRecords = config.WRITTEN_RECORDS_ENABLED
+          ? await WrittenRecordsService.getWrittenRecords(formattedDate, filters)
+          : [];
+        const allDebates = [...hansardDebates, ...writtenRecords];
         // Log total debates found
         logger.info(`Found ${allDebates.length} total debates for date: ${formattedDate}`);
-        
-        // Check which debates already exist in database
-        const existingDebatesResults = await Promise.all(
-          allDebates.map(async (debate) => {
-            try {
-              const result = await SupabaseService.getDebateByExtId(debate.ExternalId);
-              if (result.error) {
-                logger.warn(`Error checking debate existence: ${debate.ExternalId}`, {
-                  error: result.error
-                });
-              }
-              return { debate, exists: result?.data?.[0] != null };
-            } catch (error) {
-              logger.warn(`Failed to check debate existence: ${debate.ExternalId}`, {
-                error: error.message
-              });
-              return { debate, exists: false };
-            }
-          })
-        );
-        
-        // Log all skipped debates
-        existingDebatesResults
-          .filter(result => result.exists)
-          .forEach(result => {
-            logger.info(`Skipping existing debate: ${result.debate.ExternalId}`, {
-              title: result.debate.Overview?.Title
-            });
-          });
-        
-        // Filter out existing debates
-        const newDebates = existingDebatesResults
-          .filter(result => !result.exists)
-          .map(result => result.debate);
-
-        if (newDebates.length === 0) {
-          logger.info(`No new debates to process for date: ${formattedDate}`);
+
+        const summary = await ingestDebates(formattedDate, allDebates, filters, { batch });
+
+        if (summary.fetched === summary.skipped) {
           results.push({
             date: formattedDate,
             success: true,
@@ -114,24 +95,16 @@ async function processDateRange(startDate, endDate, specificDebateId = null) {
           break;
         }
 
-        logger.info(`Processing ${newDebates.length} new debates out of ${allDebates.length} total for date: ${formattedDate}`, {
-          newDebateIds: newDebates.map(d => d.ExternalId)
+        logger.info(`Successfully processed ${summary.analysed} new debates for date: ${formattedDate}`, {
+          submittedForBatch: summary.submitted
         });
-        
-        // Process the filtered debates
-        const dateResults = await processDebates(
-          formattedDate,
-          null,
-          DEFAULT_PROCESS,
-          newDebates
-        );
-        
-        logger.info(`Successfully processed ${dateResults.length} new debates for date: ${formattedDate}`);
         results.push({
           date: formattedDate,
           success: true,
-          newCount: dateResults.length,
-          skippedCount: allDebates.length - newDebates.length,
+          newCount: summary.analysed,
+          submittedCount: summary.submitted,
+          revisedCount: summary.revised,
+          skippedCount: summary.skipped,
           totalDebates: allDebates.length
         });
         break;
@@ -154,14 +127,32 @@ async function processDateRange(startDate, endDate, specificDebateId = null) {
       }
     }
 
-    // Add delay between dates to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    if (UsageLedger.exceeded) {
+      logger.warn(`Model budget reached, stopping after ${formattedDate}`);
+      break;
+    }
   }
 
+  logger.info('Hansard cache stats:', HansardService.getCacheStats() || { enabled: false });
+
   return results;
 }
 
-async function processNewDebates() {
+// Re-fetch recent debates past any cache and re-analyse those whose transcript changed
+async function revalidateRecentDebates(days = 7, filters = {}) {
+  const endDate = new Date(await HansardService.getLastSittingDate());
+  const startDate = new Date(endDate);
+  startDate.setDate(startDate.getDate() - days);
+
+  logger.info('Revalidating recent debates:', {
+    startDate: startDate.toISOString().split('T')[0],
+    endDate: endDate.toISOString().split('T')[0]
+  });
+
+  return processDateRange(startDate, endDate, null, { revalidate: true, filters });
+}
+
+async function processNewDebates(filters = {}, batch = false) {
   try {
     // Fetch the last sitting date
     const lastSittingDate = await HansardService.getLastSittingDate();
@@ -170,23 +161,29 @@ async function processNewDebates() {
       date: lastSittingDate
     });
 
-    const results = await processDateRange(lastSittingDate, lastSittingDate);
-    return results.some(r => r.success);
+    return await processDateRange(lastSittingDate, lastSittingDate, null, { filters, batch });
   } catch (error) {
     logger.error('Failed to process new debates:', {
       error: error.message,
       stack: error.stack
     });
-    return false;
+    return [];
   }
 }
 
-async function notifyScheduler() {
+// A run succeeds if any date processed; it found debates if any were analysed or submitted for batch
+function summariseDates(results) {
+  return {
+    succeeded: results.some(r => r.success),
+    found: results.some(r => r.newCount > 0 || r.submittedCount > 0)
+  };
+}
+
+// `searchType` limits the scheduler to one kind of saved search ('ai', 'hansard') or to 'frontpage' or 'calendar'
+async function notifyScheduler(searchType = null) {
   try {
-    logger.info('Starting scheduler processing');
+    logger.info('Starting scheduler processing', { searchType });
 
-    const searchType = process.argv[2] || null;
-    
     // Call scheduler processing directly instead of making API request
     const result = await processScheduledSearches(searchType);
     
@@ -205,21 +202,96 @@ async function notifyScheduler() {
   }
 }
 
+// Reads repeatable, comma-separated flags: --house Lords --type "Debated Bill,Statement"
+function getFlagValues(args, flag) {
+  const values = [];
+
+  args.forEach((arg, index) => {
+    if (arg === flag && args[index + 1]) {
+      values.push(args[index + 1]);
+    } else if (arg.startsWith(`${flag}=`)) {
+      values.push(arg.slice(flag.length + 1));
+    }
+  });
+
+  return values
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+function parseFilters(args) {
+  const houses = getFlagValues(args, '--house').map(house => {
+    const normalised = house.toLowerCase();
+    if (normalised !== 'commons' && normalised !== 'lords') {
+      throw new Error(`Invalid house: ${house}. Use Commons or Lords`);
+    }
+    return normalised === 'commons' ? 'Commons' : 'Lords';
+  });
+  const sections = getFlagValues(args, '--section');
+  const types = getFlagValues(args, '--type');
+
+  return {
+    ...(houses.length && { houses }),
+    ...(sections.length && { sections }),
+    ...(types.length && { types })
+  };
+}
+
 async function main() {
   try {
     const args = process.argv.slice(2);
+    const filters = parseFilters(args);
+    const batch = args.includes('--batch');
+    const collectOnly = args.includes('--collect');
+    const [searchType = null] = getFlagValues(args, '--search-type');
+
+    if (Object.keys(filters).length) {
+      logger.info('Applying debate filters:', filters);
+    }
 
     const debateIdArg = args.find(arg => arg.match(/^[0-9a-fA-F-]{36}$/));
+    const revalidateIndex = args.indexOf('--revalidate');
     const dateArgs = args.filter(arg => 
       !arg.match(/^[0-9a-fA-F-]{36}$/) && 
       /^\d{4}-\d{2}-\d{2}$/.test(arg)
     );
 
-    let results;
+    let outcome;
 
-    if (debateIdArg) {
+    if (collectOnly) {
+      const collected = await collectAnalysisBatches();
+      const found = collected.some(summary => summary.analysed > 0);
+      outcome = { succeeded: found, found };
+    }
+    else if (args.includes('--backfill')) {
+      if (!dateArgs[0]) {
+        throw new Error('Backfill needs a start date: --backfill YYYY-MM-DD [YYYY-MM-DD]');
+      }
+
+      const summary = await backfillDateRange(dateArgs[0], dateArgs[1], {
+        filters,
+        fresh: args.includes('--fresh'),
+        batch
+      });
+      printBackfillSummary(summary);
+      // A sitting day succeeded if none of its sections failed or it still analysed some debates
+      const sittingDays = summary.filter(day => day.sitting);
+      outcome = {
+        succeeded: !sittingDays.length || sittingDays.some(day => !day.failed || day.analysed > 0 || day.submitted > 0),
+        found: summary.some(day => day.analysed > 0 || day.submitted > 0)
+      };
+    }
+    else if (revalidateIndex !== -1) {
+      const daysArg = args[revalidateIndex + 1];
+      const days = /^\d+$/.test(daysArg || '') ? parseInt(daysArg) : 7;
+      outcome = summariseDates(await revalidateRecentDebates(days, filters));
+    }
+    else if (debateIdArg) {
       // Pass the debate ID through processDateRange instead
-      results = await processDateRange(null, null, debateIdArg);
+      const results = await processDateRange(null, null, debateIdArg, { filters });
+      const found = results.some(r => r.status !== 'error_stored');
+      outcome = { succeeded: found, found };
     }
     else if (dateArgs.length > 0) {
       const startDate = new Date(dateArgs[0]);
@@ -238,24 +310,33 @@ async function main() {
         endDate: endDate.toISOString().split('T')[0]
       });
 
-      results = await processDateRange(startDate, endDate);
+      outcome = summariseDates(await processDateRange(startDate, endDate, null, { filters, batch }));
     }
     else {
       logger.info('Processing new debates');
-      results = await processNewDebates();
+      outcome = summariseDates(await processNewDebates(filters, batch));
+    }
+
+    // Store the results of batches submitted by this or earlier runs that have finished
+    if (!debateIdArg && !collectOnly) {
+      await collectAnalysisBatches();
     }
 
     if (process.env.GITHUB_OUTPUT) {
       fs.appendFileSync(
         process.env.GITHUB_OUTPUT, 
-        `found_debates=${Boolean(results)}\n`
+        `found_debates=${Boolean(outcome.found)}\n`
       );
     }
 
-    // Add scheduler notification before exit
-    await notifyScheduler();
+    // Add scheduler notification before exit; its searches and summaries need model calls too
+    if (!UsageLedger.exceeded) {
+      await notifyScheduler(searchType);
+    }
+
+    logger.info('Model usage for this run:', UsageLedger.getRunTotals());
 
-    process.exit(results ? 0 : 1);
+    process.exit(outcome.succeeded ? 0 : 1);
 
   } catch (error) {
     logger.error('Failed to process debates:', {
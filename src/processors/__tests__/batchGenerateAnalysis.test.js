@@ -0,0 +1,144 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+
+// Storing results uploads vector store files; record what would be stored instead
+const stored = [];
+jest.unstable_mockModule('../upsertResultstoVectorStore.js', () => ({
+  upsertResultsToVectorStore: jest.fn(async (debates) => {
+    stored.push(...debates.map(debate => debate.ext_id));
+    return debates.map(debate => ({ ext_id: debate.ext_id }));
+  }),
+  recordRevisions: jest.fn(async () => {})
+}));
+
+const { config } = await import('../../config/config.js');
+const { LLMService } = await import('../../services/llm.js');
+const { createStubProvider } = await import('../../services/llm-providers.js');
+const { SupabaseService } = await import('../../services/supabase.js');
+const { UsageLedger } = await import('../../services/usage-ledger.js');
+const { analysisTokenBudget } = await import('../generateAnalysis.js');
+const { submitAnalysisBatch, collectAnalysisBatches } = await import('../batchGenerateAnalysis.js');
+
+const speech = (name, text) => `**Name: ${name}**\n${text}\n\n`;
+
+function debateFixture(extId) {
+  return {
+    ext_id: extId,
+    id: extId,
+    type: 'Question',
+    context: `Title: Hyde Park Estate\n\nType: Question\n\nHouse: House of Commons\n\n\nDebate Transcript:\n\n${
+      speech('Rachel Blake (Cities of London and Westminster) (Lab/Co-op)',
+        'What steps the Church is taking to improve the maintenance of the Hyde Park Estate, and whether the commissioners will meet residents about the scale of their service charges this year.') +
+      speech('The Second Church Estates Commissioner (Marsha De Cordova)',
+        'The Hyde Park estate has been managed by the Church Commissioners for over 150 years, and they are committed to its long-term stewardship and continuous investment in its buildings.')
+    }`,
+    typePrompt: '',
+    overview: { ExtId: extId, Title: 'Hyde Park Estate', House: 'Commons', Type: 'Question' }
+  };
+}
+
+describe('batch analysis', () => {
+  const runBudget = config.LLM_RUN_BUDGET;
+  let provider;
+  let batchDebates;
+  let batchUpdates;
+  let collectedDebates;
+  let failures;
+
+  beforeEach(() => {
+    stored.length = 0;
+    provider = createStubProvider();
+    LLMService.setProvider(provider);
+    UsageLedger.startRun('test-run');
+
+    batchDebates = [];
+    batchUpdates = [];
+    collectedDebates = [];
+    failures = [];
+    jest.spyOn(SupabaseService, 'recordModelUsage').mockImplementation(async (rows) => ({ data: rows, error: null }));
+    jest.spyOn(SupabaseService, 'saveAnalysisBatch').mockImplementation(async (batch, debates) => {
+      batchDebates = debates;
+      return { data: batch, error: null };
+    });
+    jest.spyOn(SupabaseService, 'getOpenAnalysisBatches').mockImplementation(async () => ({
+      data: [{ batch_id: batchDebates[0].batch_id, provider: 'stub', request_count: batchDebates.length }],
+      error: null
+    }));
+    jest.spyOn(SupabaseService, 'getAnalysisBatchDebates').mockImplementation(async () => ({
+      data: batchDebates
+        .filter(row => !collectedDebates.includes(row.ext_id))
+        .map(row => ({ ...row, link_items: [] })),
+      error: null
+    }));
+    jest.spyOn(SupabaseService, 'markBatchDebatesCollected').mockImplementation(async (batchId, extIds) => {
+      collectedDebates.push(...extIds);
+      return { data: extIds, error: null };
+    });
+    jest.spyOn(SupabaseService, 'updateAnalysisBatch').mockImplementation(async (batchId, fields) => {
+      batchUpdates.push(fields);
+      return { data: fields, error: null };
+    });
+    jest.spyOn(SupabaseService, 'recordAnalysisFailure').mockImplementation(async (failure) => {
+      failures.push(failure);
+      return { data: failure, error: null };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.LLM_RUN_BUDGET = runBudget;
+  });
+
+  const submit = (...extIds) => submitAnalysisBatch(extIds.map(extId => ({ debate: debateFixture(extId), speakers: [{ name: 'Rachel Blake' }] })));
+
+  // Rewrites the finished batch's result lines with `edit` before they are collected
+  function editResults(edit) {
+    const batchResults = provider.batchResults;
+    provider.batchResults = async (batch) => edit(await batchResults(batch));
+  }
+
+  test('requests the same response budget as a direct analysis and saves the prompt context', async () => {
+    const calls = [];
+    const createBatch = provider.createBatch;
+    provider.createBatch = async (requests, options) => {
+      calls.push(...requests);
+      return createBatch(requests, options);
+    };
+
+    const batch = await submit('debate-1');
+
+    expect(calls[0].body.max_tokens).toBe(analysisTokenBudget(debateFixture('debate-1'), 1));
+    expect(calls[0].body.max_tokens).toBeGreaterThan(4096);
+    expect(batchDebates[0].debate.context).toContain('Hyde Park Estate');
+    // The stub runs batches inline, recording each call as it is made, so nothing is reserved
+    expect(batch.estimatedCost).toBe(0);
+  });
+
+  test('analyses cut-off and missing results directly, then marks the batch collected', async () => {
+    await submit('debate-1', 'debate-2', 'debate-3');
+    editResults(results => results
+      .filter(result => result.custom_id !== 'debate-3')
+      .map(result => result.custom_id === 'debate-2'
+        ? { ...result, response: { ...result.response, body: { ...result.response.body, choices: [{ ...result.response.body.choices[0], finish_reason: 'length' }] } } }
+        : result));
+
+    const [summary] = await collectAnalysisBatches();
+
+    expect(summary).toMatchObject({ analysed: 3, failed: 0, missing: 1, direct: 2, pending: 0 });
+    expect(stored.sort()).toEqual(['debate-1', 'debate-2', 'debate-3']);
+    expect(collectedDebates.sort()).toEqual(['debate-1', 'debate-2', 'debate-3']);
+    expect(batchUpdates[0]).toHaveProperty('collected_at');
+  });
+
+  test('leaves debates pending when the budget runs out during direct analysis', async () => {
+    await submit('debate-1', 'debate-2');
+    editResults(results => results.filter(result => result.custom_id === 'debate-1'));
+    config.LLM_RUN_BUDGET = 0;
+
+    const [summary] = await collectAnalysisBatches();
+
+    expect(summary).toMatchObject({ analysed: 1, missing: 1, pending: 1 });
+    expect(collectedDebates).toEqual(['debate-1']);
+    expect(batchUpdates[0]).not.toHaveProperty('collected_at');
+    expect(failures).toHaveLength(0);
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { config } from '../../config/config.js';
+import { LLMService } from '../../services/llm.js';
+import { createStubProvider } from '../../services/llm-providers.js';
+import { SupabaseService } from '../../services/supabase.js';
+import { UsageLedger } from '../../services/usage-ledger.js';
+import { DebateAnalysisSchema } from '../../prompts/debatePrompts.js';
+import { generateAnalysis, parseAnalysisResponse } from '../generateAnalysis.js';
+
+const speech = (name, text) => `**Name: ${name}**\n${text}\n\n`;
+
+// Replaces the provider's first completions with `replies`, each a function of the stub's own completion
+function scriptReplies(provider, replies) {
+  const complete = provider.complete;
+  const queue = [...replies];
+
+  provider.complete = async (request) => {
+    const completion = await complete(request);
+    const reply = queue.shift();
+    return reply ? { ...completion, ...reply(completion, request) } : completion;
+  };
+}
+
+// The first `length` characters of a completion, as if the model stopped at its token limit
+const cutOff = (length) => completion => ({ content: completion.content.slice(0, length), finishReason: 'length' });
+
+function debateFixture(repeat = 1) {
+  const transcript = Array.from({ length: repeat }, (_, index) =>
+    speech('Rachel Blake (Cities of London and Westminster) (Lab/Co-op)',
+      `Question ${index + 1}. What steps the Church is taking to improve the maintenance of the Hyde Park Estate, and whether the commissioners will meet residents about the scale of their service charges this year.`) +
+    speech('The Second Church Estates Commissioner (Marsha De Cordova)',
+      'The Hyde Park estate has been managed by the Church Commissioners for over 150 years, and they are committed to its long-term stewardship and continuous investment in its buildings.')
+  ).join('');
+
+  return {
+    ext_id: '7E6627DB-755E-42EA-A3E1-D448FA44DA23',
+    id: '7E6627DB-755E-42EA-A3E1-D448FA44DA23',
+    type: 'Question',
+    context: `Title: Hyde Park Estate\n\nType: Question\n\nHouse: House of Commons\n\n\nDebate Transcript:\n\n${transcript}`,
+    typePrompt: '',
+    overview: { ExtId: '7E6627DB-755E-42EA-A3E1-D448FA44DA23', Title: 'Hyde Park Estate', House: 'Commons', Type: 'Question' }
+  };
+}
+
+describe('generateAnalysis', () => {
+  const contextTokens = config.ANALYSIS_CONTEXT_TOKENS;
+  const windowTokens = config.ANALYSIS_WINDOW_TOKENS;
+  let provider;
+  let usageRows;
+
+  beforeEach(() => {
+    provider = createStubProvider();
+    LLMService.setProvider(provider);
+    UsageLedger.startRun('test-run');
+
+    usageRows = [];
+    jest.spyOn(SupabaseService, 'recordModelUsage').mockImplementation(async (rows) => {
+      usageRows.push(...rows);
+      return { data: rows, error: null };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.ANALYSIS_CONTEXT_TOKENS = contextTokens;
+    config.ANALYSIS_WINDOW_TOKENS = windowTokens;
+  });
+
+  test('returns a schema-valid analysis from the stub provider in one request', async () => {
+    const debate = debateFixture();
+
+    const result = await generateAnalysis(debate, []);
+
+    expect(result.custom_id).toBe(debate.ext_id);
+    expect(DebateAnalysisSchema.safeParse(result).success).toBe(true);
+    expect(provider.calls).toHaveLength(1);
+    expect(provider.calls[0].model).toBe(LLMService.modelFor('analysis'));
+    expect(provider.calls[0].messages[0].content).toContain('Hyde Park Estate');
+    expect(usageRows.map(row => [row.task, row.debate_id])).toEqual([['analysis', debate.ext_id]]);
+  });
+
+  test('gives the same analysis for the same debate', async () => {
+    const first = await generateAnalysis(debateFixture(), []);
+    const second = await generateAnalysis(debateFixture(), []);
+
+    expect(second).toEqual(first);
+  });
+
+  test('analyses a long debate in windows and combines them', async () => {
+    config.ANALYSIS_CONTEXT_TOKENS = 200;
+    config.ANALYSIS_WINDOW_TOKENS = 150;
+    const debate = debateFixture(6);
+
+    const result = await generateAnalysis(debate, []);
+
+    // One request per window, then one to combine them
+    expect(provider.calls.length).toBeGreaterThan(2);
+    expect(usageRows).toHaveLength(provider.calls.length);
+    expect(DebateAnalysisSchema.safeParse(result).success).toBe(true);
+  });
+
+  test('rejects a debate too short to analyse without calling the model', async () => {
+    const debate = { ...debateFixture(), context: 'Title: Prayers' };
+
+    await expect(generateAnalysis(debate, [])).rejects.toMatchObject({ name: 'AnalysisError', kind: 'too_short' });
+    expect(provider.calls).toHaveLength(0);
+  });
+
+  test('asks again with a larger budget when the response is cut off', async () => {
+    scriptReplies(provider, [cutOff(200)]);
+
+    const result = await generateAnalysis(debateFixture(), []);
+
+    expect(provider.calls).toHaveLength(2);
+    expect(result.analysis).not.toHaveProperty('repair');
+  });
+
+  test('flags an analysis repaired from a response cut off at the largest budget', async () => {
+    const maxTokens = [];
+    const complete = provider.complete;
+    provider.complete = async (request) => {
+      maxTokens.push(request.maxTokens);
+      return complete(request);
+    };
+    // Every attempt is cut off after the analysis, so only the repaired last one parses
+    scriptReplies(provider, [cutOff(200), cutOff(200), completion => ({
+      content: completion.content.replace(/\]\s*}\s*$/, ''),
+      finishReason: 'length'
+    })]);
+
+    const result = await generateAnalysis(debateFixture(), []);
+
+    expect(maxTokens[1]).toBeGreaterThan(maxTokens[0]);
+    expect(maxTokens[2]).toBeGreaterThan(maxTokens[1]);
+    expect(result.analysis.repair).toEqual({ repaired: true, truncated: true, responses: 1 });
+    expect(DebateAnalysisSchema.safeParse(result).success).toBe(true);
+  });
+
+  test('retries malformed JSON and gives up after three attempts', async () => {
+    scriptReplies(provider, Array(3).fill(() => ({ content: 'I cannot produce JSON for this debate.' })));
+
+    await expect(generateAnalysis(debateFixture(), [])).rejects.toMatchObject({
+      name: 'AnalysisError',
+      kind: 'malformed_json',
+      attempts: 3,
+      raw_response: 'I cannot produce JSON for this debate.'
+    });
+    expect(provider.calls).toHaveLength(3);
+  });
+
+  test('does not retry a refusal', async () => {
+    scriptReplies(provider, [() => ({ content: null, refusal: 'I can’t help with that.' })]);
+
+    await expect(generateAnalysis(debateFixture(), [])).rejects.toMatchObject({ kind: 'refusal', attempts: 1 });
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  test('wraps provider errors', async () => {
+    provider.complete = async () => { throw new Error('socket hang up'); };
+
+    await expect(generateAnalysis(debateFixture(), [])).rejects.toMatchObject({
+      kind: 'provider_error',
+      message: 'socket hang up',
+      retryable: false
+    });
+  });
+});
+
+describe('parseAnalysisResponse', () => {
+  const analysis = {
+    analysis: { main_content: 'The estate was discussed.', outcome: 'No vote.', statistics: [] },
+    speaker_points: []
+  };
+  const content = JSON.stringify(analysis);
+
+  test('parses a valid response', () => {
+    expect(parseAnalysisResponse({ content, finishReason: 'stop' })).toEqual({ analysis, repaired: false, truncated: false });
+  });
+
+  test('repairs JSON wrapped in prose or cut off', () => {
+    expect(parseAnalysisResponse({ content: `Here is the analysis:\n${content}` })).toMatchObject({ analysis, repaired: true });
+    expect(parseAnalysisResponse({ content: content.slice(0, -2), finishReason: 'length' }))
+      .toEqual({ analysis, repaired: true, truncated: true });
+  });
+
+  test.each([
+    ['refusal', { content: null, refusal: 'No.' }],
+    ['content_filter', { content: '', finishReason: 'content_filter' }],
+    ['empty_response', { content: '', finishReason: 'stop' }],
+    ['malformed_json', { content: 'not json', finishReason: 'stop' }],
+    ['truncated', { content: '{"analysis": {"main_content": "The est', finishReason: 'length' }],
+    ['schema_invalid', { content: JSON.stringify({ analysis: { main_content: 'Text' } }), finishReason: 'stop' }]
+  ])('classifies a response as %s', (kind, completion) => {
+    expect(() => parseAnalysisResponse(completion)).toThrow(expect.objectContaining({ name: 'AnalysisError', kind }));
+  });
+});
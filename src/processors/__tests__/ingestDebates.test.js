@@ -0,0 +1,130 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+
+// Storing results uploads vector store files; record what would be stored instead
+const stored = [];
+jest.unstable_mockModule('../upsertResultstoVectorStore.js', () => ({
+  upsertResultsToVectorStore: jest.fn(async (debates) => {
+    stored.push(...debates.map(debate => debate.ext_id));
+    return debates.map(debate => ({ ext_id: debate.ext_id }));
+  }),
+  recordRevisions: jest.fn(async () => {})
+}));
+
+const { LLMService } = await import('../../services/llm.js');
+const { createStubProvider } = await import('../../services/llm-providers.js');
+const { HansardService } = await import('../../services/hansard.js');
+const { SupabaseService } = await import('../../services/supabase.js');
+const { recordRevisions } = await import('../upsertResultstoVectorStore.js');
+const { UsageLedger } = await import('../../services/usage-ledger.js');
+const { ingestDebates } = await import('../ingestDebates.js');
+const { computeContentHash } = await import('../../utils/debateUtils.js');
+
+const QUESTION = 'What steps the Church is taking to improve the maintenance of the Hyde Park Estate, and whether the commissioners will meet residents about the scale of their service charges this year.';
+const ANSWER = 'The Hyde Park estate has been managed by the Church Commissioners for over 150 years, and they are committed to its long-term stewardship and continuous investment in its buildings.';
+
+// A debate as HansardService returns it, hashed the way it hashes fetched items
+function fetchedDebate(extId, values = [QUESTION, ANSWER]) {
+  const items = values.map((value, index) => ({
+    memberId: 5257 + index,
+    name: index % 2 ? 'Marsha De Cordova' : 'Rachel Blake',
+    party: 'Labour',
+    value,
+    kind: 'speech'
+  }));
+
+  return {
+    ExternalId: extId,
+    Title: 'Hyde Park Estate',
+    Overview: { ExtId: extId, Title: 'Hyde Park Estate', House: 'Commons', Type: 'Question', Date: '2025-01-16T00:00:00' },
+    Items: items,
+    contentHash: computeContentHash(items)
+  };
+}
+
+describe('ingestDebates', () => {
+  let storedDebates;
+  let failures;
+  let baselines;
+
+  beforeEach(() => {
+    stored.length = 0;
+    LLMService.setProvider(createStubProvider());
+    UsageLedger.startRun('test-run');
+
+    recordRevisions.mockClear();
+    storedDebates = {};
+    failures = [];
+    baselines = [];
+    jest.spyOn(SupabaseService, 'getDebateByExtId').mockImplementation(async (extId) => ({
+      data: storedDebates[extId] ? [storedDebates[extId]] : [],
+      error: null
+    }));
+    jest.spyOn(SupabaseService, 'getBatchedDebateIds').mockImplementation(async () => ({ data: [], error: null }));
+    jest.spyOn(SupabaseService, 'recordModelUsage').mockImplementation(async (rows) => ({ data: rows, error: null }));
+    jest.spyOn(SupabaseService, 'recordAnalysisFailure').mockImplementation(async (failure) => {
+      failures.push(failure);
+      return { data: failure, error: null };
+    });
+    jest.spyOn(SupabaseService, 'updateDebateContentHash').mockImplementation(async (extId, contentHash) => {
+      baselines.push({ extId, contentHash });
+      return { data: null, error: null };
+    });
+    jest.spyOn(HansardService, 'getDebateDivisions').mockImplementation(async () => []);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('skips debates too short to analyse without recording a failure', async () => {
+    const debates = [fetchedDebate('debate-1'), fetchedDebate('prayers', ['Prayers'])];
+
+    const summary = await ingestDebates('2025-01-16', debates);
+
+    expect(summary).toMatchObject({ fetched: 2, skipped: 1, analysed: 1, failed: 0 });
+    expect(stored).toEqual(['debate-1']);
+    expect(failures).toHaveLength(0);
+  });
+
+  test('skips stored debates whose transcript is unchanged', async () => {
+    const debate = fetchedDebate('debate-1');
+    storedDebates['debate-1'] = { ext_id: 'debate-1', content_hash: debate.contentHash, file_id: 'file-1' };
+
+    const summary = await ingestDebates('2025-01-16', [debate]);
+
+    expect(summary).toMatchObject({ fetched: 1, skipped: 1, revised: 0, analysed: 0 });
+    expect(stored).toEqual([]);
+    expect(baselines).toEqual([]);
+  });
+
+  test('reanalyses a stored debate whose transcript changed and records the revision', async () => {
+    const original = fetchedDebate('debate-1');
+    const corrected = fetchedDebate('debate-1', [QUESTION, `${ANSWER} I will write to her with the figures.`]);
+    storedDebates['debate-1'] = { ext_id: 'debate-1', content_hash: original.contentHash, file_id: 'file-1' };
+
+    const summary = await ingestDebates('2025-01-16', [corrected]);
+
+    expect(summary).toMatchObject({ fetched: 1, skipped: 0, revised: 1, analysed: 1 });
+    expect(stored).toEqual(['debate-1']);
+    const [revisions] = recordRevisions.mock.calls[0];
+    expect(revisions.get('debate-1')).toEqual({
+      oldHash: original.contentHash,
+      newHash: corrected.contentHash,
+      oldFileId: 'file-1'
+    });
+  });
+
+  test('saves the current hash as a baseline for debates stored under an earlier scheme', async () => {
+    const debate = fetchedDebate('debate-1', [QUESTION, `${ANSWER} I will write to her with the figures.`]);
+    storedDebates['debate-1'] = { ext_id: 'debate-1', content_hash: 'v1:0123abcd', file_id: 'file-1' };
+    storedDebates['debate-2'] = { ext_id: 'debate-2', content_hash: null, file_id: 'file-2' };
+
+    const summary = await ingestDebates('2025-01-16', [debate, fetchedDebate('debate-2')]);
+
+    expect(summary).toMatchObject({ fetched: 2, skipped: 2, revised: 0, analysed: 0 });
+    expect(baselines).toEqual([
+      { extId: 'debate-1', contentHash: debate.contentHash },
+      { extId: 'debate-2', contentHash: fetchedDebate('debate-2').contentHash }
+    ]);
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Resumable backfill over a long date range.
+ *
+ * Sitting days are read from the Hansard calendar, one request per house and
+ * month, and only those days are asked for their sections (a day with no
+ * sections in either house did not sit). If the calendar cannot be read, every
+ * day in the month is checked through its sections instead. The range is
+ * clamped to the last sitting date. Progress is saved to BACKFILL_CHECKPOINT_PATH after
+ * every day and section, so a rerun with the same range and filters picks up
+ * where the last one stopped and retries only the sections that failed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/config.js';
+import { HansardService } from '../services/hansard.js';
+import { WrittenRecordsService, WRITTEN_SECTIONS } from '../services/written-records.js';
+import { UsageLedger } from '../services/usage-ledger.js';
+import { ingestDebates } from './ingestDebates.js';
+import { matchesFilter } from '../utils/debateUtils.js';
+import logger from '../utils/logger.js';
+
+const CHECKPOINT_VERSION = 1;
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function* eachDay(startDate, endDate) {
+  const date = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+
+  while (date <= end) {
+    yield formatDate(date);
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+}
+
+function loadCheckpoint(checkpointPath, run) {
+  if (!fs.existsSync(checkpointPath)) return null;
+
+  try {
+    const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+    const sameRun = checkpoint.version === CHECKPOINT_VERSION &&
+      checkpoint.startDate === run.startDate &&
+      checkpoint.endDate === run.endDate &&
+      JSON.stringify(checkpoint.filters) === JSON.stringify(run.filters);
+
+    if (!sameRun) {
+      logger.warn('Ignoring backfill checkpoint from a different run:', {
+        checkpointPath,
+        checkpoint: { startDate: checkpoint.startDate, endDate: checkpoint.endDate, filters: checkpoint.filters }
+      });
+      return null;
+    }
+
+    return checkpoint;
+  } catch (error) {
+    logger.warn('Unreadable backfill checkpoint, starting again:', {
+      checkpointPath,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+// Write to a temporary file first so a crash mid-write never corrupts the checkpoint
+function saveCheckpoint(checkpointPath, checkpoint) {
+  checkpoint.updatedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(checkpointPath), { recursive: true });
+
+  const tempPath = `${checkpointPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(tempPath, checkpointPath);
+}
+
+// Sitting dates per house for the month of `date`, cached in `calendars` by month; null if the calendar is unavailable
+async function monthSittingDays(date, houses, calendars) {
+  const month = date.slice(0, 7);
+
+  if (!calendars.has(month)) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    try {
+      const sittingDays = await Promise.all(houses.map(house => HansardService.getSittingDays(year, monthNumber, house)));
+      calendars.set(month, sittingDays.includes(null)
+        ? null
+        : Object.fromEntries(houses.map((house, index) => [house, new Set(sittingDays[index])])));
+    } catch (error) {
+      logger.warn('Sitting calendar unavailable, checking each day for sections:', { month, error: error.message });
+      calendars.set(month, null);
+    }
+  }
+
+  return calendars.get(month);
+}
+
+// Returns the sections to backfill per house, or null if neither house sat
+async function findSittingSections(date, houses, sectionFilter, sittingDays = null) {
+  if (sittingDays && houses.every(house => !sittingDays[house].has(date))) {
+    return null;
+  }
+
+  const sittings = await Promise.all(houses.map(async (house) => {
+    if (sittingDays && !sittingDays[house].has(date)) return [house, []];
+
+    const sections = await HansardService.fetchSectionsForDay(date, house);
+    return [house, Array.isArray(sections) ? sections : []];
+  }));
+
+  if (sittings.every(([, sections]) => sections.length === 0)) {
+    return null;
+  }
+
+  // Written statements and answers are backfilled as extra sections of each sitting day
+  const writtenSections = config.WRITTEN_RECORDS_ENABLED ? Object.values(WRITTEN_SECTIONS) : [];
+
+  return Object.fromEntries(
+    sittings.map(([house, sections]) => [
+      house,
+      [...sections, ...writtenSections].filter(section => matchesFilter(section, sectionFilter))
+    ])
+  );
+}
+
+async function backfillSection(date, house, section, { filters, revalidate, batch }) {
+  try {
+    const isWritten = Object.values(WRITTEN_SECTIONS).includes(section);
+    const debates = isWritten
+      ? (await WrittenRecordsService.getSectionRecords(date, house, section))
+        .filter(record => matchesFilter(record.Overview.Type, filters.types))
+      : HansardService.prepareDebates(
+        await HansardService.getSectionDebates(date, house, section, { revalidate }),
+        { types: filters.types }
+      );
+    const { fetched, skipped, analysed, submitted, failed } = await ingestDebates(date, debates, filters, { batch });
+
+    return { status: failed ? 'failed' : 'done', fetched, skipped, analysed, submitted, failed };
+  } catch (error) {
+    logger.error('Backfill section failed:', {
+      date,
+      house,
+      section,
+      error: error.message
+    });
+    return { status: 'failed', fetched: 0, skipped: 0, analysed: 0, submitted: 0, failed: 1, error: error.message };
+  }
+}
+
+function summariseDay(date, day) {
+  const sections = Object.values(day.sections || {});
+
+  return {
+    date,
+    sitting: day.sitting,
+    sections: sections.length,
+    fetched: sections.reduce((sum, s) => sum + s.fetched, 0),
+    skipped: sections.reduce((sum, s) => sum + s.skipped, 0),
+    analysed: sections.reduce((sum, s) => sum + s.analysed, 0),
+    submitted: sections.reduce((sum, s) => sum + (s.submitted || 0), 0),
+    failed: sections.reduce((sum, s) => sum + s.failed, 0),
+    resumed: Boolean(day.resumed)
+  };
+}
+
+export function printBackfillSummary(summary) {
+  const sittingDays = summary.filter(day => day.sitting);
+
+  sittingDays.forEach(({ date, sections, fetched, skipped, analysed, submitted, failed, resumed }) => {
+    logger.info(`Backfill ${date}:`, { sections, fetched, skipped, analysed, submitted, failed, resumed });
+  });
+
+  logger.info('Backfill totals:', {
+    calendarDays: summary.length,
+    sittingDays: sittingDays.length,
+    fetched: sittingDays.reduce((sum, day) => sum + day.fetched, 0),
+    skipped: sittingDays.reduce((sum, day) => sum + day.skipped, 0),
+    analysed: sittingDays.reduce((sum, day) => sum + day.analysed, 0),
+    submitted: sittingDays.reduce((sum, day) => sum + day.submitted, 0),
+    failed: sittingDays.reduce((sum, day) => sum + day.failed, 0)
+  });
+}
+
+/**
+ * Backfills every sitting day from startDate to endDate (YYYY-MM-DD).
+ * Options: `filters` ({ houses, sections, types }), `revalidate`, `fresh` to
+ * discard any saved checkpoint, `checkpointPath`, and `batch` to submit
+ * debates for batch analysis (collected by a later run) instead of analysing
+ * them directly.
+ * Returns one summary row per calendar day.
+ */
+export async function backfillDateRange(startDate, endDate, options = {}) {
+  const {
+    filters = {},
+    revalidate = false,
+    fresh = false,
+    batch = false,
+    checkpointPath = config.BACKFILL_CHECKPOINT_PATH
+  } = options;
+  const houses = filters.houses || ['Commons', 'Lords'];
+
+  const lastSittingDate = formatDate(new Date(await HansardService.getLastSittingDate()));
+  const requestedEnd = endDate || lastSittingDate;
+  const clampedEnd = requestedEnd > lastSittingDate ? lastSittingDate : requestedEnd;
+
+  if (clampedEnd !== requestedEnd) {
+    logger.info('Clamping backfill to the last sitting date:', { requestedEnd, lastSittingDate });
+  }
+
+  const run = { startDate, endDate: clampedEnd, filters };
+  const checkpoint = (!fresh && loadCheckpoint(checkpointPath, run)) || {
+    version: CHECKPOINT_VERSION,
+    ...run,
+    startedAt: new Date().toISOString(),
+    days: {}
+  };
+
+  const completedDays = Object.values(checkpoint.days).filter(day => day.complete).length;
+  logger.info('Starting backfill:', {
+    ...run,
+    checkpointPath,
+    resumedDays: completedDays
+  });
+
+  const summary = [];
+  const calendars = new Map();
+
+  for (const date of eachDay(startDate, clampedEnd)) {
+    // Days left once the model budget is reached stay incomplete, so a rerun continues from them
+    if (UsageLedger.exceeded) {
+      logger.warn(`Model budget reached, stopping backfill before ${date}`);
+      break;
+    }
+
+    const saved = checkpoint.days[date];
+
+    if (saved?.complete) {
+      summary.push(summariseDay(date, { ...saved, resumed: true }));
+      continue;
+    }
+
+    try {
+      const sittingDays = await monthSittingDays(date, houses, calendars);
+      const sittingSections = await findSittingSections(date, houses, filters.sections, sittingDays);
+
+      if (!sittingSections) {
+        logger.debug(`No sitting on ${date}`);
+        checkpoint.days[date] = { sitting: false, complete: true, sections: {} };
+        saveCheckpoint(checkpointPath, checkpoint);
+        summary.push(summariseDay(date, checkpoint.days[date]));
+        continue;
+      }
+
+      const day = checkpoint.days[date] = {
+        sitting: true,
+        complete: false,
+        sections: saved?.sections || {}
+      };
+      const resumed = Object.values(day.sections).some(section => section.status === 'done');
+
+      logger.info(`Backfilling sitting day: ${date}`, {
+        sections: Object.fromEntries(
+          Object.entries(sittingSections).map(([house, sections]) => [house, sections.length])
+        )
+      });
+
+      for (const [house, sections] of Object.entries(sittingSections)) {
+        for (const section of sections) {
+          const key = `${house}/${section}`;
+          if (day.sections[key]?.status === 'done' || UsageLedger.exceeded) continue;
+
+          day.sections[key] = await backfillSection(date, house, section, { filters, revalidate, batch });
+          saveCheckpoint(checkpointPath, checkpoint);
+        }
+      }
+
+      day.complete = Object.values(day.sections).every(section => section.status === 'done');
+      saveCheckpoint(checkpointPath, checkpoint);
+
+      const daySummary = summariseDay(date, { ...day, resumed });
+      logger.info(`Backfilled ${date}:`, daySummary);
+      summary.push(daySummary);
+    } catch (error) {
+      // Sitting-day lookups failed; leave the day incomplete so a rerun retries it
+      logger.error(`Failed to backfill ${date}:`, {
+        error: error.message,
+        stack: error.stack
+      });
+      summary.push({ date, sitting: true, sections: 0, fetched: 0, skipped: 0, analysed: 0, submitted: 0, failed: 1, resumed: false });
+    }
+  }
+
+  logger.info('Hansard cache stats:', HansardService.getCacheStats() || { enabled: false });
+
+  return summary;
+}
@@ -1,268 +1,259 @@
-import { openai } from '../services/openai.js';
+import { LLMService } from '../services/llm.js';
 import { getPrompt, debateResponseFormat } from '../prompts/debatePrompts.js';
 import { SupabaseService } from '../services/supabase.js';
-import { upsertResultsToVectorStore } from './upsertResultstoVectorStore.js';
+import { upsertResultsToVectorStore, recordRevisions } from './upsertResultstoVectorStore.js';
+import { BudgetExceededError } from '../services/usage-ledger.js';
+import {
+  AnalysisError,
+  analysisTokenBudget,
+  flagRepairedAnalysis,
+  generateAnalysis,
+  parseAnalysisResponse,
+  recordAnalysisFailure
+} from './generateAnalysis.js';
 import logger from '../utils/logger.js';
-import fs from 'fs';
-import path from 'path';
-import os from 'os';
+import { finishAnalysis } from '../utils/debateUtils.js';
 
-function estimateTokens(text) {
-  return Math.ceil(text.split(/\s+/).length * 1.3 * 1.2);
-}
-
-function trimDebateContext(context, maxTokens = 120000) {
-  const estimatedTokens = estimateTokens(context);
-  
-  if (estimatedTokens <= maxTokens) {
-    return context;
-  }
-
-  logger.debug('Trimming debate context:', {
-    estimatedTokens,
-    maxTokens,
-    reductionNeeded: estimatedTokens - maxTokens
-  });
-
-  // Split into sections (usually divided by speaker)
-  const sections = context.split(/(?=\*\*[^*]+\*\*)/);
-  
-  // Keep introduction and important sections
-  const intro = sections[0];
-  sections.shift();
-
-  // Calculate estimated tokens for intro
-  const introTokens = estimateTokens(intro);
-  const remainingTokens = maxTokens - introTokens;
-  
-  // Prioritize sections with key indicators
-  const prioritizedSections = sections.map(section => {
-    const priority = calculateSectionPriority(section);
-    return { 
-      section, 
-      priority, 
-      tokens: estimateTokens(section)
-    };
-  }).sort((a, b) => b.priority - a.priority);
+/**
+ * Asynchronous analysis through the batch API, at half the price of direct
+ * requests. submitAnalysisBatch() sends one request per debate as a batch
+ * job, saves the job and its debates in analysis_batches and returns without
+ * waiting. collectAnalysisBatches(), run at the end of every run, checks the
+ * open jobs and stores the results of those that have finished. Debates whose
+ * result is missing or was cut off at the token limit are analysed directly.
+ */
 
-  // Build trimmed context
-  let trimmedContext = intro;
-  let currentTokens = introTokens;
+const TERMINAL_BATCH_STATUSES = ['completed', 'failed', 'expired', 'cancelled'];
 
-  for (const { section, tokens } of prioritizedSections) {
-    if (currentTokens + tokens <= maxTokens) {
-      trimmedContext += section;
-      currentTokens += tokens;
-    } else {
-      break;
-    }
+// Validated analysis from one batch result line, or a classified AnalysisError
+function parseBatchResult(debate, result) {
+  if (result.response?.status_code !== 200) {
+    throw new AnalysisError('provider_error', result.error?.message || `Request failed with status ${result.response?.status_code}`);
   }
 
-  logger.debug('Trimmed debate context:', {
-    estimatedFinalTokens: estimateTokens(trimmedContext),
-    sectionsKept: trimmedContext.split(/(?=\*\*[^*]+\*\*)/).length,
-    originalSections: sections.length
+  const choice = result.response.body.choices[0];
+  const { analysis, repaired, truncated } = parseAnalysisResponse({
+    content: choice?.message?.content,
+    refusal: choice?.message?.refusal,
+    finishReason: choice?.finish_reason
   });
 
-  return trimmedContext;
+  if (repaired || truncated) {
+    logger.warn('Stored analysis is from a repaired or cut-off response:', {
+      debateId: debate.ext_id,
+      finishReason: choice?.finish_reason,
+      repaired
+    });
+  }
+  return flagRepairedAnalysis(analysis, [{ repaired, truncated }]);
 }
 
-function calculateSectionPriority(section) {
-  let priority = 0;
-  
-  // Prioritize ministerial responses
-  if (/Minister|Secretary/.test(section)) priority += 5;
-  
-  // Prioritize sections with data
-  if (/[0-9]+%|£[0-9]+|billion|million/.test(section)) priority += 3;
-  
-  // Prioritize policy discussions
-  if (/policy|legislation|amendment|bill/i.test(section)) priority += 2;
-  
-  // Prioritize questions and responses
-  if (/\?/.test(section)) priority += 1;
-  
-  return priority;
-}
+/**
+ * Submits one analysis request per debate as a batch job and saves it with
+ * its debates. Each entry is { debate, speakers, linkItems, revision }: the
+ * processed debate, its speakers, what linkSpeakerPoints needs from its
+ * fetched items, and the revision it replaces, if any. Resolves to the batch.
+ */
+export async function submitAnalysisBatch(entries) {
+  const requests = entries.map(({ debate, speakers }) => {
+    const maxTokens = analysisTokenBudget(debate, speakers?.length || 0);
 
-export async function batchGenerateAnalysis(debates) {
-  let tempInputPath;
-  
-  try {
-    // Extract unique speakers from all debates
-    const uniqueSpeakers = new Set();
-    debates.forEach(debate => {
-      const speakers = debate.context.match(/\*\*([^*]+)\*\*/g) || [];
-      speakers.forEach(speaker => uniqueSpeakers.add(speaker.replace(/\*/g, '')));
+    return LLMService.batchRequest('analysis', debate.ext_id, {
+      messages: [{
+        role: 'user',
+        content: getPrompt(debate, maxTokens)
+      }],
+      maxTokens,
+      responseFormat: debateResponseFormat()
     });
+  });
 
-    // Create batch input file
-    tempInputPath = path.join(os.tmpdir(), `debate-batch-${Date.now()}.jsonl`);
-    const batchRequests = debates.map(debate => {
-      // Trim context if needed
-      const trimmedContext = trimDebateContext(debate.context);
-      const contextWords = trimmedContext.split(/\s+/).length;
-      const speakerCount = uniqueSpeakers.size;
-      
-      // Calculate max tokens needed
-      const maxTokens = Math.min(4096, Math.floor(
-        (contextWords * 1.5) + (speakerCount * 200)
-      ));
+  const batch = await LLMService.createBatch(requests, {
+    task: 'analysis',
+    debates: entries.map(({ debate }) => debate)
+  });
 
-      return {
-        custom_id: debate.ext_id,
-        method: 'POST',
-        url: '/v1/chat/completions',
-        body: {
-          model: 'gpt-4o',
-          messages: [{
-            role: 'user',
-            content: getPrompt({ ...debate, context: trimmedContext }, Array.from(uniqueSpeakers))
-          }],
-          max_tokens: maxTokens,
-          response_format: debateResponseFormat()
-        }
-      };
-    });
+  const { error } = await SupabaseService.saveAnalysisBatch(
+    {
+      batch_id: batch.id,
+      provider: LLMService.getProvider().name,
+      model: LLMService.modelFor('analysis'),
+      status: batch.status,
+      request_count: requests.length,
+      estimated_cost: batch.estimatedCost
+    },
+    entries.map(({ debate, speakers, linkItems, revision }) => ({
+      batch_id: batch.id,
+      ext_id: debate.ext_id,
+      // With its prompt context, so a debate whose result is missing or cut off can be analysed directly
+      debate,
+      speakers: speakers || [],
+      link_items: linkItems || [],
+      revision: revision || null
+    }))
+  );
 
-    // Write batch requests to temp file
-    fs.writeFileSync(
-      tempInputPath, 
-      batchRequests.map(req => JSON.stringify(req)).join('\n')
-    );
+  // The job is running but no later run can find it, so its debates would be submitted again
+  if (error) {
+    throw new Error(`Batch ${batch.id} was submitted but could not be saved: ${error.message}`);
+  }
 
-    logger.debug('Created batch file:', {
-      path: tempInputPath,
-      requestCount: batchRequests.length,
-      fileSize: fs.statSync(tempInputPath).size
-    });
+  logger.info('Submitted analysis batch:', {
+    batchId: batch.id,
+    status: batch.status,
+    requestCount: requests.length
+  });
 
-    // Submit batch
-    const batch = await openai.files.create({
-      file: fs.createReadStream(tempInputPath),
-      purpose: 'batch'
-    });
+  return batch;
+}
 
-    logger.debug('Submitted batch:', { 
-      id: batch.id,
-      status: batch.status,
-      created: new Date(batch.created_at * 1000).toISOString()
-    });
+/**
+ * Stores the results of one finished batch. Debates with no result, or a
+ * result cut off at the token limit, are analysed directly. Each debate is
+ * marked collected once its analysis is stored or its failure recorded; the
+ * batch is marked collected once all of them are, so debates left when the
+ * budget runs out are picked up by the next run.
+ */
+async function collectBatch(row, batch) {
+  const { data: entries, error } = await SupabaseService.getAnalysisBatchDebates(row.batch_id);
+  if (error) throw error;
 
-    // Poll for batch completion with logging
-    let completedBatch;
-    let pollCount = 0;
-    const startTime = Date.now();
-    const pollInterval = 30000; // 30 seconds
+  const results = await LLMService.batchResults(batch, {
+    task: 'analysis',
+    debates: entries.map(entry => entry.debate)
+  });
 
-    do {
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
-      completedBatch = await openai.files.retrieve(batch.id);
-      pollCount++;
+  const analysed = [];
+  const failed = [];
+  const direct = [];
+  let missing = 0;
 
-      const elapsedMinutes = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
-      
-      logger.debug('Batch status update:', {
-        batchId: batch.id,
-        status: completedBatch.status,
-        pollCount,
-        elapsedMinutes: `${elapsedMinutes}m`,
-        estimatedTimePerDebate: `${(elapsedMinutes / debates.length).toFixed(1)}m`,
-        debateCount: debates.length
-      });
+  for (const entry of entries) {
+    const result = results.find(r => r.custom_id === entry.ext_id);
+    if (!result) {
+      missing++;
+      direct.push(entry);
+      continue;
+    }
+    if (result.response?.body?.choices?.[0]?.finish_reason === 'length') {
+      logger.warn('Batch analysis hit the token limit, analysing directly:', { debateId: entry.ext_id });
+      direct.push(entry);
+      continue;
+    }
 
-      // Log warning if taking too long
-      if (pollCount % 12 === 0) { // Every minute
-        logger.warn('Batch processing time:', {
-          batchId: batch.id,
-          status: completedBatch.status,
-          elapsedMinutes: `${elapsedMinutes}m`,
-          debateCount: debates.length
-        });
-      }
+    try {
+      analysed.push({
+        entry,
+        analysis: finishAnalysis(parseBatchResult(entry.debate, result), entry.debate, entry.link_items)
+      });
+    } catch (error) {
+      failed.push(entry);
+      logger.error('Invalid batch analysis:', { debateId: entry.ext_id, kind: error.kind, error: error.message });
+      await recordAnalysisFailure(entry.debate, error);
+    }
+  }
 
-    } while (completedBatch.status !== 'completed' && completedBatch.status !== 'failed');
+  for (const entry of direct) {
+    try {
+      const result = await generateAnalysis(entry.debate, entry.speakers || []);
+      analysed.push({ entry, analysis: finishAnalysis(result, entry.debate, entry.link_items) });
+    } catch (error) {
+      // Left pending with the rest of the direct debates, for the next run
+      if (error instanceof BudgetExceededError) break;
 
-    // Handle failed batch
-    if (completedBatch.status === 'failed') {
-      logger.error('Batch processing failed:', {
-        batchId: batch.id,
-        elapsedTime: `${((Date.now() - startTime) / 1000 / 60).toFixed(1)}m`,
-        pollCount,
-        error: completedBatch.error || 'Unknown error'
-      });
-      throw new Error(`Batch processing failed: ${completedBatch.error || 'Unknown error'}`);
+      failed.push(entry);
+      await recordAnalysisFailure(entry.debate, error);
     }
+  }
 
-    // Get results
-    const fileResponse = await openai.files.content(completedBatch.output_file_id);
-    const resultContent = await fileResponse.text();
-    
-    logger.debug('Batch completed successfully:', {
-      batchId: batch.id,
-      outputFileId: completedBatch.output_file_id,
-      resultCount: resultContent.split('\n').filter(Boolean).length,
-      totalTime: `${((Date.now() - startTime) / 1000 / 60).toFixed(1)}m`,
-      averageTimePerDebate: `${((Date.now() - startTime) / 1000 / 60 / debates.length).toFixed(1)}m`
-    });
+  if (analysed.length) {
+    const stored = await upsertResultsToVectorStore(
+      analysed.map(({ entry }) => entry.debate),
+      analysed.map(({ analysis }) => analysis),
+      analysed.flatMap(({ entry }) => entry.speakers || [])
+    );
 
-    // Process results
-    const processedResults = resultContent
-      .split('\n')
-      .filter(line => line.trim())
-      .map(line => {
-        try {
-          return JSON.parse(line);
-        } catch (error) {
-          logger.error('Failed to parse result:', {
-            error: error.message,
-            line: line.slice(0, 100) + '...'
-          });
-          return null;
-        }
-      })
-      .filter(Boolean);
+    await recordRevisions(
+      new Map(analysed
+        .filter(({ entry }) => entry.revision)
+        .map(({ entry }) => [entry.ext_id, entry.revision])),
+      stored
+    );
+  }
 
-    // Update vector store and Supabase
-    const fileResults = await upsertResultsToVectorStore(debates, processedResults, Array.from(uniqueSpeakers));
-    
-    // Prepare Supabase updates
-    const debateUpdates = fileResults.map(({ ext_id, fileId }) => {
-      const debate = debates.find(d => d.ext_id === ext_id);
-      const result = processedResults.find(r => r.custom_id === ext_id);
-      
-      if (!debate || !result) return null;
+  const collected = [...analysed.map(({ entry }) => entry), ...failed].map(entry => entry.ext_id);
+  const { error: markError } = await SupabaseService.markBatchDebatesCollected(row.batch_id, collected);
+  if (markError) throw markError;
 
-      const parsedContent = JSON.parse(result.response.body.choices[0].message.content);
-      
-      return {
-        ext_id,
-        title: debate.overview.Title,
-        type: debate.overview.Type,
-        house: debate.overview.House,
-        date: debate.overview.Date.split('T')[0],
-        analysis: parsedContent.analysis,
-        speaker_points: parsedContent.speaker_points,
-        file_id: fileId,
-        updated_at: new Date().toISOString()
-      };
-    }).filter(Boolean);
+  const pending = entries.length - collected.length;
+  const { error: updateError } = await SupabaseService.updateAnalysisBatch(row.batch_id, {
+    status: batch.status,
+    error: batch.error || null,
+    analysed_count: (row.analysed_count || 0) + analysed.length,
+    failed_count: (row.failed_count || 0) + failed.length,
+    checked_at: new Date().toISOString(),
+    ...(pending ? {} : { collected_at: new Date().toISOString() })
+  });
+  if (updateError) throw updateError;
 
-    console.log('Debate updates:', debateUpdates.length);
+  const summary = {
+    batchId: row.batch_id,
+    status: batch.status,
+    analysed: analysed.length,
+    failed: failed.length,
+    missing,
+    direct: direct.length,
+    pending
+  };
+  logger.info('Collected analysis batch:', summary);
+  return summary;
+}
 
-    // Batch update Supabase
-    if (debateUpdates.length > 0) {
-      await SupabaseService.batchUpsertDebates(debateUpdates);
-    }
+/**
+ * Checks every open analysis batch and collects those that have finished.
+ * Each result is validated like a direct analysis; valid analyses are stored
+ * with their vector store files and failures are recorded. A batch is marked
+ * collected only once every debate in it is, so a collection that fails
+ * part-way is retried by the next run. Resolves to one summary per batch.
+ */
+export async function collectAnalysisBatches() {
+  // Only this provider's batches: another provider cannot look them up
+  const { data: rows, error } = await SupabaseService.getOpenAnalysisBatches(LLMService.getProvider().name);
+  if (error || !rows.length) return [];
+
+  logger.info('Checking open analysis batches:', { count: rows.length });
+
+  const summaries = [];
+  for (const row of rows) {
+    try {
+      const batch = await LLMService.retrieveBatch(row.batch_id);
+
+      if (!TERMINAL_BATCH_STATUSES.includes(batch.status)) {
+        await SupabaseService.updateAnalysisBatch(row.batch_id, {
+          status: batch.status,
+          checked_at: new Date().toISOString()
+        });
 
-    return processedResults;
+        logger.info('Analysis batch still running:', {
+          batchId: row.batch_id,
+          status: batch.status,
+          requestCounts: batch.requestCounts,
+          submittedAt: row.submitted_at
+        });
+        summaries.push({ batchId: row.batch_id, status: batch.status, analysed: 0, failed: 0, missing: 0, direct: 0, pending: row.request_count });
+        continue;
+      }
 
-  } catch (error) {
-    logger.error('Batch processing failed:', error);
-    throw error;
-  } finally {
-    if (tempInputPath && fs.existsSync(tempInputPath)) {
-      fs.unlinkSync(tempInputPath);
+      summaries.push(await collectBatch(row, batch));
+    } catch (error) {
+      logger.error('Failed to collect analysis batch:', {
+        batchId: row.batch_id,
+        error: error.message,
+        stack: error.stack
+      });
+      summaries.push({ batchId: row.batch_id, status: 'error', error: error.message });
     }
   }
-}
\ No newline at end of file
+
+  return summaries;
+}
@@ -1,22 +1,73 @@
 import { HansardService } from '../services/hansard.js';
+import { MemberProfileService } from '../services/member-profiles.js';
 import logger from '../utils/logger.js';
-import { getTypeSpecificPrompt, formatDebateContext } from '../utils/debateUtils.js';
-import { generateAnalysis } from './generateAnalysis.js';
+import {
+  getTypeSpecificPrompt,
+  formatDebateContext,
+  outlineSections,
+  toStoredItems,
+  matchesFilter,
+  finishAnalysis
+} from '../utils/debateUtils.js';
+import { generateAnalysis, isTooShortToAnalyse, needsWindowedAnalysis, recordAnalysisFailure } from './generateAnalysis.js';
+import { submitAnalysisBatch } from './batchGenerateAnalysis.js';
 import { upsertResultsToVectorStore } from './upsertResultstoVectorStore.js';
+import { BudgetExceededError } from '../services/usage-ledger.js';
 import fs from 'fs';
 import path from 'path';
 
+// Transcript text the analysis prompt is built from
+function debateContext(debate) {
+  return formatDebateContext(
+    debate.Overview,
+    debate.SectionTree?.items ?? debate.Items,
+    debate.SectionTree?.sections
+  );
+}
+
+// Whether a fetched debate has too little transcript to analyse, so it is skipped before analysis
+export function isTooShortDebate(debate) {
+  return isTooShortToAnalyse({ context: debateContext(debate) });
+}
+
+// Prompt context and the fields stored with the analysis for one fetched debate
+async function prepareDebate(debate) {
+  return {
+    ext_id: debate.ExternalId,
+    id: debate.ExternalId,
+    context: debateContext(debate),
+    typePrompt: getTypeSpecificPrompt(debate.Overview?.Type),
+    overview: debate.Overview,
+    content_hash: debate.contentHash || null,
+    sections: outlineSections(debate.SectionTree),
+    items: toStoredItems(debate.Items, debate.Overview),
+    divisions: await HansardService.getDebateDivisions(debate),
+    member_activity: MemberProfileService.buildDebateActivity(debate)
+  };
+}
+
+function filterDebates(debates, filters) {
+  return debates.filter(debate =>
+    matchesFilter(debate.Overview?.House || debate.house, filters.houses) &&
+    matchesFilter(debate.Overview?.Type, filters.types)
+  );
+}
+
 export async function processDebates(
   specificDate = null,
   specificDebateId = null,
   processTypes = ['analysis'],
-  debatesToProcess = []
+  debatesToProcess = [],
+  filters = {}
 ) {
   try {
+    debatesToProcess = filterDebates(debatesToProcess, filters);
+
     logger.info('Starting debate processing:', {
       specificDate,
       specificDebateId,
       processTypes,
+      filters,
       debateCount: debatesToProcess.length,
       timestamp: new Date().toISOString()
     });
@@ -31,6 +82,7 @@ export async function processDebates(
     const allSpeakers = new Set();
     let successCount = 0;
     let failureCount = 0;
+    const failuresByKind = {};
 
     for (let i = 0; i < debatesToProcess.length; i++) {
       const debate = debatesToProcess[i];
@@ -54,6 +106,7 @@ export async function processDebates(
         // Use the first processed item (should only be one for specific ID)
         if (processedItems?.[0]) {
           debate.Items = processedItems[0].Items;
+          debate.SectionTree = processedItems[0].SectionTree;
         }
       }
 
@@ -64,17 +117,12 @@ export async function processDebates(
         itemCount: debate.Items?.length
       });
 
-      const processedDebate = {
-        ext_id: debate.ExternalId,
-        id: debate.ExternalId,
-        context: formatDebateContext(debate.Overview, debate.Items),
-        typePrompt: getTypeSpecificPrompt(debate.Overview?.Type),
-        overview: debate.Overview
-      };
-
       const startTime = Date.now();
-      
+      let processedDebate = null;
+
       try {
+        processedDebate = await prepareDebate(debate);
+
         const debateSpeakers = extractUniqueSpeakers(debate);
         debateSpeakers.forEach(speaker => allSpeakers.add(speaker));
 
@@ -84,7 +132,11 @@ export async function processDebates(
           contextLength: processedDebate.context.length
         });
 
-        const analysis = await generateAnalysis(processedDebate, Array.from(debateSpeakers));
+        const analysis = finishAnalysis(
+          await generateAnalysis(processedDebate, Array.from(debateSpeakers)),
+          processedDebate,
+          debate.Items
+        );
 
         // If this is a specific debate ID, store the raw output
         if (specificDebateId) {
@@ -115,7 +167,7 @@ export async function processDebates(
         logger.info('Successfully processed debate:', {
           debateId: processedDebate.ext_id,
           processingTimeMs: processingTime,
-          analysisLength: analysis.analysis.length,
+          analysisLength: analysis.analysis.main_content.length,
           speakerPointsCount: analysis.speaker_points.length
         });
 
@@ -128,7 +180,25 @@ export async function processDebates(
         successCount++;
 
       } catch (error) {
+        // Stop at the budget; the remaining debates are not stored, so the next run picks them up
+        if (error instanceof BudgetExceededError) {
+          logger.warn('Stopping debate processing, model budget reached:', {
+            error: error.message,
+            remainingDebates: debatesToProcess.length - i
+          });
+          break;
+        }
+
+        // Too little transcript to analyse: a skip, not a failure to record or retry
+        if (error.kind === 'too_short') {
+          logger.warn(`Skipping debate too short to analyse: ${debate.ExternalId}`, { error: error.message });
+          continue;
+        }
+
         failureCount++;
+
+        // A debate too malformed to prepare is recorded with what its overview provides
+        const failedDebate = processedDebate || { ext_id: debate.ExternalId, overview: debate.Overview };
         
         // If this is a specific debate ID, store the error output
         if (specificDebateId) {
@@ -140,7 +210,7 @@ export async function processDebates(
           const outputPath = path.join(outputDir, `${specificDebateId}_error.json`);
           fs.writeFileSync(outputPath, JSON.stringify({
             timestamp: new Date().toISOString(),
-            debate: processedDebate,
+            debate: failedDebate,
             prompt: error.prompt,
             error: {
               message: error.message,
@@ -156,8 +226,13 @@ export async function processDebates(
           return [{ id: specificDebateId, status: 'error_stored' }];
         }
 
-        logger.error(`Failed to process debate ${processedDebate.ext_id}:`, {
+        const kind = error.kind || 'unknown';
+        failuresByKind[kind] = (failuresByKind[kind] || 0) + 1;
+        await recordAnalysisFailure(failedDebate, error);
+
+        logger.error(`Failed to process debate ${failedDebate.ext_id}:`, {
           error: error.message,
+          kind,
           stack: error.stack,
           processingTimeMs: Date.now() - startTime,
           progress: `${i + 1}/${debatesToProcess.length}`
@@ -172,6 +247,7 @@ export async function processDebates(
           total: debatesToProcess.length,
           successful: successCount,
           failed: failureCount,
+          failuresByKind,
           remainingDebates: debatesToProcess.length - (i + 1),
           totalSpeakers: allSpeakers.size
         });
@@ -183,7 +259,8 @@ export async function processDebates(
     if (processedResults.length === 0) {
       logger.warn('No debates were successfully processed:', {
         totalAttempted: debatesToProcess.length,
-        failures: failureCount
+        failures: failureCount,
+        failuresByKind
       });
       return [];
     }
@@ -209,6 +286,7 @@ export async function processDebates(
         totalProcessed: debatesToProcess.length,
         successful: successCount,
         failed: failureCount,
+        failuresByKind,
         vectorStoreUpdates: vectorStoreResults.length,
         endTime: new Date().toISOString()
       });
@@ -228,6 +306,53 @@ export async function processDebates(
   }
 }
 
+/**
+ * Batch counterpart of processDebates: prepares the debates and submits their
+ * analysis as one batch job, to be collected by a later run (see
+ * batchGenerateAnalysis.js). Debates too long for a single request are not
+ * submitted; they are returned as `direct` for processDebates to analyse.
+ */
+export async function submitDebates(specificDate, debatesToSubmit = [], filters = {}, { revisions = new Map() } = {}) {
+  const debates = filterDebates(debatesToSubmit, filters);
+  const submitted = [];
+  const direct = [];
+
+  for (const debate of debates) {
+    let processedDebate;
+    try {
+      processedDebate = await prepareDebate(debate);
+    } catch (error) {
+      logger.error(`Failed to prepare debate ${debate.ExternalId}:`, { error: error.message, stack: error.stack });
+      await recordAnalysisFailure({ ext_id: debate.ExternalId, overview: debate.Overview }, error);
+      continue;
+    }
+
+    if (needsWindowedAnalysis(processedDebate)) {
+      direct.push(debate);
+      continue;
+    }
+
+    submitted.push({
+      debate: processedDebate,
+      speakers: Array.from(extractUniqueSpeakers(debate)),
+      // What linkSpeakerPoints needs from the fetched items once the results are collected
+      linkItems: (debate.Items || []).map(({ kind, name, peerage }) => ({ kind, name, peerage })),
+      revision: revisions.get(debate.ExternalId) || null
+    });
+  }
+
+  const batch = submitted.length ? await submitAnalysisBatch(submitted) : null;
+
+  logger.info('Submitted debates for batch analysis:', {
+    specificDate,
+    batchId: batch?.id || null,
+    submitted: submitted.length,
+    direct: direct.length
+  });
+
+  return { batch, submitted: submitted.map(entry => entry.debate.ext_id), direct };
+}
+
 function extractUniqueSpeakers(debateData) {
   // Implement speaker extraction based on your data structure
   const speakers = new Set();
@@ -1,13 +1,133 @@
-import { openai } from '../services/openai.js';
-import { getPrompt } from '../prompts/debatePrompts.js';
-import { debateResponseFormat } from '../prompts/debatePrompts.js';
+import { LLMService } from '../services/llm.js';
+import { SupabaseService } from '../services/supabase.js';
+import { BudgetExceededError } from '../services/usage-ledger.js';
+import { config } from '../config/config.js';
+import {
+  getPrompt,
+  getWindowPrompt,
+  getMergePrompt,
+  debateResponseFormat,
+  DebateAnalysisSchema,
+  DebateSynthesisSchema
+} from '../prompts/debatePrompts.js';
+import { parseJsonWithRepair } from '../utils/jsonRepair.js';
+import { estimateTokens, buildWindows, mergeSpeakerPoints, mergeStatistics } from '../utils/debateChunks.js';
 import logger from '../utils/logger.js';
 
-function estimateTokens(text) {
-  // Rough estimate: average English word is ~1.3 tokens
-  // Add 10% buffer for special characters and formatting
-  const baseTokens = text.split(/\s+/).length * 1.3;
-  return Math.ceil(baseTokens * 1.1); // Reduce buffer to 10%
+// Attempts per debate, and how far the response budget may grow when output is cut off
+const MAX_ANALYSIS_ATTEMPTS = 3;
+const MAX_RESPONSE_TOKENS = 16384;
+const TOKEN_BUDGET_GROWTH = 1.5;
+
+// Response budgets for each window of a long debate, and for combining the windows
+const WINDOW_RESPONSE_TOKENS = 4096;
+const MERGE_RESPONSE_TOKENS = 8192;
+
+// Debates with fewer words than this, such as procedural one-liners, are not analysed
+const MIN_ANALYSIS_WORDS = 50;
+
+// Raw responses kept with a recorded failure are cut to this many characters
+const RAW_RESPONSE_LIMIT = 20000;
+
+// Failures worth another request; the rest would fail the same way again
+const RETRYABLE_FAILURES = ['empty_response', 'truncated', 'malformed_json', 'schema_invalid'];
+
+/**
+ * An analysis that could not be produced, classified by `kind`:
+ * invalid_input, too_short, provider_error, refusal, content_filter,
+ * empty_response, truncated, malformed_json or schema_invalid.
+ */
+export class AnalysisError extends Error {
+  constructor(kind, message, { finishReason = null, rawResponse = null, attempts = 1, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'AnalysisError';
+    this.kind = kind;
+    this.retryable = RETRYABLE_FAILURES.includes(kind);
+    this.finishReason = finishReason;
+    this.raw_response = rawResponse;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Parses a completion ({ content, finishReason, refusal }) into an analysis
+ * validated against `schema` (DebateAnalysisSchema by default), repairing
+ * malformed or cut-off JSON where possible. Returns { analysis, repaired,
+ * truncated } or throws AnalysisError.
+ */
+export function parseAnalysisResponse({ content, finishReason = null, refusal = null }, schema = DebateAnalysisSchema) {
+  const details = { finishReason, rawResponse: content ?? null };
+  const truncated = finishReason === 'length';
+
+  if (refusal) {
+    throw new AnalysisError('refusal', `Model refused: ${refusal}`, details);
+  }
+  if (finishReason === 'content_filter') {
+    throw new AnalysisError('content_filter', 'Response withheld by the content filter', details);
+  }
+  if (!content || typeof content !== 'string') {
+    throw new AnalysisError('empty_response', 'Model returned no content', details);
+  }
+
+  let parsed;
+  try {
+    parsed = parseJsonWithRepair(content);
+  } catch (error) {
+    throw new AnalysisError(truncated ? 'truncated' : 'malformed_json', `Response is not valid JSON: ${error.message}`, details);
+  }
+
+  const result = schema.safeParse(parsed.value);
+  if (!result.success) {
+    const issues = result.error.issues
+      .slice(0, 5)
+      .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+      .join('; ');
+    throw new AnalysisError(truncated ? 'truncated' : 'schema_invalid', `Response does not match the analysis schema: ${issues}`, details);
+  }
+
+  return { analysis: result.data, repaired: parsed.repaired, truncated };
+}
+
+/**
+ * Marks an analysis built from repaired or cut-off responses. `responses` are
+ * the { repaired, truncated } results of parseAnalysisResponse() it was made
+ * from; if any was repaired or truncated, `analysis.repair` records it so the
+ * stored analysis can be told apart from a clean one and re-run.
+ */
+export function flagRepairedAnalysis(result, responses) {
+  const flagged = responses.filter(response => response.repaired || response.truncated);
+  if (!flagged.length) return result;
+
+  return {
+    ...result,
+    analysis: {
+      ...result.analysis,
+      repair: {
+        repaired: flagged.some(response => response.repaired),
+        truncated: flagged.some(response => response.truncated),
+        responses: flagged.length
+      }
+    }
+  };
+}
+
+// Stores a failed analysis against its debate so it can be reviewed and retried
+export async function recordAnalysisFailure(debate, error) {
+  const overview = debate.overview || {};
+
+  return SupabaseService.recordAnalysisFailure({
+    ext_id: debate.ext_id,
+    title: overview.Title || null,
+    house: overview.House || null,
+    debate_type: overview.Type || null,
+    debate_date: overview.Date?.split('T')[0] || null,
+    kind: error.kind || 'unknown',
+    message: error.message,
+    attempts: error.attempts || 1,
+    finish_reason: error.finishReason || null,
+    model: LLMService.modelFor('analysis'),
+    raw_response: error.raw_response ? String(error.raw_response).slice(0, RAW_RESPONSE_LIMIT) : null
+  });
 }
 
 function calculateMaxResponseTokens(contextWords, debateType, speakerCount) {
@@ -22,89 +142,186 @@ function calculateMaxResponseTokens(contextWords, debateType, speakerCount) {
   return Math.max(850, Math.floor(contextWords * scaling));
 }
 
-function trimDebateContext(context, maxTokens = 120000) {
-  const estimatedTokens = estimateTokens(context);
-  
-  if (estimatedTokens <= maxTokens) {
-    return context;
+// Response token budget for a debate analysed in a single request, direct or batched
+export function analysisTokenBudget(debate, speakerCount = 0) {
+  const contextWords = debate.context.split(/\s+/).length;
+  return Math.min(MAX_RESPONSE_TOKENS, calculateMaxResponseTokens(contextWords, debate.type, speakerCount));
+}
+
+/**
+ * One validated response for `prompt`. Output cut off at the token limit is
+ * requested again with a larger budget; malformed or invalid responses are
+ * repaired or retried, up to MAX_ANALYSIS_ATTEMPTS requests in all.
+ * Resolves to { result, repaired, truncated }.
+ */
+async function requestAnalysis(debate, { prompt, maxTokens, schema = DebateAnalysisSchema }) {
+  for (let attempt = 1; attempt <= MAX_ANALYSIS_ATTEMPTS; attempt++) {
+    let completion;
+    try {
+      completion = await LLMService.complete('analysis', {
+        messages: [{
+          role: 'user',
+          content: prompt
+        }],
+        maxTokens,
+        responseFormat: debateResponseFormat(schema),
+        debate
+      });
+    } catch (error) {
+      if (error instanceof BudgetExceededError) throw error;
+      throw Object.assign(new AnalysisError('provider_error', error.message, { attempts: attempt, cause: error }), { prompt });
+    }
+
+    logger.debug('Raw API response:', completion.content);
+
+    const canGrow = attempt < MAX_ANALYSIS_ATTEMPTS && maxTokens < MAX_RESPONSE_TOKENS;
+
+    // Cut-off output is retried with more room first; the last attempt falls back to repairing it
+    if (completion.finishReason === 'length' && canGrow) {
+      const nextTokens = Math.min(MAX_RESPONSE_TOKENS, Math.ceil(maxTokens * TOKEN_BUDGET_GROWTH));
+      logger.warn('Analysis response hit the token limit, retrying with a larger budget:', {
+        debateId: debate.ext_id,
+        attempt,
+        maxTokens,
+        nextTokens
+      });
+      maxTokens = nextTokens;
+      continue;
+    }
+
+    try {
+      const { analysis, repaired, truncated } = parseAnalysisResponse(completion, schema);
+
+      if (repaired || truncated) {
+        logger.warn('Stored analysis is from a repaired or cut-off response:', {
+          debateId: debate.ext_id,
+          finishReason: completion.finishReason,
+          repaired,
+          attempt
+        });
+      }
+      return { result: analysis, repaired, truncated };
+    } catch (error) {
+      error.attempts = attempt;
+      error.prompt = prompt;
+      if (!error.retryable || attempt === MAX_ANALYSIS_ATTEMPTS) throw error;
+
+      logger.warn('Invalid analysis response, retrying:', {
+        debateId: debate.ext_id,
+        kind: error.kind,
+        error: error.message,
+        attempt
+      });
+    }
   }
+}
 
-  logger.debug('Trimming debate context:', {
-    estimatedTokens,
-    maxTokens,
-    reductionNeeded: estimatedTokens - maxTokens
-  });
+// Combines part analyses into one, first in groups if together they are still too long for a request.
+// Each response is added to `responses`.
+async function synthesise(debate, analyses, responses) {
+  let parts = analyses;
+  const request = async (partGroup) => {
+    const response = await requestAnalysis(debate, {
+      prompt: getMergePrompt(debate, partGroup, MERGE_RESPONSE_TOKENS),
+      maxTokens: MERGE_RESPONSE_TOKENS,
+      schema: DebateSynthesisSchema
+    });
+    responses.push(response);
+    return response.result;
+  };
 
-  // Split into sections (usually divided by speaker)
-  const sections = context.split(/(?=\*\*[^*]+\*\*)/);
-  
-  // Keep introduction and important sections
-  const intro = sections[0];
-  sections.shift();
-
-  // Calculate estimated tokens for intro
-  const introTokens = estimateTokens(intro);
-  
-  // Prioritize sections with key indicators
-  const prioritizedSections = sections.map(section => {
-    const priority = calculateSectionPriority(section);
-    return { 
-      section, 
-      priority, 
-      tokens: estimateTokens(section)
-    };
-  }).sort((a, b) => b.priority - a.priority);
+  while (parts.length > 1 && estimateTokens(getMergePrompt(debate, parts, MERGE_RESPONSE_TOKENS)) > config.ANALYSIS_CONTEXT_TOKENS) {
+    const groups = [];
+    let group = [];
+    parts.forEach(part => {
+      if (group.length > 1 && estimateTokens(getMergePrompt(debate, [...group, part], MERGE_RESPONSE_TOKENS)) > config.ANALYSIS_CONTEXT_TOKENS) {
+        groups.push(group);
+        group = [];
+      }
+      group.push(part);
+    });
+    groups.push(group);
 
-  // Build trimmed context
-  let trimmedContext = intro;
-  let currentTokens = introTokens;
+    logger.debug('Combining part analyses in groups:', { debateId: debate.ext_id, parts: parts.length, groups: groups.length });
 
-  for (const { section, tokens } of prioritizedSections) {
-    if (currentTokens + tokens <= maxTokens) {
-      trimmedContext += section;
-      currentTokens += tokens;
-    } else {
-      break;
+    const merged = [];
+    for (const partGroup of groups) {
+      merged.push(partGroup.length === 1 ? partGroup[0] : await request(partGroup));
     }
+    parts = merged;
   }
 
-  logger.debug('Trimmed debate context:', {
-    estimatedFinalTokens: estimateTokens(trimmedContext),
-    sectionsKept: trimmedContext.split(/(?=\*\*[^*]+\*\*)/).length,
-    originalSections: sections.length
+  return request(parts);
+}
+
+/**
+ * Map-reduce analysis for debates too long for one request: the transcript is
+ * split by contribution into windows of ANALYSIS_WINDOW_TOKENS, each window is
+ * analysed on its own, and the results are combined. The analysis text is
+ * written from the window analyses in order; speaker points and statistics
+ * are merged directly so no speaker is lost. Resolves to { result, responses }.
+ */
+async function analyseInWindows(debate) {
+  const windows = buildWindows(debate.context, config.ANALYSIS_WINDOW_TOKENS);
+
+  logger.info('Analysing long debate in windows:', {
+    debateId: debate.ext_id,
+    estimatedTokens: estimateTokens(debate.context),
+    windows: windows.length
   });
 
-  return trimmedContext;
+  const responses = [];
+  for (const window of windows) {
+    responses.push(await requestAnalysis(debate, {
+      prompt: getWindowPrompt(debate, window, {
+        part: window.index + 1,
+        total: windows.length,
+        maxTokens: WINDOW_RESPONSE_TOKENS
+      }),
+      maxTokens: WINDOW_RESPONSE_TOKENS
+    }));
+  }
+
+  const parts = responses.map(response => response.result);
+  const synthesis = await synthesise(debate, parts.map(part => part.analysis), responses);
+
+  return {
+    result: {
+      analysis: {
+        main_content: synthesis.main_content,
+        outcome: synthesis.outcome,
+        statistics: mergeStatistics(parts.map(part => part.analysis.statistics))
+      },
+      speaker_points: mergeSpeakerPoints(parts.map(part => part.speaker_points))
+    },
+    responses
+  };
+}
+
+// Whether a debate has too little transcript to analyse; such debates are skipped rather than failed
+export function isTooShortToAnalyse(debate) {
+  return (debate?.context || '').split(/\s+/).length < MIN_ANALYSIS_WORDS;
 }
 
-function calculateSectionPriority(section) {
-  let priority = 0;
-  
-  // Prioritize ministerial responses
-  if (/Minister|Secretary/.test(section)) priority += 5;
-  
-  // Prioritize sections with data
-  if (/[0-9]+%|£[0-9]+|billion|million/.test(section)) priority += 3;
-  
-  // Prioritize policy discussions
-  if (/policy|legislation|amendment|bill/i.test(section)) priority += 2;
-  
-  // Prioritize questions and responses
-  if (/\?/.test(section)) priority += 1;
-  
-  return priority;
+// Whether a debate is too long for a single analysis request
+export function needsWindowedAnalysis(debate) {
+  return estimateTokens(debate?.context) > config.ANALYSIS_CONTEXT_TOKENS;
 }
 
+/**
+ * Analysis and speaker points for one debate. Debates longer than
+ * ANALYSIS_CONTEXT_TOKENS are analysed window by window and combined.
+ * Responses are validated against DebateAnalysisSchema and repaired or
+ * retried; failures throw a classified AnalysisError. An analysis built from
+ * a repaired or cut-off response is flagged in `analysis.repair`.
+ */
 export async function generateAnalysis(debate, uniqueSpeakers = []) {
+  let prompt = null;
+
   try {
     // Validate inputs
     if (!debate || !debate.context) {
-      throw new Error('Invalid debate input');
-    }
-
-    // Add minimum content validation
-    if (debate.context.split(/\s+/).length < 50) {
-      logger.warn('Debate content too short for meaningful analysis');
+      throw new AnalysisError('invalid_input', 'Invalid debate input');
     }
 
     logger.debug('Generating analysis for debate:', {
@@ -113,78 +330,44 @@ export async function generateAnalysis(debate, uniqueSpeakers = []) {
       speakerCount: uniqueSpeakers.length
     });
 
-    // Trim context if needed
-    const trimmedContext = trimDebateContext(debate.context);
-    
-    // Update debate object with trimmed context
-    const processedDebate = {
-      ...debate,
-      context: trimmedContext
-    };
-
-    const contextWords = trimmedContext.split(/\s+/).length;
+    const contextWords = debate.context.split(/\s+/).length;
     const speakerCount = uniqueSpeakers?.length || 0;
     
-    // Estimate max tokens needed
-    const maxTokens = calculateMaxResponseTokens(contextWords, debate.type, speakerCount);
-    
-    if (contextWords < 50) {
-      logger.warn('Debate content too short for meaningful analysis');
-      return null;
+    if (isTooShortToAnalyse(debate)) {
+      throw new AnalysisError('too_short', `Debate content too short for meaningful analysis (${contextWords} words)`);
     }
 
-    console.log('maxTokens', maxTokens)
+    let result;
+    let responses;
+    if (needsWindowedAnalysis(debate)) {
+      ({ result, responses } = await analyseInWindows(debate));
+    } else {
+      const maxTokens = analysisTokenBudget(debate, speakerCount);
+      prompt = getPrompt(debate, maxTokens);
+      const response = await requestAnalysis(debate, { prompt, maxTokens });
+      result = response.result;
+      responses = [response];
+    }
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [{
-        role: 'user',
-        content: getPrompt(processedDebate, uniqueSpeakers, maxTokens)
-      }],
-      max_tokens: maxTokens,
-      response_format: debateResponseFormat()
-    });
+    result = flagRepairedAnalysis(result, responses);
 
-    // Add error handling and logging for JSON parsing
-    let analysisContent;
-    try {
-      const rawContent = completion.choices[0].message.content;
-      logger.debug('Raw API response:', rawContent);
-      
-      // Add validation check
-      if (!rawContent || typeof rawContent !== 'string') {
-        throw new Error('Invalid API response format');
-      }
-      
-      // Verify the response appears to be complete JSON
-      if (!rawContent.trim().endsWith('}')) {
-        throw new Error('Incomplete JSON response');
-      }
-      
-      analysisContent = JSON.parse(rawContent);
-    } catch (parseError) {
-      logger.error('JSON parsing failed:', {
-        error: parseError.message,
-        rawContent: completion.choices[0].message.content
-      });
-      throw new Error(`Failed to parse API response: ${parseError.message}`);
-    }
-    
     return {
-      analysis: analysisContent.analysis,
-      speaker_points: analysisContent.speaker_points,
+      analysis: result.analysis,
+      speaker_points: result.speaker_points,
       custom_id: debate.ext_id
     };
 
   } catch (error) {
-    error.prompt = getPrompt(debate, uniqueSpeakers);
+    error.prompt = error.prompt || prompt;
     error.raw_response = error.raw_response || null;
     
     logger.error('Failed to generate analysis:', {
       error: error.message,
-      debateId: debate.id,
+      kind: error.kind,
+      attempts: error.attempts,
+      debateId: debate?.id,
       speakerCount: uniqueSpeakers.length
     });
     throw error;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,139 @@
+import { isTooShortDebate, processDebates, submitDebates } from './debateProcessor.js';
+import { recordRevisions } from './upsertResultstoVectorStore.js';
+import { SupabaseService } from '../services/supabase.js';
+import { isCurrentContentHash } from '../utils/debateUtils.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_PROCESS = ['analysis'];
+
+// Compares fetched debates with stored ones: unknown debates are new, stored ones whose hash changed are revised
+async function checkExistingDebates(debates) {
+  return Promise.all(
+    debates.map(async (debate) => {
+      try {
+        const result = await SupabaseService.getDebateByExtId(debate.ExternalId);
+        if (result.error) {
+          logger.warn(`Error checking debate existence: ${debate.ExternalId}`, {
+            error: result.error
+          });
+        }
+        const stored = result?.data?.[0];
+
+        // Older records have no hash, or one from an earlier scheme: save the current one as their baseline
+        const baseline = Boolean(stored && debate.contentHash && !isCurrentContentHash(stored.content_hash));
+        if (baseline) {
+          await SupabaseService.updateDebateContentHash(debate.ExternalId, debate.contentHash);
+        }
+
+        const revised = Boolean(
+          stored && !baseline && debate.contentHash && stored.content_hash !== debate.contentHash
+        );
+        return {
+          debate,
+          exists: stored != null && !revised,
+          revision: revised ? {
+            oldHash: stored.content_hash,
+            newHash: debate.contentHash,
+            oldFileId: stored.file_id
+          } : null
+        };
+      } catch (error) {
+        logger.warn(`Failed to check debate existence: ${debate.ExternalId}`, {
+          error: error.message
+        });
+        return { debate, exists: false };
+      }
+    })
+  );
+}
+
+/**
+ * Analyses and stores the debates from one sitting day that are new or have
+ * been revised since they were stored. With `batch`, they are submitted for
+ * batch analysis instead and stored when a later run collects the batch.
+ * Debates already waiting in an open batch are skipped. Returns counts for
+ * the caller's summary alongside the processDebates results.
+ */
+export async function ingestDebates(date, debates, filters = {}, { batch = false } = {}) {
+  const existingDebatesResults = await checkExistingDebates(debates);
+
+  const { data: batchedIds } = await SupabaseService.getBatchedDebateIds(debates.map(debate => debate.ExternalId));
+  existingDebatesResults
+    .filter(result => !result.exists && batchedIds?.includes(result.debate.ExternalId))
+    .forEach(result => {
+      logger.info(`Skipping debate awaiting batch analysis: ${result.debate.ExternalId}`, {
+        title: result.debate.Overview?.Title
+      });
+      result.batched = true;
+      result.revision = null;
+    });
+
+  // Log all skipped debates
+  existingDebatesResults
+    .filter(result => result.exists)
+    .forEach(result => {
+      logger.info(`Skipping existing debate: ${result.debate.ExternalId}`, {
+        title: result.debate.Overview?.Title
+      });
+    });
+
+  const revisions = new Map(
+    existingDebatesResults
+      .filter(result => result.revision)
+      .map(result => [result.debate.ExternalId, result.revision])
+  );
+
+  revisions.forEach((revision, extId) => {
+    logger.info(`Reprocessing revised debate: ${extId}`, revision);
+  });
+
+  // Filter out existing debates, and debates with too little transcript to analyse
+  const newDebates = existingDebatesResults
+    .filter(result => !result.exists && !result.batched)
+    .map(result => result.debate)
+    .filter(debate => {
+      if (!isTooShortDebate(debate)) return true;
+      logger.info(`Skipping debate too short to analyse: ${debate.ExternalId}`, {
+        title: debate.Overview?.Title
+      });
+      return false;
+    });
+
+  const summary = {
+    fetched: debates.length,
+    skipped: debates.length - newDebates.length,
+    revised: revisions.size,
+    analysed: 0,
+    submitted: 0,
+    failed: 0,
+    results: []
+  };
+
+  if (newDebates.length === 0) {
+    logger.info(`No new debates to process for date: ${date}`);
+    return summary;
+  }
+
+  logger.info(`Processing ${newDebates.length} new debates out of ${debates.length} total for date: ${date}`, {
+    newDebateIds: newDebates.map(d => d.ExternalId)
+  });
+
+  let debatesToProcess = newDebates;
+  if (batch) {
+    const submission = await submitDebates(date, newDebates, filters, { revisions });
+    summary.submitted = submission.submitted.length;
+    // Debates too long for one request cannot be batched and are analysed now
+    debatesToProcess = submission.direct;
+  }
+
+  const dateResults = debatesToProcess.length
+    ? await processDebates(date, null, DEFAULT_PROCESS, debatesToProcess, filters)
+    : [];
+
+  await recordRevisions(revisions, dateResults);
+
+  summary.results = dateResults;
+  summary.analysed = dateResults.length;
+  summary.failed = newDebates.length - summary.submitted - dateResults.length;
+  return summary;
+}
@@ -5,6 +5,9 @@ import path from 'path';
 import os from 'os';
 import { SupabaseService } from '../services/supabase.js';
 import { assistantPrompt } from '../utils/assistantPrompt.js';
+import { divisionResult } from '../utils/debateUtils.js';
+import { VotingRecordService } from '../services/voting-record.js';
+import { MemberProfileService } from '../services/member-profiles.js';
 
 const PERMANENT_STORE_ID = 'vs_3R5Unz1iS6bKaUcet2DQcRmF';
 const POLL_INTERVAL = 1000; // 1 second
@@ -164,6 +167,10 @@ async function getOrCreateWeeklyStore(debateDate) {
   }
 }
 
+function formatVoter(voter) {
+  return voter.party ? `${voter.name} (${voter.party})` : voter.name;
+}
+
 export async function prepareDebateFile(debateData, analysis, uniqueSpeakers) {
   // Extract metadata
   const overview = debateData.overview || debateData.debate?.overview || {};
@@ -191,6 +198,34 @@ export async function prepareDebateFile(debateData, analysis, uniqueSpeakers) {
     ''
   ].join('\n');
 
+  // Outline of sub-debates, indented by depth
+  const formatOutline = (section, depth = 0) => [
+    `${'  '.repeat(depth)}- ${section.title || 'Untitled'}${section.ext_id ? ` (${section.ext_id})` : ''}`,
+    ...(section.sections || []).flatMap(child => formatOutline(child, depth + 1))
+  ];
+
+  const sectionsText = debateData.sections?.sections?.length
+    ? ['=== SECTIONS ===', ...formatOutline(debateData.sections), ''].join('\n')
+    : '';
+
+  // Recorded votes, so outcomes come from the division lists rather than the model
+  const divisionsText = debateData.divisions?.length
+    ? [
+        '=== DIVISIONS ===',
+        ...debateData.divisions.map(division => [
+          `Division${division.number ? ` ${division.number}` : ''}${division.division_time ? ` at ${division.division_time}` : ''}`,
+          division.question ? `Question: ${division.question}` : '',
+          `Result: ${divisionResult(division)}`,
+          division.aye_tellers?.length ? `Tellers for the Ayes: ${division.aye_tellers.join(', ')}` : '',
+          division.noe_tellers?.length ? `Tellers for the Noes: ${division.noe_tellers.join(', ')}` : '',
+          division.ayes?.length ? `Voted Aye: ${division.ayes.map(formatVoter).join('; ')}` : '',
+          division.noes?.length ? `Voted No: ${division.noes.map(formatVoter).join('; ')}` : '',
+          ''
+        ].filter(line => line !== '').join('\n') + '\n'),
+        ''
+      ].join('\n')
+    : '';
+
   const analysisText = analysis.analysis?.main_content 
     ? ['=== ANALYSIS ===', analysis.analysis.main_content, ''].join('\n')
     : '';
@@ -215,7 +250,7 @@ export async function prepareDebateFile(debateData, analysis, uniqueSpeakers) {
       ].join('\n')
     : '';
 
-  const finalContent = [metadataText, analysisText, contributionsText].join('\n');
+  const finalContent = [metadataText, sectionsText, divisionsText, analysisText, contributionsText].join('\n');
 
   return {
     content: finalContent,
@@ -272,6 +307,39 @@ async function removeOldFiles(cutoffDate) {
   }
 }
 
+// Used when a revised debate is re-indexed, so the stale transcript stops being retrieved
+export async function removeVectorStoreFile(fileId) {
+  try {
+    await openai.beta.vectorStores.files.del(VECTOR_STORE_ID, fileId);
+    logger.debug('Removed file from vector store:', { file_id: fileId });
+  } catch (error) {
+    logger.warn('Failed to remove file from vector store:', {
+      error: error.message,
+      file_id: fileId
+    });
+  }
+}
+
+// Records each stored revision (a map of ext_id to { oldHash, newHash, oldFileId }) and drops its old file
+export async function recordRevisions(revisions, storedResults) {
+  for (const result of storedResults) {
+    const revision = revisions.get(result.ext_id);
+    if (!revision) continue;
+
+    await SupabaseService.recordDebateRevision({
+      extId: result.ext_id,
+      oldHash: revision.oldHash,
+      newHash: revision.newHash,
+      oldFileId: revision.oldFileId,
+      newFileId: result.file_id
+    });
+
+    if (revision.oldFileId && revision.oldFileId !== result.file_id) {
+      await removeVectorStoreFile(revision.oldFileId);
+    }
+  }
+}
+
 export async function upsertResultsToVectorStore(debates, analysisResults, uniqueSpeakers) {
   const debatesArray = Array.isArray(debates) ? debates : [debates];
   const tempFiles = [];
@@ -379,6 +447,9 @@ export async function upsertResultsToVectorStore(debates, analysisResults, uniqu
         analysis: analysis.analysis,
         speaker_points: analysis.speaker_points,
         file_id: fileId,
+        content_hash: debate.content_hash || null,
+        sections: debate.sections || null,
+        items: debate.items || null,
         updated_at: new Date().toISOString()
       };
     });
@@ -390,6 +461,20 @@ export async function upsertResultsToVectorStore(debates, analysisResults, uniqu
     });
 
     await SupabaseService.batchUpsertDebates(debateRecords);
+    const storedIds = new Set(debateRecords.map(record => record.ext_id));
+    const divisions = debatesArray
+      .filter(debate => storedIds.has(debate.ext_id))
+      .flatMap(debate => debate.divisions || []);
+    const { error: divisionsError } = await SupabaseService.upsertDivisions(divisions);
+    if (!divisionsError) {
+      await VotingRecordService.recordDivisionVotes(divisions);
+    }
+
+    try {
+      await MemberProfileService.recordDebates(debatesArray.filter(debate => storedIds.has(debate.ext_id)));
+    } catch (error) {
+      logger.error('Failed to refresh member profiles:', { error: error.message });
+    }
 
     // Calculate cutoff date (7 days ago)
     const cutoffDate = new Date();
@@ -25,6 +25,32 @@ export const DebateAnalysisSchema = z.object({
 export const debateResponseFormat = (schema = DebateAnalysisSchema) => 
   zodResponseFormat(schema, "debate_analysis");
 
+// Final analysis written from the summaries of a long debate's parts; speaker points are merged separately
+export const DebateSynthesisSchema = z.object({
+  main_content: z.string(),
+  outcome: z.string()
+});
+
+// Recorded division results, stated as fact so the outcome is not inferred from the transcript
+function formatDivisionFacts(divisions) {
+  if (!divisions?.length) return '';
+
+  const facts = divisions.map((division, index) => JSON.stringify({
+    division: division.number || index + 1,
+    question: division.question || null,
+    ayes: division.ayes_count,
+    noes: division.noes_count,
+    result: division.ayes_count === division.noes_count
+      ? ({ aye: 'passed on the casting vote', noe: 'failed on the casting vote' }[division.casting_vote] || 'tied')
+      : (division.ayes_count > division.noes_count ? 'passed' : 'failed')
+  }));
+
+  return `
+Recorded divisions (official results; your outcome must agree with these exactly):
+${facts.join('\n')}
+`;
+}
+
 export function getPrompt(debate, maxTokens) {
   return `Use your expert knowledge on UK Parliament to provide an in-depth analysis with speaker points of this ${debate.overview?.Type || ''} session, in ${maxTokens * 0.75} tokens. 
   
@@ -44,7 +70,7 @@ export function getPrompt(debate, maxTokens) {
 
 Context:
 ${debate.context}
-
+${formatDivisionFacts(debate.divisions)}
 ${debate.typePrompt || ''}
 
 Provide:
@@ -62,6 +88,48 @@ For every speaker:
 Focus on accuracy and relevance. Include exact figures and dates where mentioned.`;
 }
 
+// One window of a debate too long for a single request
+export function getWindowPrompt(debate, window, { part, total, maxTokens }) {
+  return `You are analysing part ${part} of ${total} of a UK Parliament ${debate.overview?.Type || ''} session, in at most ${Math.floor(maxTokens * 0.75)} tokens. The parts are analysed separately and combined afterwards, so cover only this part.
+
+  Your main analysis should:
+  1) Summarise, in order, everything argued and decided in this part, with the significant contributions.
+  2) Include exact figures and dates where mentioned.
+
+  Your outcome should state any decisions, votes or commitments in this part, or be empty if there were none.
+
+  Your speaker points should:
+  1) Include every speaker in this part, in the order they first speak, regardless of their length of contribution.
+  2) Only include Party, Role, or Constituency if directly provided. If not provided, do not include.
+  3) Give the points each speaker made in this part, in order, compressed into a few sentences.
+
+Context (part ${part} of ${total}):
+${window.text}
+${debate.typePrompt || ''}`;
+}
+
+// Combines the per-part analyses of a long debate, in order, into one analysis
+export function getMergePrompt(debate, partAnalyses, maxTokens) {
+  const parts = partAnalyses.map((analysis, index) => `Part ${index + 1}:
+${analysis.main_content}
+Outcome: ${analysis.outcome || 'none recorded'}`);
+
+  return `Use your expert knowledge on UK Parliament to write one in-depth analysis of this ${debate.overview?.Type || ''} session, in ${Math.floor(maxTokens * 0.75)} tokens, from the analyses of its consecutive parts below.
+
+  Your main analysis should:
+  1) Keep the chronology of the parts and include all significant details and contributions.
+  2) Be specific to the debate type.
+  3) Include exact figures and dates where mentioned.
+
+  Your outcome should state the overall outcome of the session.
+
+Title: ${debate.overview?.Title || ''}
+${formatDivisionFacts(debate.divisions)}
+${debate.typePrompt || ''}
+
+${parts.join('\n\n')}`;
+}
+
 export const debateTypePrompts = {
   'Main': ``,
 
@@ -116,5 +184,13 @@ Highlight areas of consensus and remaining contentious issues.`,
 Highlight cross-party concerns and government responses.`,
 
   'Grand Committee': `Focus on detailed scrutiny, evidence consideration, and proposed amendments.
-Highlight areas of consensus and remaining contentious issues.`
+Highlight areas of consensus and remaining contentious issues.`,
+
+  'Written Statement': `This is a written ministerial statement, not a spoken debate; treat the minister as the only speaker.
+Focus on the policy announced, figures and timescales given, and what changes as a result.
+Highlight any new commitments, consultations, or publications referred to.`,
+
+  'Written Answers': `These are written questions and the department's answers, not a spoken debate.
+Summarise the themes across questions, and for each answer note whether it gives new information, figures or commitments, or declines to answer.
+Attribute each question to the member who asked it and each answer to the answering minister.`
 };
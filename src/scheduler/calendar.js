@@ -1,10 +1,8 @@
-import { config } from '../config/config.js';
 import { getPrompt, debateResponseFormat } from './debatePrompts.js';
 import logger from '../utils/logger.js';
 import { supabase } from '../services/supabase.js';
-import { HANSARD_API_BASE } from '../services/hansard-api.js';
-
-const openai = config.OPENAI;
+import { HansardService } from '../services/hansard.js';
+import { LLMService } from '../services/llm.js';
 
 export async function processCalendarItems() {
   try {
@@ -116,24 +114,16 @@ async function processEventItem(item, eventData) {
   
   // Helper function to perform the Hansard search
   async function searchHansard(searchTerm, date) {
-    const searchParams = new URLSearchParams({
+    logger.info(`Searching Hansard debates for "${searchTerm}" on ${date}`);
+
+    const data = await HansardService.searchDebates({
       'queryParameters.searchTerm': searchTerm,
       'queryParameters.date': date,
       'queryParameters.startDate': date,
       'queryParameters.endDate': date
     });
-  
-    const url = `${HANSARD_API_BASE}/search/debates.json?${searchParams.toString()}`;
-    logger.info(`Searching Hansard: ${url}`);
-    
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`Error fetching debate: ${await response.text()}`);
-    }
-  
-    const data = await response.json();
-    return data.Results || [];
+
+    return data?.Results || [];
   }
 
 async function processOralQuestions(item, eventData) {
@@ -144,23 +134,14 @@ async function processOralQuestions(item, eventData) {
 
     // Process each oral question
     for (const question of eventData.questions) {
-      const searchParams = new URLSearchParams({
+      logger.info(`Searching for oral question on ${item.date}`);
+
+      const questionData = await HansardService.search({
         'queryParameters.searchTerm': question.text,
         'queryParameters.startDate': item.date,
         'queryParameters.endDate': item.date
       });
-
-      const url = `${HANSARD_API_BASE}/search.json?${searchParams.toString()}`;
-      logger.info(`Searching for oral question: ${url}`);
-      
-      const questionResponse = await fetch(url);
-      
-      if (!questionResponse.ok) {
-        throw new Error(`Error fetching oral question: ${await questionResponse.text()}`);
-      }
-
-      const questionData = await questionResponse.json();
-      const debateIds = questionData.Contributions?.map((c) => c.DebateSectionExtId) || [];
+      const debateIds = questionData?.Contributions?.map((c) => c.DebateSectionExtId) || [];
       allDebateIds.push(...debateIds);
 
       // If we found any debates and this is a whole session, fetch the top-level debate
@@ -195,16 +176,8 @@ async function processOralQuestions(item, eventData) {
 
 async function fetchTopLevelDebateId(debateId) {
   try {
-    const topLevelUrl = `${HANSARD_API_BASE}/debates/topleveldebateid/${debateId}.json`;
-    const topLevelResponse = await fetch(topLevelUrl);
-
-    if (topLevelResponse.ok) {
-      const topLevelId = await topLevelResponse.text();
-      if (topLevelId) {
-        return topLevelId.replace(/['"]/g, '');
-      }
-    }
-    return null;
+    const topLevelId = await HansardService.fetchTopLevelDebateId(debateId);
+    return topLevelId || null;
   } catch (error) {
     logger.error(`Error fetching top-level debate ID:`, error);
     return null;
@@ -214,14 +187,7 @@ async function fetchTopLevelDebateId(debateId) {
 async function processWholeSession(item, eventData, topLevelId) {
   try {
     // Fetch the full debate content
-    const debateUrl = `${HANSARD_API_BASE}/debates/debate/${topLevelId}.json`;
-    const debateResponse = await fetch(debateUrl);
-    
-    if (!debateResponse.ok) {
-      throw new Error(`Failed to fetch debate content: ${debateResponse.status}`);
-    }
-
-    const debateContent = await debateResponse.json();
+    const debateContent = await HansardService.fetchDebate(topLevelId);
     
     // Extract all child debates (individual questions)
     const childDebates = debateContent.ChildDebates?.flatMap((dept) => 
@@ -253,8 +219,7 @@ async function processWholeSession(item, eventData, topLevelId) {
     });
 
     // Create completion request
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
+    const completion = await LLMService.complete('questions', {
       messages: [
         {
           role: "system",
@@ -265,12 +230,13 @@ async function processWholeSession(item, eventData, topLevelId) {
           content: questionPrompt
         }
       ],
-      response_format: debateResponseFormat(),
-      temperature: 0.3
+      responseFormat: debateResponseFormat(),
+      temperature: 0.3,
+      debate: { ext_id: topLevelId, type: 'Department Questions' }
     });
 
-    if (completion.choices[0]?.message?.content) {
-      const analysisResponse = JSON.parse(completion.choices[0].message.content);
+    if (completion.content) {
+      const analysisResponse = JSON.parse(completion.content);
       
       // Insert into debates_new table with structured analysis
       const { error: debateError } = await supabase
@@ -1,13 +1,11 @@
-import { config } from '../config/config.js';
 import { supabase } from '../services/supabase.js';
+import { LLMService } from '../services/llm.js';
 import { getDailySummaryPrompt, dailySummaryFormat } from './dailyPrompts.js';
 import logger from '../utils/logger.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-const openai = config.OPENAI;
-
 export async function processDailySummary() {
   logger.info('Starting daily summary generation');
   
@@ -21,54 +19,15 @@ export async function processDailySummary() {
   let assistantId = process.env.WEEKLY_OPENAI_ASSISTANT_ID;
 
   try {
-    // Create a thread
-    const thread = await openai.beta.threads.create();
-    console.log(`[Scheduler] Created thread ${thread.id} for daily summary using assistant ${assistantId}`);
-
-    // Add the message to the thread
-    await openai.beta.threads.messages.create(thread.id, {
-      role: "user",
-      content: getDailySummaryPrompt()
-    });
-
-    // Run the assistant
-    const run = await openai.beta.threads.runs.create(thread.id, {
-      assistant_id: assistantId,
+    const result = await LLMService.runAssistant('summary', {
+      assistantId,
+      prompt: getDailySummaryPrompt(),
       instructions: "Generate a daily summary following the format exactly. Ensure all citations are included.",
-      response_format: dailySummaryFormat
+      responseFormat: dailySummaryFormat
     });
 
-    console.log(getDailySummaryPrompt())
-
-    // Wait for completion
-    let runStatus = await openai.beta.threads.runs.retrieve(thread.id, run.id);
-    while (runStatus.status !== 'completed') {
-      if (runStatus.status === 'failed' || runStatus.status === 'cancelled') {
-        throw new Error(`Run ${runStatus.status}`);
-      }
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      runStatus = await openai.beta.threads.runs.retrieve(thread.id, run.id);
-    }
-
-    const messages = await openai.beta.threads.messages.list(thread.id);
-    const assistantMessage = messages.data.find(msg => msg.role === 'assistant');
-    
-    if (!assistantMessage?.content[0] || assistantMessage.content[0].type !== 'text') {
-      throw new Error('Invalid assistant response');
-    }
-
-    const response = JSON.parse(assistantMessage.content[0].text.value);
-    const citations = [];
-
-    // Extract citations if any
-    if ('annotations' in assistantMessage.content[0].text) {
-      for (const annotation of assistantMessage.content[0].text.annotations) {
-        if ('file_citation' in annotation) {
-          const citedFile = await openai.files.retrieve(annotation.file_citation.file_id);
-          citations.push(citedFile.filename.replace('.txt', '').replace('debate-', ''));
-        }
-      }
-    }
+    const response = JSON.parse(result.content);
+    const citations = result.citations.map(filename => filename.replace('.txt', '').replace('debate-', ''));
 
     // Store the daily summary
     const currentHour = new Date().getHours();
@@ -1,12 +1,15 @@
 import { config } from '../config/config.js';
-import { supabase } from '../services/supabase.js';
+import { supabase, SupabaseService } from '../services/supabase.js';
+import { WrittenRecordsService } from '../services/written-records.js';
 import { processCalendarItems } from './calendar.js';
 import { calculateNextRunDate } from './schedulerUtils.js';
 import { getLastSevenDays } from '../utils/debateUtils.js';
 import { processDailySummary } from './dailySummary.js';
 import logger from '../utils/logger.js';
-
-const openai = config.OPENAI;
+import { VotingRecordService } from '../services/voting-record.js';
+import { MemberProfileService } from '../services/member-profiles.js';
+import { LLMService } from '../services/llm.js';
+import { BudgetExceededError } from '../services/usage-ledger.js';
 
 export async function processScheduledSearches(searchType) {
   try {
@@ -31,6 +34,11 @@ export async function processScheduledSearches(searchType) {
     return { success: true };
 
   } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      logger.warn('Scheduler stopped, model budget reached:', { error: error.message });
+      return { success: false, budgetExceeded: true };
+    }
+
     logger.error('Error in scheduler:', error);
     return {
       error: 'Internal server error',
@@ -93,6 +101,7 @@ async function processSchedules(schedules) {
       await updateScheduleTimestamps(schedule);
 
     } catch (error) {
+      if (error instanceof BudgetExceededError) throw error;
       logger.error(`Error processing schedule ${schedule.id}:`, error);
     }
   }
@@ -151,6 +160,41 @@ async function processMPSearch() {
               member_contributions: latestDebate.member_contributions
             }
           };
+
+          // Most recent vote against the MP's party, so followers hear about rebellions
+          try {
+            const [latestRebellion] = await VotingRecordService.getRebellions(mpId, { limit: 1 });
+            if (latestRebellion) {
+              formattedResponse.latestRebellion = {
+                division_ext_id: latestRebellion.division_ext_id,
+                debate_ext_id: latestRebellion.debate_ext_id,
+                debate_title: latestRebellion.debate_title,
+                division_time: latestRebellion.division_time,
+                question: latestRebellion.question,
+                vote: latestRebellion.vote,
+                party_position: latestRebellion.party_position
+              };
+            }
+          } catch (error) {
+            logger.warn(`Failed to fetch rebellions for MP ${mpId}:`, error);
+          }
+
+          // Activity totals from member_profiles, shown alongside the latest debate
+          try {
+            const profile = await MemberProfileService.getProfile(mpId);
+            if (profile) {
+              formattedResponse.profile = {
+                debates: profile.debates,
+                contributions: profile.contributions,
+                words: profile.words,
+                questions_asked: profile.questions_asked,
+                answers_given: profile.answers_given,
+                last_seen: profile.last_seen
+              };
+            }
+          } catch (error) {
+            logger.warn(`Failed to fetch profile for MP ${mpId}:`, error);
+          }
           // Get all users tracking this MP and their latest responses
           const { data: userSearches, error: userError } = await supabase
             .from('saved_searches')
@@ -173,9 +217,14 @@ async function processMPSearch() {
           for (const [userId, userSearch] of Object.entries(userLatestSearches)) {
             try {
               const lastResponse = JSON.parse(userSearch.response);
-              const hasChanged = lastResponse.firstDebate.debate_id !== formattedResponse.firstDebate.debate_id;
+              const newRebellion = Boolean(formattedResponse.latestRebellion) &&
+                lastResponse.latestRebellion?.division_ext_id !== formattedResponse.latestRebellion.division_ext_id;
+              const hasChanged = newRebellion ||
+                lastResponse.firstDebate.debate_id !== formattedResponse.firstDebate.debate_id;
               if (hasChanged) {
-                logger.info(`Changes detected for MP ${mpId}, storing new response for user ${userId}`);
+                logger.info(`Changes detected for MP ${mpId}, storing new response for user ${userId}`, {
+                  rebellion: newRebellion
+                });
                 await storeSearchResponse({
                   saved_searches: {
                     query: latestDebate.member_name,
@@ -209,61 +258,17 @@ async function processAISearch(schedule) {
 
   let assistantId = config.WEEKLY_ASSISTANT_ID;
 
-  // Create thread and process AI search
-  const thread = await openai.beta.threads.create();
-  logger.info(`Created thread ${thread.id} for AI search using assistant ${assistantId}`);
-
   const finalQuery = `${schedule.saved_searches.query}\n\nThe current date is ${new Date().toISOString().split('T')[0]}. Your response must only use the most recent debates, from these days: ${getLastSevenDays().join(', ')}`;
 
-  await openai.beta.threads.messages.create(thread.id, {
-    role: "user",
-    content: finalQuery
-  });
-
-  const run = await openai.beta.threads.runs.create(thread.id, {
-    assistant_id: assistantId
+  const response = await LLMService.runAssistant('search', {
+    assistantId,
+    prompt: finalQuery
   });
-
-  // Wait for completion
-  const response = await waitForAssistantResponse(thread.id, run.id);
   
   // Store the response
   await storeSearchResponse(schedule, response.content, response.citations);
 }
 
-async function waitForAssistantResponse(threadId, runId) {
-  let runStatus = await openai.beta.threads.runs.retrieve(threadId, runId);
-  while (runStatus.status !== 'completed') {
-    if (runStatus.status === 'failed' || runStatus.status === 'cancelled') {
-      throw new Error(`Run ${runStatus.status}`);
-    }
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    runStatus = await openai.beta.threads.runs.retrieve(threadId, runId);
-  }
-
-  const messages = await openai.beta.threads.messages.list(threadId);
-  const assistantMessage = messages.data.find(msg => msg.role === 'assistant');
-  
-  if (!assistantMessage?.content[0] || assistantMessage.content[0].type !== 'text') {
-    throw new Error('Invalid assistant response');
-  }
-
-  const citations = [];
-  if ('annotations' in assistantMessage.content[0].text) {
-    for (const annotation of assistantMessage.content[0].text.annotations) {
-      if ('file_citation' in annotation) {
-        const citedFile = await openai.files.retrieve(annotation.file_citation.file_id);
-        citations.push(citedFile.filename);
-      }
-    }
-  }
-
-  return {
-    content: assistantMessage.content[0].text.value,
-    citations
-  };
-}
-
 async function processHansardSearch(schedule) {
     const { query, query_state } = schedule.saved_searches;
     
@@ -280,9 +285,19 @@ async function processHansardSearch(schedule) {
     });
   
     if (error) throw new Error(`search_debates error: ${error.message}`);
+
+    // Written statements and answers found by the same search, if they have been stored
+    const writtenIds = config.WRITTEN_RECORDS_ENABLED
+      ? await findWrittenRecords(query, query_state)
+      : [];
   
     // Format the response and check for changes
-    const formattedResponse = formatDebatesResponse(debates);
+    const formattedResponse = formatDebatesResponse([
+      ...debates,
+      ...writtenIds
+        .filter(extId => !debates.some(debate => debate.ext_id === extId))
+        .map(extId => ({ ext_id: extId }))
+    ]);
     const hasChanged = await checkForChanges(schedule, formattedResponse);
   
     // Store the response
@@ -294,6 +309,17 @@ async function processHansardSearch(schedule) {
     );
   }
   
+  async function findWrittenRecords(query, queryState) {
+    try {
+      const extIds = await WrittenRecordsService.searchSavedQuery(query, queryState || {});
+      const { data: stored } = await SupabaseService.getStoredDebateIds(extIds);
+      return extIds.filter(extId => stored.includes(extId));
+    } catch (error) {
+      logger.warn('Written records search failed, using debates only:', { query, error: error.message });
+      return [];
+    }
+  }
+
   function formatDebatesResponse(debates) {
     // Extract debate IDs in chronological order
     const debateIds = debates.map(d => d.ext_id);
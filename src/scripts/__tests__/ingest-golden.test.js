@@ -0,0 +1,39 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, test, expect } from '@jest/globals';
+import { checkGoldenDay } from '../ingest-golden.js';
+import { HansardService } from '../../services/hansard.js';
+import { MissingFixtureError } from '../../services/hansard-transport.js';
+
+const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../../fixtures/golden');
+
+// Every sitting day recorded with `npm run golden -- <date> --record`
+const goldenDays = fs.existsSync(GOLDEN_DIR)
+  ? fs.readdirSync(GOLDEN_DIR).filter(file => /^\d{4}-\d{2}-\d{2}\.json$/.test(file)).map(file => file.slice(0, 10))
+  : [];
+
+describe('golden sitting days', () => {
+  if (goldenDays.length) {
+    test.each(goldenDays)('ingestion of %s matches its golden file', async (date) => {
+      await expect(checkGoldenDay(date)).resolves.toBe(true);
+    });
+  } else {
+    test.todo('record a sitting day with npm run golden -- <date> --record');
+  }
+
+  test('a day without recorded fixtures fails instead of passing empty', async () => {
+    await expect(checkGoldenDay('2025-01-17')).rejects.toBeInstanceOf(MissingFixtureError);
+  });
+
+  test('restores the member lookups and transport it replaces', async () => {
+    const { lookupMembers, lookupMemberHistory, lookupPeers } = HansardService;
+
+    await expect(checkGoldenDay('2025-01-17')).rejects.toBeInstanceOf(MissingFixtureError);
+
+    expect(HansardService.lookupMembers).toBe(lookupMembers);
+    expect(HansardService.lookupMemberHistory).toBe(lookupMemberHistory);
+    expect(HansardService.lookupPeers).toBe(lookupPeers);
+    expect(HansardService.transport).toBeNull();
+  });
+});
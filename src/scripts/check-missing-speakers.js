@@ -1,5 +1,5 @@
 import { readFile } from 'fs/promises';
-import { SupabaseService, supabase } from '../services/supabase.js';
+import { SpeakerResolver } from '../services/speaker-resolver.js';
 import logger from '../utils/logger.js';
 import { fileURLToPath } from 'url';
 
@@ -8,61 +8,38 @@ async function findMissingSpeakers() {
     // Read and parse the JSON file
     const rawData = await readFile('data/all_current_members.json', 'utf8');
     const currentMembers = JSON.parse(rawData);
-    
-    // Get all speaker data from the database
-    const { data: speakersData, error } = await supabase
-      .from('members')
-      .select('display_as, party, constituency')
-      .not('display_as', 'is', null);
-      
-    if (error) throw error;
-    
-    // Helper function to normalize strings for comparison
-    const normalize = (str) => str?.toLowerCase().replace(/[^a-z0-9]/g, '');
-    
-    // Helper function to find potential matches
-    const findPotentialMatches = (member, speakers) => {
-      const normalizedMemberName = normalize(member.name);
-      
-      return speakers.filter(speaker => {
-        // Check for name variations
-        const normalizedSpeakerName = normalize(speaker.display_as);
-        const nameMatch = 
-          normalizedSpeakerName.includes(normalizedMemberName) ||
-          normalizedMemberName.includes(normalizedSpeakerName);
-          
-        // Check party and constituency if available
-        const partyMatch = normalize(speaker.party) === normalize(member.party);
-        const constituencyMatch = normalize(speaker.constituency) === normalize(member.constituency);
-        
-        // Return true if name matches and at least one other field matches
-        return nameMatch && (partyMatch || constituencyMatch);
-      });
-    };
+
+    // Score each current member against the members table
+    await SpeakerResolver.loadMembers();
 
     const results = currentMembers.map(member => {
-      // First check for exact matches
-      const exactMatch = speakersData.find(s => normalize(s.display_as) === normalize(member.name));
-      
-      if (exactMatch) return null;
-      
-      // If no exact match, look for potential matches
-      const potentialMatches = findPotentialMatches(member, speakersData);
-      
+      const match = SpeakerResolver.match(member.name, {
+        party: member.party,
+        constituency: member.constituency,
+        house: member.house
+      });
+
+      // Exact name matches are not missing
+      if (match.status === 'resolved' && match.candidates[0]?.reasons.includes('exact name')) return null;
+
       return {
         member,
-        potentialMatches: potentialMatches.map(match => ({
-          name: match.display_as,
-          party: match.party,
-          constituency: match.constituency
+        status: match.status,
+        potentialMatches: match.candidates.map(candidate => ({
+          memberId: candidate.member_id,
+          name: candidate.name,
+          party: candidate.party,
+          constituency: candidate.constituency,
+          confidence: candidate.confidence,
+          reasons: candidate.reasons
         }))
       };
-    }).filter(Boolean); // Remove null entries (exact matches)
-    
+    }).filter(Boolean);
+
     // Log results
     logger.info(`Found ${results.length} members without exact matches`);
-    
-    results.forEach(({ member, potentialMatches }) => {
+
+    results.forEach(({ member, status, potentialMatches }) => {
       if (potentialMatches.length > 0) {
         logger.info('Member with potential matches:', {
           member: {
@@ -70,6 +47,7 @@ async function findMissingSpeakers() {
             party: member.party,
             constituency: member.constituency
           },
+          status,
           potentialMatches
         });
       } else {
@@ -80,9 +58,9 @@ async function findMissingSpeakers() {
         });
       }
     });
-    
+
     return results;
-    
+
   } catch (error) {
     logger.error('Error checking missing speakers:', error);
     throw error;
@@ -99,4 +77,4 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
     });
 }
 
-export { findMissingSpeakers }; 
\ No newline at end of file
+export { findMissingSpeakers };
@@ -1,6 +1,6 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { HansardAPI } from '../services/hansard-api.js';
+import { HansardService } from '../services/hansard.js';
 import logger from '../utils/logger.js';
 import { fileURLToPath } from 'url';
 
@@ -11,7 +11,7 @@ async function fetchAllCurrentMembers() {
   
   try {
     while (true) {
-      const response = await HansardAPI.searchMembers({
+      const response = await HansardService.searchMembers({
         includeCurrent: true,
         includeFormer: false,
         take: batchSize,
@@ -41,9 +41,6 @@ async function fetchAllCurrentMembers() {
       }
       
       skip += batchSize;
-      
-      // Add a small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 500));
     }
 
     // Sort members by house and name
@@ -1,6 +1,6 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { HansardAPI } from '../services/hansard-api.js';
+import { HansardService } from '../services/hansard.js';
 import logger from '../utils/logger.js';
 import { fileURLToPath } from 'url';
 
@@ -11,7 +11,7 @@ async function fetchAllFormerMembers() {
   
   try {
     while (true) {
-      const response = await HansardAPI.searchMembers({
+      const response = await HansardService.searchMembers({
         includeCurrent: false,  // Changed to false
         includeFormer: true,    // Changed to true
         take: batchSize,
@@ -42,9 +42,6 @@ async function fetchAllFormerMembers() {
       }
       
       skip += batchSize;
-      
-      // Add a small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 500));
     }
 
     // Sort members by house and name
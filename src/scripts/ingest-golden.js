@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Checks a whole sitting day's ingestion against a golden file, offline.
+ *
+ * Usage:
+ *   node src/scripts/ingest-golden.js <YYYY-MM-DD>            compare against fixtures/golden/<date>.json
+ *   node src/scripts/ingest-golden.js <YYYY-MM-DD> --update   rewrite the golden file from fixtures
+ *   node src/scripts/ingest-golden.js <YYYY-MM-DD> --record   fetch from Hansard, save fixtures and golden file
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/config.js';
+import { HansardService } from '../services/hansard.js';
+import { createDefaultTransport } from '../services/hansard-transport.js';
+import logger from '../utils/logger.js';
+import { outlineSections } from '../utils/debateUtils.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GOLDEN_DIR = path.join(__dirname, '../../fixtures/golden');
+
+// Golden output depends only on recorded Hansard responses, never on the members table
+function snapshotDebates(debates) {
+  return debates
+    .map(debate => ({
+      ExternalId: debate.ExternalId,
+      Title: debate.Title,
+      debateDate: debate.debateDate,
+      house: debate.house,
+      section: debate.section,
+      type: debate.Overview?.Type || null,
+      sections: outlineSections(debate.SectionTree),
+      Items: debate.Items
+    }))
+    .sort((a, b) => a.ExternalId.localeCompare(b.ExternalId));
+}
+
+// Member lookups stubbed out for a golden check, restored afterwards
+const OFFLINE_LOOKUPS = {
+  lookupMembers: async () => ({ data: [], error: null }),
+  lookupMemberHistory: async () => new Map(),
+  lookupPeers: async () => ({ data: [], error: null })
+};
+
+async function fetchOffline(date, mode) {
+  const originals = Object.fromEntries(Object.keys(OFFLINE_LOOKUPS).map(name => [name, HansardService[name]]));
+
+  HansardService.setTransport(createDefaultTransport({ mode, dir: config.HANSARD_FIXTURES_DIR }));
+  Object.assign(HansardService, OFFLINE_LOOKUPS);
+  try {
+    return await HansardService.getLatestDebates({ specificDate: date });
+  } finally {
+    Object.assign(HansardService, originals);
+    HansardService.setTransport(null);
+  }
+}
+
+async function checkGoldenDay(date, { update = false, record = false } = {}) {
+  const debates = await fetchOffline(date, record ? 'record' : 'replay');
+  const snapshot = JSON.stringify(snapshotDebates(debates), null, 2) + '\n';
+  const goldenPath = path.join(GOLDEN_DIR, `${date}.json`);
+
+  if (update || record) {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(goldenPath, snapshot);
+    logger.info('Wrote golden file:', { goldenPath, debateCount: debates.length });
+    return true;
+  }
+
+  if (!fs.existsSync(goldenPath)) {
+    logger.error('No golden file for date, run with --record or --update first:', { goldenPath });
+    return false;
+  }
+
+  const expected = fs.readFileSync(goldenPath, 'utf8');
+  if (expected !== snapshot) {
+    const actualPath = goldenPath.replace(/\.json$/, '.actual.json');
+    fs.writeFileSync(actualPath, snapshot);
+    logger.error('Ingestion output differs from golden file:', { goldenPath, actualPath });
+    return false;
+  }
+
+  logger.info('Ingestion output matches golden file:', { goldenPath, debateCount: debates.length });
+  return true;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const date = args.find(arg => /^\d{4}-\d{2}-\d{2}$/.test(arg));
+
+  if (!date) {
+    console.error('Usage: node src/scripts/ingest-golden.js <YYYY-MM-DD> [--update|--record]');
+    process.exit(1);
+  }
+
+  checkGoldenDay(date, {
+    update: args.includes('--update'),
+    record: args.includes('--record')
+  })
+    .then(matches => process.exit(matches ? 0 : 1))
+    .catch(error => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+export { checkGoldenDay };
@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+
+import { MinisterialPostsRegistry, POSTS_DATASET_PATH } from '../services/ministerial-posts.js';
+import logger from '../utils/logger.js';
+
+async function main() {
+  try {
+    logger.info('Refreshing ministerial posts from the Members API...', { dataset: POSTS_DATASET_PATH });
+    const counts = await MinisterialPostsRegistry.refresh();
+    logger.info('Ministerial posts refreshed', counts);
+    process.exit(0);
+  } catch (error) {
+    logger.error('Ministerial posts refresh failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+import { SpeakerResolver } from '../services/speaker-resolver.js';
+import logger from '../utils/logger.js';
+
+// Values following `flag` up to the next flag, e.g. --accept 12 14
+function getFlagValues(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) return [];
+
+  const values = [];
+  for (let i = index + 1; i < args.length && !args[i].startsWith('--'); i++) {
+    values.push(args[i]);
+  }
+  return values;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const accept = getFlagValues(args, '--accept');
+  const reject = getFlagValues(args, '--reject');
+  const limit = Number(getFlagValues(args, '--limit')[0]) || 50;
+
+  try {
+    for (const id of accept) {
+      await SpeakerResolver.accept(Number(id));
+    }
+    for (const id of reject) {
+      await SpeakerResolver.reject(Number(id));
+    }
+
+    if (!accept.length && !reject.length) {
+      const queue = await SpeakerResolver.getReviewQueue({ limit });
+
+      if (!queue.length) {
+        logger.info('No speaker matches awaiting review');
+      } else {
+        console.table(queue.map(match => ({
+          id: match.id,
+          attribution: match.attribution,
+          member: `${match.member_name} (${match.member_id})`,
+          confidence: Number(match.confidence),
+          reasons: (match.reasons || []).join(', ')
+        })));
+        logger.info('Accept or reject with: npm run review-speakers -- --accept <id> | --reject <id>');
+      }
+    }
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Speaker match review failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,13 +1,17 @@
 #!/usr/bin/env node
 
-import { MemberSync } from '../services/member-sync.js';
+import { MemberSync, printMemberSyncReport } from '../services/member-sync.js';
 import logger from '../utils/logger.js';
 
 async function main() {
   try {
     logger.info('Starting member sync...');
-    const totalProcessed = await MemberSync.syncAllMembers();
-    logger.info('Member sync completed successfully', { totalProcessed });
+    const report = await MemberSync.syncAllMembers({
+      includeHistory: process.argv.includes('--history'),
+      notify: !process.argv.includes('--no-notify')
+    });
+    printMemberSyncReport(report);
+    logger.info('Member sync completed successfully', { totalProcessed: report.totalProcessed });
     process.exit(0);
   } catch (error) {
     logger.error('Member sync failed:', error);
@@ -15,4 +19,4 @@ async function main() {
   }
 }
 
-main();
\ No newline at end of file
+main();
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 import { SupabaseService } from '../services/supabase.js';
-import { HansardAPI } from '../services/hansard-api.js';
+import { HansardService } from '../services/hansard.js';
 import logger from '../utils/logger.js';
 
 async function updateDebateSpeakers() {
@@ -15,11 +15,8 @@ async function updateDebateSpeakers() {
     
     for (const debate of debates) {
       try {
-        // Add delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
         // Fetch debate details from Hansard API
-        const { debate: debateDetails } = await HansardAPI.getDebateDetails(debate.ext_id);
+        const debateDetails = await HansardService.getDebateDetails(debate.ext_id);
         
         if (!debateDetails?.Items) {
           logger.warn(`No items found for debate ${debate.ext_id}`);
@@ -46,11 +43,14 @@ async function updateDebateSpeakers() {
           continue;
         }
         
+        // Names as they were on the debate date (peerages and marriages change display names)
+        const membersAsOf = await HansardService.lookupMemberHistory(memberIds, debate.date);
+
         // Create speakers array with unique display names
         const speakers = [...new Set(
           members
-            .filter(member => member.display_as)
-            .map(member => member.display_as)
+            .map(member => membersAsOf.get(Number(member.member_id))?.name || member.display_as)
+            .filter(Boolean)
         )];
         
         // Update only speakers-related fields
@@ -1,5 +1,6 @@
 import { readFile } from 'fs/promises';
-import { SupabaseService, supabase } from '../services/supabase.js';
+import { supabase } from '../services/supabase.js';
+import { SpeakerResolver } from '../services/speaker-resolver.js';
 import logger from '../utils/logger.js';
 import { fileURLToPath } from 'url';
 
@@ -8,47 +9,43 @@ async function updateSpeakerNames() {
     // Read and parse the JSON file
     const rawData = await readFile('data/all_former_members.json', 'utf8');
     const formerMembers = JSON.parse(rawData);
-    
+
     // Get all former speaker data from the database
     const { data: speakersData, error } = await supabase
       .from('speakers')
       .select('id, name, constituency')
       .eq('is_current', false)
       .not('constituency', 'is', null);
-      
-    if (error) throw error;
 
-    // Helper function to normalize strings for comparison
-    const normalize = (str) => str?.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (error) throw error;
 
-    // Create updates array
+    // Former members share seats, so match on name and constituency together rather than seat alone
     const updates = [];
-    
-    speakersData.forEach(speaker => {
-      const normalizedSpeakerConstituency = normalize(speaker.constituency);
-      
-      const matchingMember = formerMembers.find(member => {
-        const normalizedMemberConstituency = normalize(member.constituency);
-        return normalizedMemberConstituency === normalizedSpeakerConstituency;
+
+    for (const speaker of speakersData) {
+      const result = await SpeakerResolver.resolve(speaker.name, {
+        constituency: speaker.constituency,
+        members: formerMembers
       });
 
-      if (matchingMember && normalize(speaker.name) !== normalize(matchingMember.name)) {
+      if (result?.member_id && result.name !== speaker.name) {
         updates.push({
           id: speaker.id,
           old_name: speaker.name,
-          new_name: matchingMember.name,
+          new_name: result.name,
+          member_id: result.member_id,
           constituency: speaker.constituency,
-          normalized_constituency: normalizedSpeakerConstituency
+          confidence: result.confidence
         });
       }
-    });
+    }
 
     logger.info(`Found ${updates.length} former member names to update`);
 
     // Perform the updates
     for (const update of updates) {
       logger.info('Updating former speaker:', update);
-      
+
       const { error: updateError } = await supabase
         .from('speakers')
         .update({ name: update.new_name })
@@ -61,7 +58,7 @@ async function updateSpeakerNames() {
 
     logger.info('Former member name updates completed');
     return updates;
-    
+
   } catch (error) {
     logger.error('Error updating former speaker names:', error);
     throw error;
@@ -78,4 +75,4 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
     });
 }
 
-export { updateSpeakerNames }; 
\ No newline at end of file
+export { updateSpeakerNames };
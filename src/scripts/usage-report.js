@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+import { SupabaseService } from '../services/supabase.js';
+import logger from '../utils/logger.js';
+
+// Value following `flag`, e.g. --days 30
+function getFlagValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? null : args[index + 1] || null;
+}
+
+// Sums llm_usage_daily rows by the value of `key`, highest cost first
+function totalsBy(rows, key) {
+  const totals = new Map();
+
+  rows.forEach(row => {
+    const group = row[key] ?? '(none)';
+    const total = totals.get(group) || { [key]: group, calls: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0, unpriced_calls: 0 };
+
+    total.calls += Number(row.calls);
+    total.prompt_tokens += Number(row.prompt_tokens);
+    total.completion_tokens += Number(row.completion_tokens);
+    total.cost += Number(row.cost || 0);
+    total.unpriced_calls += Number(row.unpriced_calls);
+    totals.set(group, total);
+  });
+
+  return [...totals.values()]
+    .sort((a, b) => b.cost - a.cost)
+    .map(total => ({ ...total, cost: Number(total.cost.toFixed(4)) }));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const days = Number(getFlagValue(args, '--days')) || 7;
+  let since = getFlagValue(args, '--since');
+
+  if (!since) {
+    const start = new Date();
+    start.setUTCDate(start.getUTCDate() - (days - 1));
+    since = start.toISOString().split('T')[0];
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(since)) {
+    logger.error('Invalid --since date. Please use YYYY-MM-DD');
+    process.exit(1);
+  }
+
+  const { data: rows, error } = await SupabaseService.getModelUsageByDay(since);
+  if (error) {
+    process.exit(1);
+  }
+
+  if (!rows.length) {
+    logger.info(`No model usage recorded since ${since}`);
+    process.exit(0);
+  }
+
+  console.log('\nBy day');
+  console.table(totalsBy(rows, 'day').sort((a, b) => a.day.localeCompare(b.day)));
+  console.log('\nBy task');
+  console.table(totalsBy(rows, 'task'));
+  console.log('\nBy debate type');
+  console.table(totalsBy(rows, 'debate_type'));
+
+  const [total] = totalsBy(rows.map(row => ({ ...row, period: since })), 'period');
+  logger.info('Model usage totals (cost in USD, estimated):', total);
+  process.exit(0);
+}
+
+main();
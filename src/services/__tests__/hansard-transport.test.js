@@ -0,0 +1,137 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { config } from '../../config/config.js';
+import { CACHE_TTLS, createCachingTransport, createDefaultTransport, ttlFor } from '../hansard-transport.js';
+
+const API = 'https://hansard-api.parliament.uk';
+
+// Transport that answers with `respond(url, options)` and records the headers of each request
+function createInnerTransport(respond = () => ({ status: 200, headers: {}, body: '{}' })) {
+  const requests = [];
+
+  return {
+    requests,
+    async get(url, options = {}) {
+      requests.push({ url, headers: options.headers || {} });
+      return respond(url, options);
+    }
+  };
+}
+
+// A URL for each CACHE_TTLS entry; path prefixes get a resource appended
+const urlFor = (key) => `${API}${key === 'default' ? '/overview/unlisted.json' : key.endsWith('/') ? `${key}1234.json` : key}`;
+
+describe('createCachingTransport', () => {
+  let dir;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-01-16T09:00:00Z') });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hansard-cache-'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const advance = (ms) => jest.setSystemTime(Date.now() + ms);
+
+  test.each(Object.entries(CACHE_TTLS))('serves %s from the cache for its TTL', async (key, ttl) => {
+    const inner = createInnerTransport();
+    const transport = createCachingTransport(inner, { dir });
+    const url = urlFor(key);
+
+    await transport.get(url);
+    advance(ttl - 1);
+    await transport.get(url);
+    expect(inner.requests).toHaveLength(1);
+
+    advance(1);
+    await transport.get(url);
+    expect(inner.requests).toHaveLength(2);
+    expect(transport.stats()).toMatchObject({ hits: 1, misses: 2 });
+  });
+
+  test('keeps listings for settled sitting days longer', () => {
+    expect(ttlFor(`${API}/overview/sectionsforday.json?date=2025-01-15&house=Commons`)).toBe(CACHE_TTLS['/overview/sectionsforday.json']);
+    expect(ttlFor(`${API}/overview/sectionsforday.json?date=2024-11-28&house=Commons`)).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+
+  test('revalidates a stale entry with its ETag and serves it on 304', async () => {
+    const url = `${API}/overview/lastsittingdate.json`;
+    const inner = createInnerTransport((_, { headers }) => headers['If-None-Match'] === '"v1"'
+      ? { status: 304, headers: {}, body: '' }
+      : { status: 200, headers: { etag: '"v1"' }, body: '"2025-01-16T00:00:00"' });
+    const transport = createCachingTransport(inner, { dir });
+
+    await transport.get(url);
+    advance(CACHE_TTLS['/overview/lastsittingdate.json']);
+    const response = await transport.get(url);
+
+    expect(inner.requests[1].headers).toEqual({ 'If-None-Match': '"v1"' });
+    expect(response).toEqual({ status: 200, headers: { etag: '"v1"' }, body: '"2025-01-16T00:00:00"' });
+
+    // A 304 restarts the entry's TTL
+    await transport.get(url);
+    expect(inner.requests).toHaveLength(2);
+    expect(transport.stats()).toMatchObject({ hits: 1, misses: 1, revalidated: 1, changed: 0 });
+  });
+
+  test('sends If-Modified-Since and stores a changed body', async () => {
+    const url = `${API}/debates/debate/1234.json`;
+    let body = '{"Items":[]}';
+    const inner = createInnerTransport(() => ({ status: 200, headers: { 'last-modified': 'Thu, 16 Jan 2025 08:00:00 GMT' }, body }));
+    const transport = createCachingTransport(inner, { dir });
+
+    await transport.get(url);
+    body = '{"Items":[{"Value":"Corrected"}]}';
+    const response = await transport.get(url, { revalidate: true });
+
+    expect(inner.requests[1].headers).toEqual({ 'If-Modified-Since': 'Thu, 16 Jan 2025 08:00:00 GMT' });
+    expect(response.body).toBe(body);
+    expect((await transport.get(url)).body).toBe(body);
+    expect(transport.stats()).toMatchObject({ hits: 1, misses: 2, changed: 1 });
+  });
+
+  test('does not cache error responses', async () => {
+    const url = `${API}/debates/debate/missing.json`;
+    const inner = createInnerTransport(() => ({ status: 404, headers: {}, body: '' }));
+    const transport = createCachingTransport(inner, { dir });
+
+    await transport.get(url);
+    await transport.get(url);
+
+    expect(inner.requests).toHaveLength(2);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
+
+describe('createDefaultTransport', () => {
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'hansard-default-')), 'cache');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(cacheDir), { recursive: true, force: true });
+  });
+
+  test('skips the response cache when HANSARD_CACHE=off', () => {
+    expect(config.HANSARD_CACHE_ENABLED).toBe(false);
+
+    const transport = createDefaultTransport({ mode: null, cacheDir });
+
+    expect(transport.stats).toBeUndefined();
+    expect(fs.existsSync(cacheDir)).toBe(false);
+  });
+
+  test('caches live responses when the cache is on', () => {
+    const transport = createDefaultTransport({ mode: null, cache: true, cacheDir });
+
+    expect(transport.stats()).toMatchObject({ hits: 0, misses: 0 });
+    expect(fs.existsSync(cacheDir)).toBe(true);
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { config } from '../../config/config.js';
+import { HansardService, HANSARD_API_BASE } from '../hansard.js';
+import { MissingFixtureError, createStaticTransport } from '../hansard-transport.js';
+
+const DEBATES_URL = 'https://hansard-api.parliament.uk/search/debates.json?queryParameters.date=2025-01-16';
+
+// Transport that answers each request with the next of `responses`; an Error is thrown instead of returned
+function createSequenceTransport(responses) {
+  const requests = [];
+
+  return {
+    requests,
+    async get(url) {
+      requests.push(url);
+      const response = responses[Math.min(requests.length, responses.length) - 1];
+      if (response instanceof Error) throw response;
+      return response;
+    }
+  };
+}
+
+const ok = (body) => ({ status: 200, headers: {}, body: JSON.stringify(body) });
+
+describe('HansardService.fetchWithErrorHandling', () => {
+  const { MAX_RETRIES, RETRY_DELAY, HANSARD_MAX_RETRY_DELAY } = config;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-01-16T09:00:00Z') });
+    Object.assign(config, { MAX_RETRIES: 3, RETRY_DELAY: 1000, HANSARD_MAX_RETRY_DELAY: 30000 });
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    Object.assign(config, { MAX_RETRIES, RETRY_DELAY, HANSARD_MAX_RETRY_DELAY });
+    HansardService.setTransport(null);
+  });
+
+  const fetchWith = (responses) => {
+    const transport = createSequenceTransport(responses);
+    HansardService.setTransport(transport);
+    const result = HansardService.fetchWithErrorHandling(DEBATES_URL);
+    // Keep an early rejection from being reported before the test awaits it
+    result.catch(() => {});
+    return { transport, result };
+  };
+
+  test('waits for the Retry-After seconds before retrying a 429', async () => {
+    const { transport, result } = fetchWith([
+      { status: 429, headers: { 'retry-after': '2' }, body: '' },
+      ok({ Results: [] })
+    ]);
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(transport.requests).toHaveLength(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toEqual({ Results: [] });
+    expect(transport.requests).toHaveLength(2);
+  });
+
+  test('accepts an HTTP date as Retry-After, capped at the maximum delay', async () => {
+    const { transport, result } = fetchWith([
+      { status: 503, headers: { 'retry-after': new Date('2025-01-16T10:00:00Z').toUTCString() }, body: '' },
+      ok({ Results: [] })
+    ]);
+
+    await jest.advanceTimersByTimeAsync(29999);
+    expect(transport.requests).toHaveLength(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toEqual({ Results: [] });
+  });
+
+  test('backs off exponentially with jitter when no Retry-After is sent', async () => {
+    expect([0, 1, 2].map(retryCount => HansardService.getRetryDelay(retryCount))).toEqual([500, 1000, 2000]);
+    expect(HansardService.getRetryDelay(10)).toBe(15000);
+
+    const { transport, result } = fetchWith([
+      { status: 502, headers: {}, body: '' },
+      new Error('socket hang up'),
+      ok({ Results: [] })
+    ]);
+
+    await jest.advanceTimersByTimeAsync(500);
+    expect(transport.requests).toHaveLength(2);
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(transport.requests).toHaveLength(2);
+
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toEqual({ Results: [] });
+    expect(transport.requests).toHaveLength(3);
+  });
+
+  test('gives up after MAX_RETRIES and throws the last status', async () => {
+    const { transport, result } = fetchWith([{ status: 503, headers: {}, body: '' }]);
+
+    await jest.advanceTimersByTimeAsync(500 + 1000 + 2000);
+
+    await expect(result).rejects.toMatchObject({ status: 503 });
+    expect(transport.requests).toHaveLength(4);
+  });
+
+  test('does not retry client errors or missing fixtures', async () => {
+    const notFound = fetchWith([{ status: 404, headers: {}, body: '' }]);
+    await expect(notFound.result).rejects.toMatchObject({ status: 404 });
+    expect(notFound.transport.requests).toHaveLength(1);
+
+    const missing = fetchWith([new MissingFixtureError(DEBATES_URL)]);
+    await expect(missing.result).rejects.toBeInstanceOf(MissingFixtureError);
+    expect(missing.transport.requests).toHaveLength(1);
+  });
+});
+
+describe('HansardService.getDebateDivisions', () => {
+  afterEach(() => {
+    HansardService.setTransport(null);
+  });
+
+  const line = (kind, value) => ({ kind, value, sectionExtId: 'section-1' });
+  const voter = (memberId, name, party, extra = {}) => ({ MemberId: memberId, DisplayName: name, Party: party, ...extra });
+
+  const debate = {
+    ExternalId: 'debate-1',
+    Overview: { House: 'Commons' },
+    Items: [
+      line('procedural', 'Question put, That the amendment be made.'),
+      line('division', 'The House divided:'),
+      line('division', 'Ayes 2, Noes 2.'),
+      line('speech', 'The numbers being equal, it is my duty to cast my vote. I therefore cast my vote with the Noes.'),
+      line('procedural', 'Question accordingly negatived.'),
+      line('procedural', 'Question put, That the Bill be now read a Second time.'),
+      line('division', 'The House divided:'),
+      line('procedural', 'Question accordingly agreed to.')
+    ]
+  };
+
+  beforeEach(() => {
+    HansardService.setTransport(createStaticTransport({
+      [`${HANSARD_API_BASE}/debates/divisions/section-1.json`]: {
+        body: [
+          { ExternalId: 'division-2', Number: '102', Time: '2025-01-16T19:15:00', AyesCount: 3, NoesCount: 1 },
+          { ExternalId: 'division-1', Number: '101', Time: '2025-01-16T19:00:00', AyesCount: 2, NoesCount: 2 }
+        ]
+      },
+      [`${HANSARD_API_BASE}/debates/division/division-1.json?isEvel=false`]: {
+        body: {
+          AyeMembers: [voter(5257, 'Rachel Blake', 'Lab/Co-op'), voter(4131, 'Jim Shannon', 'DUP')],
+          NoeMembers: [voter(4514, 'Ed Miliband', 'Labour'), voter(4409, 'Marsha De Cordova', 'Labour')],
+          AyeTellers: [voter(4000, 'Mark Tami', 'Labour')],
+          NoeTellers: [voter(4001, 'Chris Elmore', 'Labour')]
+        }
+      },
+      [`${HANSARD_API_BASE}/debates/division/division-2.json?isEvel=false`]: { body: { AyeMembers: [], NoeMembers: [] } }
+    }));
+  });
+
+  test('normalises each division with the question put before it', async () => {
+    const [first, second] = await HansardService.getDebateDivisions(debate);
+
+    expect(first).toMatchObject({
+      ext_id: 'division-1',
+      debate_ext_id: 'debate-1',
+      section_ext_id: 'section-1',
+      house: 'Commons',
+      number: '101',
+      question: 'Question put, That the amendment be made.',
+      ayes_count: 2,
+      noes_count: 2,
+      aye_tellers: ['Mark Tami'],
+      noe_tellers: ['Chris Elmore'],
+      ayes: [
+        { member_id: 5257, name: 'Rachel Blake', party: 'Labour (Co-op)', proxy: null },
+        { member_id: 4131, name: 'Jim Shannon', party: 'Democratic Unionist Party', proxy: null }
+      ]
+    });
+    expect(second).toMatchObject({ ext_id: 'division-2', question: 'Question put, That the Bill be now read a Second time.' });
+  });
+
+  test('records the casting vote that decided a tie, and none for other divisions', async () => {
+    const [tied, decided] = await HansardService.getDebateDivisions(debate);
+
+    expect(tied.casting_vote).toBe('noe');
+    expect(decided.casting_vote).toBeNull();
+  });
+
+  test('takes the decision on the question when no casting vote is quoted', async () => {
+    const divisions = await HansardService.getDebateDivisions({
+      ...debate,
+      Items: debate.Items.filter(item => !item.value.includes('cast my vote'))
+    });
+
+    expect(divisions[0].casting_vote).toBe('noe');
+  });
+
+  test('skips debates with no division in the transcript', async () => {
+    expect(await HansardService.getDebateDivisions({ ...debate, Items: debate.Items.slice(0, 1) })).toEqual([]);
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { config } from '../../config/config.js';
+import { LLMService } from '../llm.js';
+import { createStubProvider } from '../llm-providers.js';
+import { SupabaseService } from '../supabase.js';
+import { UsageLedger, BudgetExceededError, estimateBatchCost } from '../usage-ledger.js';
+
+const TASK_MODELS = {
+  analysis: 'gpt-4o',
+  questions: 'gpt-4.1-mini',
+  summary: null,
+  search: 'gpt-4.1',
+  embeddings: 'text-embedding-3-small',
+  completion: 'gpt-4o-mini'
+};
+
+describe('LLMService', () => {
+  const configuredModels = { ...config.LLM_MODELS };
+  const runBudget = config.LLM_RUN_BUDGET;
+  let provider;
+  let usageRows;
+
+  beforeEach(() => {
+    Object.assign(config.LLM_MODELS, TASK_MODELS);
+    provider = createStubProvider();
+    LLMService.setProvider(provider);
+    UsageLedger.startRun('test-run');
+
+    usageRows = [];
+    jest.spyOn(SupabaseService, 'recordModelUsage').mockImplementation(async (rows) => {
+      usageRows.push(...rows);
+      return { data: rows, error: null };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Object.assign(config.LLM_MODELS, configuredModels);
+    config.LLM_RUN_BUDGET = runBudget;
+  });
+
+  const messages = [{ role: 'user', content: 'Summarise the debate.' }];
+
+  test('sends each task to its configured model', async () => {
+    await LLMService.complete('analysis', { messages });
+    await LLMService.complete('questions', { messages });
+    await LLMService.complete('unknown-task', { messages });
+
+    expect(provider.calls.map(call => call.model)).toEqual(['gpt-4o', 'gpt-4.1-mini', 'gpt-4o-mini']);
+  });
+
+  test('follows changes to the task models', async () => {
+    config.LLM_MODELS.analysis = 'gpt-4.1';
+
+    await LLMService.complete('analysis', { messages });
+
+    expect(provider.calls[0].model).toBe('gpt-4.1');
+  });
+
+  test('uses an explicit model over the task model', async () => {
+    await LLMService.complete('analysis', { messages, model: 'gpt-4o-2024-08-06' });
+
+    expect(provider.calls[0].model).toBe('gpt-4o-2024-08-06');
+  });
+
+  test('builds the configured provider on first use, not when reset', async () => {
+    const configuredProvider = config.LLM_PROVIDER;
+    config.LLM_PROVIDER = 'unknown';
+
+    try {
+      LLMService.setProvider(null);
+      expect(LLMService.provider).toBeNull();
+      await expect(LLMService.complete('analysis', { messages })).rejects.toThrow('Unknown LLM_PROVIDER: unknown');
+
+      config.LLM_PROVIDER = 'stub';
+      await LLMService.complete('analysis', { messages });
+      expect(LLMService.getProvider().name).toBe('stub');
+    } finally {
+      config.LLM_PROVIDER = configuredProvider;
+    }
+  });
+
+  test('routes embeddings, assistants and batch requests by task', async () => {
+    await LLMService.embed(['first', 'second']);
+    await LLMService.runAssistant('search', { assistantId: 'asst_1', prompt: 'Find debates on energy' });
+    await LLMService.runAssistant('summary', { assistantId: 'asst_2', prompt: 'Summarise the week' });
+    const request = LLMService.batchRequest('questions', 'debate-1', { messages, maxTokens: 1000 });
+
+    // The stub answers assistant runs through complete(), which logs a call of its own
+    const routed = provider.calls.filter(call => call.method !== 'complete');
+    expect(routed.map(call => [call.method, call.model])).toEqual([
+      ['embed', 'text-embedding-3-small'],
+      ['runAssistant', 'gpt-4.1'],
+      // No summary model configured: the assistant keeps its own
+      ['runAssistant', null]
+    ]);
+    expect(request).toMatchObject({
+      custom_id: 'debate-1',
+      url: '/v1/chat/completions',
+      body: { model: 'gpt-4.1-mini', max_tokens: 1000, messages }
+    });
+  });
+
+  test('records usage against the task, model and debate', async () => {
+    const debate = { ext_id: 'debate-1', overview: { Type: 'Debated Bill' } };
+
+    const result = await LLMService.complete('analysis', { messages, debate });
+
+    expect(usageRows).toEqual([expect.objectContaining({
+      run_id: 'test-run',
+      task: 'analysis',
+      provider: 'stub',
+      model: 'gpt-4o',
+      debate_id: 'debate-1',
+      debate_type: 'Debated Bill',
+      prompt_tokens: result.usage.prompt_tokens,
+      completion_tokens: result.usage.completion_tokens,
+      batch: false
+    })]);
+    expect(usageRows[0].cost).toBeGreaterThan(0);
+  });
+
+  test('stub responses follow the requested schema and repeat for the same messages', async () => {
+    const responseFormat = {
+      type: 'json_schema',
+      json_schema: {
+        name: 'answer',
+        schema: { type: 'object', properties: { answer: { type: 'string' }, count: { type: 'integer' } } }
+      }
+    };
+
+    const first = await LLMService.complete('completion', { messages, responseFormat });
+    const second = await LLMService.complete('completion', { messages, responseFormat });
+
+    expect(Object.keys(JSON.parse(first.content))).toEqual(['answer', 'count']);
+    expect(second.content).toBe(first.content);
+    expect(first.finishReason).toBe('stop');
+  });
+
+  describe('batches', () => {
+    const requests = ['debate-1', 'debate-2'].map(id => LLMService.batchRequest('analysis', id, { messages, maxTokens: 4000 }));
+    const debates = [{ ext_id: 'debate-1', type: 'Debate' }, { ext_id: 'debate-2', type: 'Debate' }];
+
+    // The stub as a provider with a batch API, billed when the results are collected
+    const useBatchApi = () => LLMService.setProvider({ ...provider, inlineBatches: false });
+
+    test('checks and records each request of an inline batch as it runs, stopping at the budget', async () => {
+      // The batch fits its estimate, but the first request alone uses the whole budget
+      config.LLM_RUN_BUDGET = 1;
+      const complete = provider.complete;
+      provider.complete = async (request) => ({
+        ...await complete(request),
+        usage: { prompt_tokens: 1e6, completion_tokens: 0 }
+      });
+
+      const batch = await LLMService.createBatch(requests, { debates });
+      const results = await LLMService.batchResults(batch, { debates });
+
+      expect(batch.estimatedCost).toBe(0);
+      expect(results.map(result => result.custom_id)).toEqual(['debate-1']);
+      expect(usageRows.map(row => [row.debate_id, row.batch])).toEqual([['debate-1', false]]);
+      expect(UsageLedger.exceeded).toBeInstanceOf(BudgetExceededError);
+    });
+
+    test('reserves the estimated batch cost against the budget until the results are recorded', async () => {
+      useBatchApi();
+      const estimate = estimateBatchCost(requests);
+      expect(estimate).toBeGreaterThan(0);
+      config.LLM_RUN_BUDGET = estimate * 1.5;
+
+      const batch = await LLMService.createBatch(requests);
+
+      expect(batch.estimatedCost).toBe(estimate);
+      expect(UsageLedger.runReservations.get(batch.id)).toBe(estimate);
+      // Another batch of the same size would take the run over its budget
+      await expect(LLMService.createBatch(requests)).rejects.toBeInstanceOf(BudgetExceededError);
+      expect(provider.calls).toHaveLength(2);
+
+      UsageLedger.startRun('test-run');
+      config.LLM_RUN_BUDGET = estimate * 1.5;
+      const collected = await LLMService.createBatch(requests);
+      await LLMService.batchResults(collected, { debates });
+
+      expect(UsageLedger.runReservations.size).toBe(0);
+      expect(UsageLedger.getRunTotals().cost).toBeLessThan(estimate);
+    });
+
+    test('records each batch result once however often the batch is read', async () => {
+      useBatchApi();
+      const batch = await LLMService.createBatch(requests);
+
+      await LLMService.batchResults(batch, { debates });
+      await LLMService.batchResults(batch, { debates });
+
+      expect(usageRows.map(row => [row.batch_id, row.custom_id, row.batch])).toEqual([
+        [batch.id, 'debate-1', true],
+        [batch.id, 'debate-2', true]
+      ]);
+      expect(UsageLedger.getRunTotals().calls).toBe(2);
+    });
+  });
+});
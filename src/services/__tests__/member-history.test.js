@@ -0,0 +1,124 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { HansardService } from '../hansard.js';
+import { createStaticTransport } from '../hansard-transport.js';
+import { MemberHistoryService, MEMBERS_API_BASE } from '../member-history.js';
+import { SupabaseService } from '../supabase.js';
+
+const historyUrl = (...ids) => `${MEMBERS_API_BASE}/api/Members/History?${ids.map(id => `ids=${id}`).join('&')}`;
+
+// Danny Kruger: Conservative MP for Devizes, then East Wiltshire, who joined Reform UK in 2025
+const KRUGER = {
+  id: 4829,
+  nameHistory: [{ nameDisplayAs: 'Danny Kruger', nameFullTitle: 'Danny Kruger MP', startDate: '2019-12-12T00:00:00', endDate: null }],
+  partyHistory: [
+    { party: { name: 'Conservative', abbreviation: 'Con' }, startDate: '2019-12-12T00:00:00', endDate: '2025-09-14T00:00:00' },
+    { party: { name: 'Reform UK', abbreviation: 'RUK' }, startDate: '2025-09-15T00:00:00', endDate: null }
+  ],
+  houseMembershipHistory: [
+    { membershipFrom: 'Devizes', house: 1, membershipStartDate: '2019-12-12T00:00:00', membershipEndDate: '2024-05-30T00:00:00', membershipEndReason: 'Dissolution' },
+    { membershipFrom: 'East Wiltshire', house: 1, membershipStartDate: '2024-07-04T00:00:00', membershipEndDate: null }
+  ]
+};
+
+// Static transport that also records each requested URL
+function useMembersApi(responses) {
+  const inner = createStaticTransport(responses);
+  const requests = [];
+
+  HansardService.setTransport({
+    async get(url, options) {
+      requests.push(url);
+      return inner.get(url, options);
+    }
+  });
+
+  return requests;
+}
+
+describe('MemberHistoryService', () => {
+  let upserted;
+
+  beforeEach(() => {
+    MemberHistoryService.cache.clear();
+    upserted = [];
+    jest.spyOn(SupabaseService, 'getMemberHistory').mockImplementation(async () => ({ data: [], error: null }));
+    jest.spyOn(SupabaseService, 'upsertMemberHistory').mockImplementation(async (rows) => {
+      upserted.push(...rows);
+      return { data: rows, error: null };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    HansardService.setTransport(null);
+  });
+
+  test('flattens Members API history into dated rows', async () => {
+    useMembersApi({ [historyUrl(4829)]: { body: [{ value: KRUGER }] } });
+
+    const rows = await MemberHistoryService.fetchHistory([4829]);
+
+    expect(rows).toContainEqual({
+      member_id: 4829, kind: 'party', value: 'Conservative', detail: 'Con', house: null, start_date: '2019-12-12', end_date: '2025-09-14'
+    });
+    expect(rows).toContainEqual({
+      member_id: 4829, kind: 'house', value: 'Devizes', detail: 'Dissolution', house: 'Commons', start_date: '2019-12-12', end_date: '2024-05-30'
+    });
+    expect(rows.filter(row => row.kind === 'name')).toHaveLength(1);
+  });
+
+  test('requests history for at most 20 members at a time', async () => {
+    const ids = Array.from({ length: 25 }, (_, index) => 1000 + index);
+    const requests = useMembersApi({
+      [historyUrl(...ids.slice(0, 20))]: { body: [] },
+      [historyUrl(...ids.slice(20))]: { body: [] }
+    });
+
+    await MemberHistoryService.fetchHistory(ids);
+
+    expect(requests).toEqual([historyUrl(...ids.slice(0, 20)), historyUrl(...ids.slice(20))]);
+  });
+
+  test('resolves party, seat and name as of the debate date', async () => {
+    useMembersApi({ [historyUrl(4829)]: { body: [{ value: KRUGER }] } });
+
+    const before = await MemberHistoryService.resolveMembersAsOf([4829], '2023-03-01T00:00:00');
+    const after = await MemberHistoryService.resolveMembersAsOf([4829], '2025-10-01');
+
+    expect(before.get(4829)).toEqual({ name: 'Danny Kruger', party: 'Conservative', constituency: 'Devizes', house: 'Commons' });
+    expect(after.get(4829)).toEqual({ name: 'Danny Kruger', party: 'Reform UK', constituency: 'East Wiltshire', house: 'Commons' });
+  });
+
+  test('leaves out members with no history covering the date', async () => {
+    useMembersApi({ [historyUrl(4829)]: { body: [{ value: KRUGER }] } });
+
+    const resolved = await MemberHistoryService.resolveMembersAsOf([4829], '2015-05-07');
+
+    expect(resolved.size).toBe(0);
+  });
+
+  test('uses stored history and fetches and stores only members not yet stored', async () => {
+    SupabaseService.getMemberHistory.mockImplementation(async () => ({
+      data: [{ member_id: 5257, kind: 'party', value: 'Labour (Co-op)', house: null, start_date: '2024-07-04', end_date: null }],
+      error: null
+    }));
+    const requests = useMembersApi({ [historyUrl(4829)]: { body: [{ value: KRUGER }] } });
+
+    const resolved = await MemberHistoryService.resolveMembersAsOf([5257, 4829], '2025-01-16');
+    await MemberHistoryService.resolveMembersAsOf([5257, 4829], '2025-01-16');
+
+    expect(resolved.get(5257)).toMatchObject({ party: 'Labour (Co-op)' });
+    expect(resolved.get(4829)).toMatchObject({ party: 'Conservative' });
+    expect(requests).toEqual([historyUrl(4829)]);
+    expect(new Set(upserted.map(row => row.member_id))).toEqual(new Set([4829]));
+    expect(SupabaseService.getMemberHistory).toHaveBeenCalledTimes(1);
+  });
+
+  test('resolves no one when the Members API fails', async () => {
+    useMembersApi({ [historyUrl(4829)]: { status: 400, body: '' } });
+
+    const resolved = await MemberHistoryService.resolveMembersAsOf([4829], '2025-01-16');
+
+    expect(resolved.size).toBe(0);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, test, expect } from '@jest/globals';
+import { MemberProfileService } from '../member-profiles.js';
+
+function activity(debateExtId, date, fields = {}) {
+  return {
+    debate_ext_id: debateExtId,
+    member_id: 5257,
+    name: 'Rachel Blake',
+    party: 'Labour (Co-op)',
+    house: 'Commons',
+    debate_date: date,
+    debate_type: 'Question',
+    debate_title: `Debate ${debateExtId}`,
+    contributions: 1,
+    words: 100,
+    questions_asked: 0,
+    answers_given: 0,
+    quote: null,
+    quote_item_ext_id: null,
+    ...fields
+  };
+}
+
+describe('MemberProfileService.buildProfile', () => {
+  test('lists the debates the member spoke most in as top_debates', () => {
+    const profile = MemberProfileService.buildProfile(5257, [
+      activity('debate-1', '2025-01-14', { words: 120 }),
+      activity('debate-2', '2025-01-15', { words: 900, debate_type: 'Debated Bill' }),
+      activity('debate-3', '2025-01-16', { words: 450 })
+    ]);
+
+    expect(profile.top_debates).toEqual([
+      { title: 'Debate debate-2', debate_ext_id: 'debate-2', date: '2025-01-15', words: 900 },
+      { title: 'Debate debate-3', debate_ext_id: 'debate-3', date: '2025-01-16', words: 450 },
+      { title: 'Debate debate-1', debate_ext_id: 'debate-1', date: '2025-01-14', words: 120 }
+    ]);
+    expect(profile).not.toHaveProperty('top_topics');
+    expect(profile.debate_types).toEqual([{ type: 'Question', debates: 2 }, { type: 'Debated Bill', debates: 1 }]);
+    expect(profile).toMatchObject({ debates: 3, words: 1470, first_seen: '2025-01-14', last_seen: '2025-01-16' });
+  });
+
+  test('keeps the ten debates with the most words', () => {
+    const rows = Array.from({ length: 12 }, (_, index) => activity(`debate-${index}`, '2025-01-16', { words: index }));
+
+    const profile = MemberProfileService.buildProfile(5257, rows);
+
+    expect(profile.top_debates.map(debate => debate.words)).toEqual([11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, test, expect, afterEach, jest } from '@jest/globals';
+import { MemberSync, diffMembers } from '../member-sync.js';
+import { MemberHistoryService } from '../member-history.js';
+import { SupabaseService } from '../supabase.js';
+
+// A members row as stored; the fetched copy of the same member uses the API's date format
+function member(memberId, fields = {}) {
+  return {
+    member_id: memberId,
+    display_as: 'Rachel Blake',
+    full_title: 'Rachel Blake MP',
+    gender: 'F',
+    party: 'Labour (Co-op)',
+    house: 'Commons',
+    member_from: 'Cities of London and Westminster',
+    house_start_date: '2024-07-04',
+    house_end_date: null,
+    constituency_country: 'England',
+    ...fields
+  };
+}
+
+const fetched = (memberId, fields = {}) => member(memberId, { house_start_date: '2024-07-04T00:00:00', ...fields });
+
+describe('diffMembers', () => {
+  test('adds members not yet stored', () => {
+    const newMember = fetched(5300, { display_as: 'Sarah Pochin', party: 'Reform UK', member_from: 'Runcorn and Helsby' });
+
+    const { rows, report } = diffMembers([member(5257)], [fetched(5257), newMember]);
+
+    expect(rows).toEqual([newMember]);
+    expect(report).toMatchObject({
+      added: [{ member_id: 5300, name: 'Sarah Pochin', party: 'Reform UK', house: 'Commons' }],
+      updated: 0,
+      unchanged: 1
+    });
+  });
+
+  test('reports a member as departed when a house end date appears', () => {
+    const { rows, report } = diffMembers(
+      [member(4036, { display_as: 'Mike Amesbury', party: 'Independent' })],
+      [fetched(4036, { display_as: 'Mike Amesbury', party: 'Independent', house_end_date: '2025-03-10T00:00:00' })]
+    );
+
+    expect(rows).toHaveLength(1);
+    expect(report.departed).toEqual([{ member_id: 4036, name: 'Mike Amesbury', house: 'Commons', end_date: '2025-03-10' }]);
+    expect(report).toMatchObject({ partyChanges: [], nameChanges: [], updated: 1 });
+  });
+
+  test('reports party and name changes', () => {
+    const { rows, report } = diffMembers(
+      [member(4131, { display_as: 'Danny Kruger', party: 'Conservative' }), member(5257)],
+      [fetched(4131, { display_as: 'Danny Kruger', party: 'Reform UK' }), fetched(5257, { display_as: 'Rachel Blake-Smith' })]
+    );
+
+    expect(rows.map(row => row.member_id)).toEqual([4131, 5257]);
+    expect(report.partyChanges).toEqual([{ member_id: 4131, name: 'Danny Kruger', from: 'Conservative', to: 'Reform UK' }]);
+    expect(report.nameChanges).toEqual([{ member_id: 5257, from: 'Rachel Blake', to: 'Rachel Blake-Smith' }]);
+    expect(report.departed).toEqual([]);
+  });
+
+  test('writes other changed fields without reporting them', () => {
+    const { rows, report } = diffMembers([member(5257)], [fetched(5257, { full_title: 'Rachel Blake' })]);
+
+    expect(rows).toHaveLength(1);
+    expect(report).toMatchObject({ added: [], departed: [], partyChanges: [], nameChanges: [], updated: 1, unchanged: 0 });
+  });
+
+  test('treats differently formatted dates and empty values as unchanged', () => {
+    const { rows, report } = diffMembers(
+      [member(5257, { house_start_date: '2024-07-04 00:00:00+00', house_end_date: null })],
+      [fetched(5257, { house_end_date: '' })]
+    );
+
+    expect(rows).toEqual([]);
+    expect(report.unchanged).toBe(1);
+  });
+
+  test('matches stored ids returned as strings and leaves members missing from the fetch alone', () => {
+    const { rows, report } = diffMembers([member('5257'), member(4131, { display_as: 'Jim Shannon' })], [fetched(5257)]);
+
+    expect(rows).toEqual([]);
+    expect(report).toMatchObject({ added: [], departed: [], updated: 0, unchanged: 1 });
+  });
+});
+
+describe('MemberSync.syncAllMembers', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('writes only new and changed rows and notifies followers of reportable changes', async () => {
+    jest.spyOn(MemberSync, 'getStoredMembers').mockImplementation(async () => [
+      member(5257),
+      member(4131, { display_as: 'Danny Kruger', party: 'Conservative' })
+    ]);
+    jest.spyOn(MemberSync, 'fetchAllMembers').mockImplementation(async () => [
+      fetched(5257),
+      fetched(4131, { display_as: 'Danny Kruger', party: 'Reform UK' }),
+      fetched(5300, { display_as: 'Sarah Pochin', party: 'Reform UK' })
+    ]);
+    const upsert = jest.spyOn(SupabaseService, 'upsertMembers').mockImplementation(async (rows) => ({ data: rows, error: null }));
+    const syncHistory = jest.spyOn(MemberHistoryService, 'syncHistory').mockImplementation(async () => {});
+    const notify = jest.spyOn(MemberSync, 'notifyTrackers').mockImplementation(async (changes) => changes.length);
+
+    const report = await MemberSync.syncAllMembers({ reportPath: null });
+
+    expect(upsert.mock.calls[0][0].map(row => row.member_id)).toEqual([4131, 5300]);
+    expect(syncHistory).toHaveBeenCalledWith([4131]);
+    expect(notify).toHaveBeenCalledWith([
+      { member_id: 4131, name: 'Danny Kruger', from: 'Conservative', to: 'Reform UK', kind: 'party' }
+    ]);
+    expect(report).toMatchObject({ totalProcessed: 3, notified: 1, unchanged: 1 });
+  });
+});
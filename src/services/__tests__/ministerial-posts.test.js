@@ -0,0 +1,153 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { HansardService } from '../hansard.js';
+import { createStaticTransport } from '../hansard-transport.js';
+import { MEMBERS_API_BASE } from '../member-history.js';
+import { MinisterialPostsRegistry, normalisePostTitle } from '../ministerial-posts.js';
+
+const POSTS = [
+  {
+    post: 'Secretary of State for Defence',
+    house: null,
+    source: 'members-api',
+    aliases: ['Defence Secretary'],
+    holders: [
+      { member_id: 4100, name: 'Grant Shapps', start_date: '2023-08-31', end_date: '2024-07-05' },
+      { member_id: 1604, name: 'John Healey', start_date: '2024-07-05', end_date: null }
+    ]
+  },
+  {
+    post: 'Deputy Speaker',
+    house: 'Commons',
+    source: 'manual',
+    aliases: ['Madam Deputy Speaker', 'Mr Deputy Speaker'],
+    holders: [
+      { member_id: 4088, name: 'Nusrat Ghani', start_date: '2024-07-23', end_date: null },
+      { member_id: 4491, name: 'Caroline Nokes', start_date: '2024-07-23', end_date: null }
+    ]
+  },
+  {
+    post: 'Deputy Speaker',
+    house: 'Lords',
+    source: 'manual',
+    aliases: ['The Deputy Speaker'],
+    holders: [{ member_id: 3898, name: 'Lord Russell of Liverpool', start_date: '2024-01-01', end_date: null }]
+  }
+];
+
+describe('normalisePostTitle', () => {
+  test('ignores a leading "The", the holder in brackets, punctuation and case', () => {
+    expect(normalisePostTitle('The Secretary of State for Health and Social Care (Wes Streeting)'))
+      .toBe(normalisePostTitle('secretary of state for health and social care'));
+    expect(normalisePostTitle('Parliamentary Under-Secretary of State')).toBe('parliamentary under secretary of state');
+  });
+});
+
+describe('MinisterialPostsRegistry.resolve', () => {
+  beforeEach(() => {
+    MinisterialPostsRegistry.setPosts(structuredClone(POSTS));
+  });
+
+  afterEach(() => {
+    MinisterialPostsRegistry.posts = null;
+  });
+
+  test('names the holder of a post on the debate date', () => {
+    expect(MinisterialPostsRegistry.resolve('The Secretary of State for Defence', { date: '2024-03-05T00:00:00' }))
+      .toMatchObject({ member_id: 4100, name: 'Grant Shapps', post: 'Secretary of State for Defence' });
+    expect(MinisterialPostsRegistry.resolve('Defence Secretary', { date: '2025-01-16' }))
+      .toMatchObject({ member_id: 1604, name: 'John Healey' });
+  });
+
+  test('returns null for unknown posts and dates nobody held the post', () => {
+    expect(MinisterialPostsRegistry.resolve('Secretary of State for Defence', { date: '2020-01-01' })).toBeNull();
+    expect(MinisterialPostsRegistry.resolve('Minister for Paperclips', { date: '2025-01-16' })).toBeNull();
+  });
+
+  test('uses the attribution\'s member ID to pick between joint holders, and is ambiguous without it', () => {
+    expect(MinisterialPostsRegistry.resolve('Madam Deputy Speaker', { date: '2025-01-16', house: 'Commons', memberId: 4491 }))
+      .toMatchObject({ name: 'Caroline Nokes' });
+    expect(MinisterialPostsRegistry.resolve('Madam Deputy Speaker', { date: '2025-01-16', house: 'Commons' })).toBeNull();
+  });
+
+  test('keeps posts of the same name apart by house', () => {
+    expect(MinisterialPostsRegistry.resolve('Deputy Speaker', { date: '2025-01-16', house: 'Lords' }))
+      .toMatchObject({ name: 'Lord Russell of Liverpool' });
+    expect(MinisterialPostsRegistry.isPostTitle('The Deputy Speaker', 'Lords')).toBe(true);
+    expect(MinisterialPostsRegistry.isPostTitle('Mr Deputy Speaker', 'Lords')).toBe(false);
+  });
+
+  test('loads the bundled dataset on first use', () => {
+    MinisterialPostsRegistry.posts = null;
+
+    expect(MinisterialPostsRegistry.resolve('Mr Speaker', { date: '2025-01-16', house: 'Commons' }))
+      .toMatchObject({ name: 'Sir Lindsay Hoyle' });
+  });
+});
+
+describe('MinisterialPostsRegistry.refresh', () => {
+  let datasetPath;
+
+  const postHolder = (id, name, startDate) => ({ member: { value: { id, nameDisplayAs: name } }, startDate, endDate: null });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-09-06T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    datasetPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'posts-')), 'ministerial_posts.json');
+    fs.writeFileSync(datasetPath, JSON.stringify({ updated_at: null, posts: structuredClone(POSTS) }));
+
+    HansardService.setTransport(createStaticTransport({
+      [`${MEMBERS_API_BASE}/api/Posts/GovernmentPosts`]: {
+        body: [
+          { value: { name: 'Secretary of State for Defence', postHolders: [postHolder(1604, 'John Healey', '2024-07-05T00:00:00')] } },
+          {
+            value: {
+              name: 'Secretary of State for the Home Department',
+              hansardName: 'Home Secretary',
+              postHolders: [postHolder(4450, 'Shabana Mahmood', '2025-09-05T00:00:00')]
+            }
+          },
+          { value: { name: 'Deputy Speaker', postHolders: [postHolder(1, 'Not a chair', '2025-01-01T00:00:00')] } }
+        ]
+      },
+      [`${MEMBERS_API_BASE}/api/Posts/OppositionPosts`]: {
+        body: [{ value: { name: 'Shadow Secretary of State for Defence', postHolders: [postHolder(4475, 'James Cartlidge', '2024-11-05T00:00:00')] } }]
+      }
+    }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    HansardService.setTransport(null);
+    MinisterialPostsRegistry.posts = null;
+    fs.rmSync(path.dirname(datasetPath), { recursive: true, force: true });
+  });
+
+  test('adds new posts and holders from the Members API and saves the dataset', async () => {
+    const counts = await MinisterialPostsRegistry.refresh(datasetPath);
+
+    expect(counts).toEqual({ posts: 3, added: 2, closed: 0 });
+    const saved = JSON.parse(fs.readFileSync(datasetPath, 'utf8'));
+    expect(saved.posts.find(post => post.post === 'Secretary of State for the Home Department')).toMatchObject({
+      source: 'members-api',
+      kind: 'government',
+      aliases: ['Home Secretary'],
+      holders: [{ member_id: 4450, name: 'Shabana Mahmood', start_date: '2025-09-05', end_date: null }]
+    });
+    expect(MinisterialPostsRegistry.resolve('Home Secretary', { date: '2025-09-06' })).toMatchObject({ name: 'Shabana Mahmood' });
+  });
+
+  test('leaves manual posts alone and closes holders the API no longer lists', async () => {
+    const posts = structuredClone(POSTS);
+    posts[0].holders.push({ member_id: 9999, name: 'Former Minister', start_date: '2025-01-01', end_date: null });
+    fs.writeFileSync(datasetPath, JSON.stringify({ updated_at: null, posts }));
+
+    const counts = await MinisterialPostsRegistry.refresh(datasetPath);
+
+    expect(counts.closed).toBe(1);
+    const saved = JSON.parse(fs.readFileSync(datasetPath, 'utf8'));
+    expect(saved.posts[0].holders.find(holder => holder.member_id === 9999).end_date).toBe('2025-09-06');
+    expect(saved.posts[1].holders.map(holder => holder.name)).toEqual(['Nusrat Ghani', 'Caroline Nokes']);
+  });
+});
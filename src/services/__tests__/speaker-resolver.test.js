@@ -0,0 +1,138 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { SupabaseService } from '../supabase.js';
+import { SpeakerResolver, attributionKey, nameTokens, parseAttribution } from '../speaker-resolver.js';
+
+const MEMBERS = [
+  { member_id: 1523, display_as: 'Gregory Campbell', party: 'Democratic Unionist Party', member_from: 'East Londonderry', house: 'Commons' },
+  { member_id: 4824, display_as: 'Kim Johnson', party: 'Labour', member_from: 'Liverpool Riverside', house: 'Commons' },
+  { member_id: 4088, display_as: 'Christopher Chope', party: 'Conservative', member_from: 'Christchurch', house: 'Commons' },
+  { member_id: 5001, display_as: 'David Smith', party: 'Labour', member_from: 'North Northumberland', house: 'Commons' },
+  { member_id: 5002, display_as: 'David Smith', party: 'Labour', member_from: 'Carlisle', house: 'Commons' },
+  { member_id: 4282, display_as: 'Lord Khan of Burnley', party: 'Labour', member_from: 'Life peer', house: 'Lords' }
+];
+
+describe('parseAttribution', () => {
+  test('splits the name from the constituency and party', () => {
+    expect(parseAttribution('Mr Gregory Campbell (East Londonderry) (DUP)'))
+      .toEqual({ name: 'Mr Gregory Campbell', constituency: 'East Londonderry', party: 'DUP' });
+    expect(parseAttribution('Kim Johnson (Lab)')).toEqual({ name: 'Kim Johnson', constituency: null, party: 'Lab' });
+  });
+
+  test('strips honorifics and post-nominals from names', () => {
+    expect(nameTokens('The Rt Hon Sir Christopher Chope MP')).toEqual(['christopher', 'chope']);
+    expect(attributionKey('Mr  Gregory Campbell (DUP).')).toBe('mr gregory campbell dup');
+  });
+});
+
+describe('SpeakerResolver.match', () => {
+  beforeEach(() => {
+    SpeakerResolver.setMembers(MEMBERS);
+  });
+
+  afterEach(() => {
+    SpeakerResolver.members = null;
+  });
+
+  test('resolves exact names and short forms of first names', () => {
+    expect(SpeakerResolver.match('Mr Gregory Campbell (East Londonderry) (DUP)')).toMatchObject({ member_id: 1523, status: 'resolved', confidence: 1 });
+    expect(SpeakerResolver.match('Sir Chris Chope (Christchurch) (Con)')).toMatchObject({ member_id: 4088, status: 'resolved' });
+  });
+
+  test('matches peers by title', () => {
+    expect(SpeakerResolver.match('Lord Khan of Burnley', { house: 'Lords' })).toMatchObject({ member_id: 4282, status: 'resolved' });
+  });
+
+  test('queues ambiguous names for review with their candidates', () => {
+    const result = SpeakerResolver.match('David Smith (Lab)');
+
+    expect(result).toMatchObject({ member_id: null, status: 'review' });
+    expect(result.candidates.map(candidate => candidate.member_id).sort()).toEqual([5001, 5002]);
+  });
+
+  test('uses the constituency to tell namesakes apart', () => {
+    expect(SpeakerResolver.match('David Smith (Carlisle) (Lab)')).toMatchObject({ member_id: 5002, status: 'resolved' });
+  });
+
+  test('lowers confidence when the party or house differs', () => {
+    const sameParty = SpeakerResolver.score('Kim Johnson (Lab)', MEMBERS[1]);
+    const otherParty = SpeakerResolver.score('Kim Johnson (Con)', MEMBERS[1]);
+    const otherHouse = SpeakerResolver.score('Kim Johnson', MEMBERS[1], { house: 'Lords' });
+
+    expect(sameParty).toEqual({ confidence: 1, reasons: ['exact name', 'party'] });
+    expect(otherParty.confidence).toBe(0.85);
+    expect(otherHouse.confidence).toBe(0.7);
+  });
+
+  test('sends a misspelt name to review and leaves unknown names unresolved', () => {
+    expect(SpeakerResolver.match('Kim Jonson')).toMatchObject({ status: 'review', candidates: [expect.objectContaining({ member_id: 4824 })] });
+    expect(SpeakerResolver.match('Jane Doe')).toMatchObject({ member_id: null, status: 'unresolved', candidates: [] });
+  });
+});
+
+describe('SpeakerResolver.resolveMany', () => {
+  let stored;
+  let upserted;
+
+  beforeEach(() => {
+    stored = [];
+    upserted = [];
+    jest.spyOn(SupabaseService, 'getSpeakerMatches').mockImplementation(async () => ({ data: stored, error: null }));
+    jest.spyOn(SupabaseService, 'upsertSpeakerMatches').mockImplementation(async (rows) => {
+      upserted.push(...rows);
+      return { data: rows, error: null };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const decision = (attribution, memberId, status, confidence = 0.75) => ({
+    attribution_key: attributionKey(attribution),
+    attribution,
+    member_id: memberId,
+    member_name: MEMBERS.find(member => member.member_id === memberId).display_as,
+    confidence,
+    status
+  });
+
+  test('records confident matches as auto and weak ones as pending', async () => {
+    const results = await SpeakerResolver.resolveMany(['Kim Johnson (Lab)', 'David Smith (Lab)', 'Jane Doe'], { members: MEMBERS });
+
+    expect(results.get('Kim Johnson (Lab)')).toMatchObject({ member_id: 4824, status: 'resolved' });
+    expect(results.get('Jane Doe').status).toBe('unresolved');
+    expect(upserted.map(row => [row.attribution, row.member_id, row.status])).toEqual([
+      ['Kim Johnson (Lab)', 4824, 'auto'],
+      ['David Smith (Lab)', 5001, 'pending'],
+      ['David Smith (Lab)', 5002, 'pending']
+    ]);
+  });
+
+  test('uses accepted and pending decisions without scoring again', async () => {
+    stored = [decision('David Smith (Lab)', 5002, 'accepted'), decision('Kim Jonson', 4824, 'pending')];
+
+    const results = await SpeakerResolver.resolveMany(['David Smith (Lab)', 'Kim Jonson'], { members: MEMBERS });
+
+    expect(results.get('David Smith (Lab)')).toMatchObject({ member_id: 5002, name: 'David Smith', status: 'accepted', confidence: 1 });
+    expect(results.get('Kim Jonson')).toMatchObject({ member_id: null, status: 'review', confidence: 0.75 });
+    expect(upserted).toEqual([]);
+  });
+
+  test('never proposes a rejected member again', async () => {
+    stored = [decision('David Smith (Lab)', 5001, 'rejected')];
+
+    const results = await SpeakerResolver.resolveMany(['David Smith (Lab)'], { members: MEMBERS });
+
+    expect(results.get('David Smith (Lab)')).toMatchObject({ member_id: 5002, status: 'resolved' });
+    expect(upserted.map(row => row.member_id)).toEqual([5002]);
+  });
+
+  test('accepting a candidate rejects the others pending for the attribution', async () => {
+    const accepted = { ...decision('David Smith (Lab)', 5002, 'accepted'), id: 7 };
+    jest.spyOn(SupabaseService, 'updateSpeakerMatchStatus').mockImplementation(async () => ({ data: accepted, error: null }));
+    const rejectPending = jest.spyOn(SupabaseService, 'rejectPendingSpeakerMatches').mockImplementation(async () => ({ data: [], error: null }));
+
+    await expect(SpeakerResolver.accept(7)).resolves.toBe(accepted);
+    expect(rejectPending).toHaveBeenCalledWith(attributionKey('David Smith (Lab)'));
+  });
+});
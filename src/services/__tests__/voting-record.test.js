@@ -0,0 +1,91 @@
+import { describe, test, expect, afterEach, jest } from '@jest/globals';
+import { SupabaseService } from '../supabase.js';
+import { VotingRecordService } from '../voting-record.js';
+
+const voter = (memberId, name, party) => ({ member_id: memberId, name, party, proxy: null });
+
+function division(ayes, noes) {
+  return {
+    ext_id: 'division-1',
+    debate_ext_id: 'debate-1',
+    house: 'Commons',
+    division_time: '2025-01-16T19:00:00',
+    ayes,
+    noes
+  };
+}
+
+describe('VotingRecordService.buildMemberVotes', () => {
+  test('flags members who voted against their party majority', () => {
+    const votes = VotingRecordService.buildMemberVotes(division(
+      [voter(1, 'Rachel Blake', 'Labour'), voter(2, 'Ed Miliband', 'Labour'), voter(3, 'Kemi Badenoch', 'Conservative')],
+      [voter(4, 'Richard Burgon', 'Labour'), voter(5, 'Mel Stride', 'Conservative'), voter(6, 'Priti Patel', 'Conservative')]
+    ));
+
+    expect(votes.filter(vote => vote.is_rebellion).map(vote => vote.name)).toEqual(['Kemi Badenoch', 'Richard Burgon']);
+    expect(votes.find(vote => vote.member_id === 4)).toMatchObject({
+      division_ext_id: 'division-1',
+      debate_ext_id: 'debate-1',
+      house: 'Commons',
+      vote: 'no',
+      party_position: 'aye',
+      party_ayes: 2,
+      party_noes: 1
+    });
+  });
+
+  test('counts Labour (Co-op) members with Labour', () => {
+    const votes = VotingRecordService.buildMemberVotes(division(
+      [voter(1, 'Rachel Blake', 'Labour (Co-op)'), voter(2, 'Ed Miliband', 'Labour')],
+      [voter(3, 'Marsha De Cordova', 'Labour')]
+    ));
+
+    expect(votes.map(vote => [vote.name, vote.party_position, vote.is_rebellion])).toEqual([
+      ['Rachel Blake', 'aye', false],
+      ['Ed Miliband', 'aye', false],
+      ['Marsha De Cordova', 'aye', true]
+    ]);
+  });
+
+  test('gives no party position for a party split evenly or members without a whip', () => {
+    const votes = VotingRecordService.buildMemberVotes(division(
+      [voter(1, 'Rachel Blake', 'Labour'), voter(3, 'Lord Hope of Craighead', 'Crossbench')],
+      [voter(2, 'Ed Miliband', 'Labour'), voter(4, 'Lord Pannick', 'Crossbench')]
+    ));
+
+    expect(votes.every(vote => vote.party_position === null && !vote.is_rebellion)).toBe(true);
+  });
+
+  test('skips voters without a member id', () => {
+    const votes = VotingRecordService.buildMemberVotes(division([voter(null, 'Unknown', 'Labour')], []));
+
+    expect(votes).toEqual([]);
+  });
+});
+
+describe('VotingRecordService.recordDivisionVotes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('upserts the votes from every division', async () => {
+    const upsert = jest.spyOn(SupabaseService, 'upsertMemberVotes').mockImplementation(async (votes) => ({ data: votes, error: null }));
+
+    await VotingRecordService.recordDivisionVotes([
+      division([voter(1, 'Rachel Blake', 'Labour')], []),
+      { ...division([], [voter(2, 'Mel Stride', 'Conservative')]), ext_id: 'division-2' }
+    ]);
+
+    expect(upsert.mock.calls[0][0].map(vote => [vote.division_ext_id, vote.member_id, vote.vote])).toEqual([
+      ['division-1', 1, 'aye'],
+      ['division-2', 2, 'no']
+    ]);
+  });
+
+  test('does not write when there are no votes', async () => {
+    const upsert = jest.spyOn(SupabaseService, 'upsertMemberVotes');
+
+    await expect(VotingRecordService.recordDivisionVotes([])).resolves.toEqual({ data: [], error: null });
+    expect(upsert).not.toHaveBeenCalled();
+  });
+});
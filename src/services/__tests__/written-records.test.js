@@ -0,0 +1,251 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { HansardService } from '../hansard.js';
+import { WrittenRecordsService, WRITTEN_SECTIONS, WRITTEN_TYPES } from '../written-records.js';
+
+// Stub of the questions-statements API: serves `results[path]` a page at a time and records each request
+function createApiStub(results) {
+  const requests = [];
+
+  return {
+    requests,
+    transport: {
+      async get(url) {
+        const { pathname, searchParams } = new URL(url);
+        requests.push({ path: pathname, params: Object.fromEntries(searchParams) });
+
+        const all = results[pathname] || [];
+        const skip = Number(searchParams.get('skip'));
+        const take = Number(searchParams.get('take'));
+
+        return {
+          status: 200,
+          headers: {},
+          body: JSON.stringify({
+            totalResults: all.length,
+            results: all.slice(skip, skip + take).map(value => ({ value }))
+          })
+        };
+      }
+    }
+  };
+}
+
+const energyMinister = { id: 4514, name: 'Ed Miliband', party: 'Labour', memberFrom: 'Doncaster North' };
+const backBencher = { id: 4131, name: 'Jim Shannon', party: 'Democratic Unionist Party', memberFrom: 'Strangford' };
+
+function statement(id, overrides = {}) {
+  return {
+    id,
+    title: `Statement ${id}`,
+    text: '<p>Energy bills &amp; standing charges will fall.</p>',
+    memberId: energyMinister.id,
+    member: energyMinister,
+    memberRole: 'Secretary of State for Energy Security and Net Zero',
+    uin: `HCWS${id}`,
+    answeringBodyName: 'Department for Energy Security and Net Zero',
+    ...overrides
+  };
+}
+
+function question(id, overrides = {}) {
+  return {
+    id,
+    uin: `${id}`,
+    heading: 'Heat Pumps',
+    questionText: 'To ask the Secretary of State, how many heat pumps were installed in 2024.',
+    answerText: '<p>Around 60,000 heat pumps were installed.</p>',
+    askingMemberId: backBencher.id,
+    askingMember: backBencher,
+    answeringMemberId: energyMinister.id,
+    answeringMember: energyMinister,
+    answeringBodyId: 202,
+    answeringBodyName: 'Department for Energy Security and Net Zero',
+    house: 'Commons',
+    dateAnswered: '2025-01-16T00:00:00',
+    isWithdrawn: false,
+    ...overrides
+  };
+}
+
+const STATEMENTS_PATH = '/api/writtenstatements/statements';
+const QUESTIONS_PATH = '/api/writtenquestions/questions';
+
+describe('WrittenRecordsService', () => {
+  let stub;
+
+  const useStub = (results) => {
+    stub = createApiStub(results);
+    HansardService.setTransport(stub.transport);
+  };
+
+  beforeEach(() => useStub({}));
+  afterEach(() => HansardService.setTransport(null));
+
+  test('follows paging until every result has been read', async () => {
+    useStub({ [STATEMENTS_PATH]: Array.from({ length: 150 }, (_, index) => statement(index + 1)) });
+
+    const statements = await WrittenRecordsService.fetchStatements('2025-01-16', 'Commons');
+
+    expect(statements).toHaveLength(150);
+    expect(stub.requests.map(request => request.params.skip)).toEqual(['0', '100']);
+    expect(stub.requests[0].params).toMatchObject({
+      madeWhenFrom: '2025-01-16',
+      madeWhenTo: '2025-01-16',
+      house: 'Commons',
+      expandMember: 'true',
+      take: '100'
+    });
+  });
+
+  test('stops paging at the limit', async () => {
+    useStub({ [STATEMENTS_PATH]: Array.from({ length: 250 }, (_, index) => statement(index + 1)) });
+
+    const statements = await WrittenRecordsService.fetchAll(STATEMENTS_PATH, {}, { limit: 120 });
+
+    expect(statements).toHaveLength(120);
+    expect(stub.requests).toHaveLength(2);
+  });
+
+  test('builds one record per statement in the processItems shape', async () => {
+    useStub({ [STATEMENTS_PATH]: [statement(1001)] });
+
+    const [record] = await WrittenRecordsService.getStatementRecords('2025-01-16', 'Commons');
+
+    expect(record).toMatchObject({
+      ExternalId: 'written-statement-1001',
+      Title: 'Statement 1001',
+      debateDate: '2025-01-16',
+      house: 'Commons',
+      section: WRITTEN_SECTIONS.STATEMENTS,
+      Overview: {
+        ExtId: 'written-statement-1001',
+        Date: '2025-01-16T00:00:00',
+        House: 'Commons',
+        Type: WRITTEN_TYPES.STATEMENT,
+        Location: 'HCWS1001 - Department for Energy Security and Net Zero'
+      },
+      SectionTree: { extId: 'written-statement-1001', sections: [] }
+    });
+    expect(record.Items).toEqual([{
+      memberId: 4514,
+      name: 'Ed Miliband',
+      title: 'Secretary of State for Energy Security and Net Zero',
+      constituency: 'Doncaster North',
+      party: 'Labour',
+      partyId: 'lab',
+      value: 'Energy bills & standing charges will fall.',
+      sectionExtId: 'written-statement-1001',
+      itemId: null,
+      externalId: null,
+      timecode: null,
+      hrsTag: null,
+      itemType: 'Contribution',
+      kind: 'speech'
+    }]);
+    expect(record.contentHash).toMatch(/^v\d+:[0-9a-f]{64}$/);
+  });
+
+  test('groups answered questions by answering body, skipping withdrawn ones', async () => {
+    useStub({
+      [QUESTIONS_PATH]: [
+        question(1),
+        question(2, { heading: null }),
+        question(3, { isWithdrawn: true }),
+        question(4, { answeringBodyId: 17, answeringBodyName: 'Home Office' })
+      ]
+    });
+
+    const records = await WrittenRecordsService.getAnswerRecords('2025-01-16', 'Commons');
+
+    expect(records.map(record => record.ExternalId)).toEqual([
+      'written-answers-commons-2025-01-16-202',
+      'written-answers-commons-2025-01-16-17'
+    ]);
+    expect(records[0].Title).toBe('Written Answers: Department for Energy Security and Net Zero');
+    expect(records[0].Items.map(item => [item.name, item.title, item.value])).toEqual([
+      ['Jim Shannon', null, '[1] Heat Pumps: To ask the Secretary of State, how many heat pumps were installed in 2024.'],
+      ['Ed Miliband', 'Answering for Department for Energy Security and Net Zero', 'Around 60,000 heat pumps were installed.'],
+      ['Jim Shannon', null, '[2] To ask the Secretary of State, how many heat pumps were installed in 2024.'],
+      ['Ed Miliband', 'Answering for Department for Energy Security and Net Zero', 'Around 60,000 heat pumps were installed.']
+    ]);
+    expect(stub.requests[0].params).toMatchObject({ answered: 'Answered', answeredWhenFrom: '2025-01-16' });
+  });
+
+  test('applies section and type filters', async () => {
+    useStub({ [STATEMENTS_PATH]: [statement(1001)], [QUESTIONS_PATH]: [question(1)] });
+
+    const records = await WrittenRecordsService.getWrittenRecords('2025-01-16', {
+      houses: ['Lords'],
+      sections: ['written statements']
+    });
+
+    expect(records.map(record => record.Overview.Type)).toEqual([WRITTEN_TYPES.STATEMENT]);
+    expect(stub.requests.map(request => [request.path, request.params.house])).toEqual([[STATEMENTS_PATH, 'Lords']]);
+  });
+
+  describe('searchSavedQuery', () => {
+    test('passes the search text, house and dates to the API', async () => {
+      await WrittenRecordsService.searchSavedQuery('heat pumps', {
+        house: 'COMMONS',
+        date_from: '2025-01-01',
+        date_to: '2025-01-31'
+      });
+
+      const byPath = Object.fromEntries(stub.requests.map(request => [request.path, request.params]));
+      expect(byPath[STATEMENTS_PATH]).toMatchObject({
+        searchTerm: 'heat pumps',
+        house: 'Commons',
+        madeWhenFrom: '2025-01-01',
+        madeWhenTo: '2025-01-31'
+      });
+      expect(byPath[QUESTIONS_PATH]).toMatchObject({
+        searchTerm: 'heat pumps',
+        house: 'Commons',
+        answered: 'Answered',
+        answeredWhenFrom: '2025-01-01',
+        answeredWhenTo: '2025-01-31'
+      });
+    });
+
+    test('leaves out parameters the saved search does not set', async () => {
+      await WrittenRecordsService.searchSavedQuery('heat pumps', { house: 'both' });
+
+      stub.requests.forEach(request => {
+        expect(request.params).not.toHaveProperty('house');
+        expect(request.params).not.toHaveProperty('madeWhenFrom');
+        expect(request.params).not.toHaveProperty('answeredWhenFrom');
+      });
+    });
+
+    test('returns the ext IDs of the matching records', async () => {
+      useStub({
+        [STATEMENTS_PATH]: [statement(1001), statement(1002)],
+        [QUESTIONS_PATH]: [question(1), question(2), question(3, { answerText: null })]
+      });
+
+      const extIds = await WrittenRecordsService.searchSavedQuery('energy', {});
+
+      expect(extIds).toEqual([
+        'written-statement-1001',
+        'written-statement-1002',
+        'written-answers-commons-2025-01-16-202'
+      ]);
+    });
+
+    test('matches member by ID or name, and party, on either side of an answer', async () => {
+      useStub({
+        [STATEMENTS_PATH]: [statement(1001)],
+        [QUESTIONS_PATH]: [question(1)]
+      });
+
+      await expect(WrittenRecordsService.searchSavedQuery('energy', { member: 'shannon' }))
+        .resolves.toEqual(['written-answers-commons-2025-01-16-202']);
+      await expect(WrittenRecordsService.searchSavedQuery('energy', { member: '4514' }))
+        .resolves.toEqual(['written-statement-1001', 'written-answers-commons-2025-01-16-202']);
+      await expect(WrittenRecordsService.searchSavedQuery('energy', { party: 'DUP' }))
+        .resolves.toEqual(['written-answers-commons-2025-01-16-202']);
+      await expect(WrittenRecordsService.searchSavedQuery('energy', { member: 'Shannon', party: 'Labour' }))
+        .resolves.toEqual([]);
+    });
+  });
+});
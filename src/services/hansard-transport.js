@@ -0,0 +1,281 @@
+/**
+ * Transports perform the raw HTTP work for HansardService.
+ *
+ * A transport is any object with a `get(url, options)` method resolving to
+ * `{ status, headers, body }`, where `headers` is a plain object with
+ * lower-cased keys and `body` is the unparsed response text. Swap the
+ * default with `HansardService.setTransport()` to serve canned responses.
+ *
+ * Set HANSARD_FIXTURES_MODE=record to save every response to
+ * HANSARD_FIXTURES_DIR, or HANSARD_FIXTURES_MODE=replay to serve those saved
+ * responses with no network access. Live and recording transports sit on top
+ * of an on-disk cache in HANSARD_CACHE_DIR unless HANSARD_CACHE=off, and every
+ * request that reaches the network shares one process-wide rate limiter.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/config.js';
+import logger from '../utils/logger.js';
+import { RateLimiter } from '../utils/rateLimiter.js';
+
+export const fetchTransport = {
+  async get(url, { headers = {} } = {}) {
+    const response = await fetch(url, { headers });
+
+    return {
+      status: response.status,
+      headers: Object.fromEntries(response.headers.entries()),
+      body: await response.text()
+    };
+  }
+};
+
+// One bucket for every Hansard request in the process, whichever code path makes it
+export const hansardRateLimiter = new RateLimiter({
+  tokensPerSecond: config.HANSARD_RATE_LIMIT,
+  burst: config.HANSARD_MAX_CONCURRENCY,
+  maxConcurrent: config.HANSARD_MAX_CONCURRENCY
+});
+
+export function createRateLimitedTransport(inner, limiter = hansardRateLimiter) {
+  return {
+    get(url, options = {}) {
+      return limiter.schedule(() => inner.get(url, options));
+    }
+  };
+}
+
+// Serves responses from a map of URL -> body (or { status, headers, body })
+export function createStaticTransport(responses = {}) {
+  return {
+    async get(url) {
+      if (!(url in responses)) {
+        return { status: 404, headers: {}, body: '' };
+      }
+
+      const response = responses[url];
+      if (typeof response === 'string') {
+        return { status: 200, headers: {}, body: response };
+      }
+
+      return {
+        status: response.status || 200,
+        headers: response.headers || {},
+        body: typeof response.body === 'string' ? response.body : JSON.stringify(response.body)
+      };
+    }
+  };
+}
+
+// Fixture files are named after the endpoint path plus a hash of the full URL
+export function fixtureKey(url) {
+  const { pathname } = new URL(url);
+  const slug = pathname
+    .replace(/\.json$/, '')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 80);
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 12);
+  return `${slug}-${hash}.json`;
+}
+
+// Passes requests through to another transport and saves every response to `dir`
+export function createRecordingTransport(inner, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    async get(url, options = {}) {
+      const response = await inner.get(url, options);
+      const fixturePath = path.join(dir, fixtureKey(url));
+
+      fs.writeFileSync(fixturePath, JSON.stringify({
+        url,
+        recordedAt: new Date().toISOString(),
+        ...response
+      }, null, 2));
+
+      logger.debug('Recorded Hansard fixture:', { url, fixturePath });
+      return response;
+    },
+
+    stats() {
+      return inner.stats?.() || null;
+    }
+  };
+}
+
+// A replayed request with no recorded response; retrying cannot help, and skipping it would hide a gap in the fixtures
+export class MissingFixtureError extends Error {
+  constructor(url, fixturePath) {
+    super(`No recorded Hansard fixture for ${url} (expected ${fixturePath})`);
+    this.name = 'MissingFixtureError';
+    this.url = url;
+    this.fixturePath = fixturePath;
+  }
+}
+
+// Serves previously recorded responses from `dir` without touching the network
+export function createReplayTransport(dir) {
+  return {
+    async get(url) {
+      const fixturePath = path.join(dir, fixtureKey(url));
+
+      if (!fs.existsSync(fixturePath)) {
+        throw new MissingFixtureError(url, fixturePath);
+      }
+
+      const { status, headers, body } = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+      return { status, headers: headers || {}, body };
+    }
+  };
+}
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Time-to-live per endpoint, matched against the URL path
+export const CACHE_TTLS = {
+  '/overview/lastsittingdate.json': 30 * MINUTE,
+  '/overview/sectionsforday.json': 12 * HOUR,
+  '/overview/calendar.json': 12 * HOUR,
+  '/overview/sectiontrees.json': 12 * HOUR,
+  '/debates/debate/': 30 * DAY,
+  '/debates/speakerslist/': 30 * DAY,
+  '/debates/divisions/': 30 * DAY,
+  '/debates/division/': 30 * DAY,
+  '/debates/topleveldebateid/': 30 * DAY,
+  '/search/': HOUR,
+  '/search.json': HOUR,
+  '/api/writtenstatements/': 12 * HOUR,
+  '/api/writtenquestions/': 12 * HOUR,
+  default: HOUR
+};
+
+// Sitting day listings stop changing once the day is this old
+const SETTLED_DAY_AGE = 14 * DAY;
+const SETTLED_DAY_TTL = 30 * DAY;
+
+export function ttlFor(url, ttls = CACHE_TTLS) {
+  const { pathname, searchParams } = new URL(url);
+  const match = Object.keys(ttls).find(key => key !== 'default' && pathname.startsWith(key));
+  const ttl = match ? ttls[match] : ttls.default;
+
+  const date = searchParams.get('date');
+  if (date && pathname.startsWith('/overview/') && Date.now() - new Date(date).getTime() > SETTLED_DAY_AGE) {
+    return Math.max(ttl, SETTLED_DAY_TTL);
+  }
+
+  return ttl;
+}
+
+/**
+ * Wraps a transport with an on-disk response cache. Fresh entries are served
+ * directly; stale entries with an ETag or Last-Modified header are revalidated
+ * with a conditional request. Pass `{ revalidate: true }` to `get()` to skip
+ * the freshness check and always revalidate.
+ */
+export function createCachingTransport(inner, { dir, ttls = CACHE_TTLS } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const counters = { hits: 0, misses: 0, revalidated: 0, changed: 0 };
+
+  const readEntry = (entryPath) => {
+    try {
+      return JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    } catch {
+      return null;
+    }
+  };
+
+  const writeEntry = (entryPath, url, response) => {
+    fs.writeFileSync(entryPath, JSON.stringify({
+      url,
+      storedAt: Date.now(),
+      status: response.status,
+      headers: response.headers,
+      body: response.body
+    }));
+  };
+
+  return {
+    async get(url, options = {}) {
+      const entryPath = path.join(dir, fixtureKey(url));
+      const entry = readEntry(entryPath);
+
+      if (entry && !options.revalidate && Date.now() - entry.storedAt < ttlFor(url, ttls)) {
+        counters.hits++;
+        return { status: entry.status, headers: entry.headers, body: entry.body };
+      }
+
+      const headers = { ...(options.headers || {}) };
+      if (entry?.headers?.etag) {
+        headers['If-None-Match'] = entry.headers.etag;
+      }
+      if (entry?.headers?.['last-modified']) {
+        headers['If-Modified-Since'] = entry.headers['last-modified'];
+      }
+
+      const response = await inner.get(url, { ...options, headers });
+
+      if (response.status === 304 && entry) {
+        counters.revalidated++;
+        entry.storedAt = Date.now();
+        fs.writeFileSync(entryPath, JSON.stringify(entry));
+        return { status: entry.status, headers: entry.headers, body: entry.body };
+      }
+
+      counters.misses++;
+      if (response.status >= 200 && response.status < 300) {
+        if (entry && entry.body !== response.body) {
+          counters.changed++;
+        }
+        writeEntry(entryPath, url, response);
+      }
+
+      return response;
+    },
+
+    stats() {
+      const total = counters.hits + counters.misses + counters.revalidated;
+      return {
+        ...counters,
+        hitRate: total ? `${(((counters.hits + counters.revalidated) / total) * 100).toFixed(1)}%` : 'n/a'
+      };
+    },
+
+    clear() {
+      fs.rmSync(dir, { recursive: true, force: true });
+      fs.mkdirSync(dir, { recursive: true });
+      logger.info('Cleared Hansard response cache:', { dir });
+    }
+  };
+}
+
+export function createDefaultTransport(options = {}) {
+  const mode = options.mode ?? config.HANSARD_FIXTURES_MODE;
+  const dir = options.dir || config.HANSARD_FIXTURES_DIR;
+
+  if (mode === 'replay') {
+    logger.info('Replaying Hansard responses from fixtures:', { dir });
+    return createReplayTransport(dir);
+  }
+  if (mode && mode !== 'record') {
+    throw new Error(`Unknown HANSARD_FIXTURES_MODE: ${mode}`);
+  }
+
+  const cacheEnabled = options.cache ?? config.HANSARD_CACHE_ENABLED;
+  const networkTransport = createRateLimitedTransport(fetchTransport);
+  const liveTransport = cacheEnabled
+    ? createCachingTransport(networkTransport, { dir: options.cacheDir || config.HANSARD_CACHE_DIR })
+    : networkTransport;
+
+  if (!mode) {
+    return liveTransport;
+  }
+
+  logger.info('Recording Hansard responses to fixtures:', { dir });
+  return createRecordingTransport(liveTransport, dir);
+}
@@ -1,21 +1,172 @@
 import logger from '../utils/logger.js';
+import { config } from '../config/config.js';
 import { SupabaseService } from './supabase.js';
+import { MemberHistoryService } from './member-history.js';
+import { MinisterialPostsRegistry } from './ministerial-posts.js';
+import { createDefaultTransport, MissingFixtureError } from './hansard-transport.js';
 import { getDebateType, validateDebateContent } from '../utils/transforms.js';
+import { classifyItem, computeContentHash, matchesFilter } from '../utils/debateUtils.js';
+import { canonicalPartyName, resolveParty } from '../utils/parties.js';
+import { parsePeerageTitle, matchPeerage } from '../utils/peerage.js';
+
+export const HANSARD_API_BASE = 'https://hansard-api.parliament.uk';
+
+/**
+ * Single client for the Hansard API. Every request goes through
+ * fetchWithErrorHandling(), which applies one retry policy and one response
+ * cache, and delegates the HTTP work to a pluggable transport.
+ *
+ * Main flow to fetch latest debate data:
+ * 1. getLatestDebates() resolves the latest sitting date (or uses the given one)
+ * 2. getHouseDebates() fetches the sections for each house and their section trees
+ * 3. processItems() fetches each debate and simplifies its items
+ */
+
+// Throttling and transient server errors; other 4xx responses will not succeed on retry
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Responses from these endpoints are stable enough to keep for the life of the process
+const CACHEABLE_PATHS = [
+  '/debates/debate/',
+  '/debates/speakerslist/',
+  '/debates/divisions/',
+  '/debates/division/',
+  '/overview/sectiontrees.json',
+  '/overview/sectionsforday.json',
+  '/overview/calendar.json'
+];
+
+// Depth-first walk of a debate and its ChildDebates, tagging each item with its section
+function flattenDebateItems(debateNode, fallbackExtId = null) {
+  const extId = debateNode.Overview?.ExtId || fallbackExtId;
+
+  return [
+    ...(debateNode.Items || []).map(item => ({ ...item, SectionExtId: extId })),
+    ...(debateNode.ChildDebates || []).flatMap(child => flattenDebateItems(child))
+  ];
+}
+
+// Rebuilds the ChildDebates hierarchy around already simplified items
+function buildSectionTree(debateNode, items, fallbackExtId = null) {
+  const extId = debateNode.Overview?.ExtId || fallbackExtId;
+
+  return {
+    title: debateNode.Overview?.Title || null,
+    extId,
+    items: items.filter(item => item.sectionExtId === extId),
+    sections: (debateNode.ChildDebates || []).map(child => buildSectionTree(child, items))
+  };
+}
+
+const QUESTION_PUT_PATTERN = /Question (was |accordingly )?put|^Motion made|^Amendment proposed/i;
+// "I therefore cast my vote with the Noes", then the decision it gives: "Question accordingly negatived"
+const CASTING_VOTE_PATTERN = /\bcast (?:my|his|her|the) (?:casting )?vote with the (Ayes|Contents|Noes|Not[- ]Contents)\b/i;
+const DECISION_PATTERN = /^Question accordingly (agreed to|negatived)/i;
+
+// Side a tied division was decided for, from the lines recorded after it
+function findCastingVote(value) {
+  const [, side] = value.match(CASTING_VOTE_PATTERN) || [];
+  if (side) return /^(Ayes|Contents)$/i.test(side) ? 'aye' : 'noe';
+
+  const [, decision] = value.match(DECISION_PATTERN) || [];
+  if (decision) return /agreed/i.test(decision) ? 'aye' : 'noe';
+
+  return null;
+}
+
+// Question put before each division in a section and the casting vote recorded after it, in
+// transcript order. The first item of each run of division lines ("The House divided",
+// "Ayes 300, Noes 200") marks one division.
+function findDivisionContext(items, sectionExtId) {
+  const sectionItems = items.filter(item => item.sectionExtId === sectionExtId);
+  const divisions = [];
+  let lastQuestion = null;
+
+  sectionItems.forEach((item, index) => {
+    if (item.kind === 'division') {
+      if (sectionItems[index - 1]?.kind !== 'division') {
+        divisions.push({ question: lastQuestion, castingVote: null });
+      }
+      return;
+    }
 
-const HANSARD_API_BASE = 'https://hansard-api.parliament.uk';
+    const current = divisions[divisions.length - 1];
+    if (item.value && current && !current.castingVote) {
+      current.castingVote = findCastingVote(item.value);
+    }
+    if (item.value && (QUESTION_PUT_PATTERN.test(item.value) || item.kind === 'procedural')) {
+      lastQuestion = item.value;
+    }
+  });
+
+  return divisions;
+}
+
+// The one Lords member whose title best matches a parsed peerage, or null if none or several match
+function findPeer(peerage, members) {
+  const scored = members
+    .map(member => ({ member, score: matchPeerage(peerage, parsePeerageTitle(member.display_as)) }))
+    .filter(candidate => candidate.score >= 0.9)
+    .sort((a, b) => b.score - a.score);
+
+  if (!scored.length || (scored[1] && scored[1].score === scored[0].score)) return null;
+  return scored[0].member;
+}
+
+// Voter lists are named differently for Commons (Ayes/Noes) and Lords (Contents/Not Contents)
+function pickList(source, keys) {
+  const key = keys.find(candidate => Array.isArray(source?.[candidate]));
+  return key ? source[key] : [];
+}
+
+function toVoter(member) {
+  return {
+    member_id: member.MemberId ?? member.Id ?? null,
+    name: member.DisplayName || member.Name || null,
+    party: canonicalPartyName(member.Party),
+    proxy: member.ProxyName || null
+  };
+}
+
+// Flattens a divisions list entry and its detail record into one row for the divisions table
+function normaliseDivision(summary, details, { debateExtId, sectionExtId, house, question, castingVote }) {
+  const ayes = pickList(details, ['AyeMembers', 'Ayes', 'ContentMembers', 'Contents']);
+  const noes = pickList(details, ['NoeMembers', 'Noes', 'NotContentMembers', 'NotContents']);
+  const ayeTellers = pickList(details, ['AyeTellers', 'AyesTellers', 'ContentTellers'])
+    .concat(ayes.filter(member => member.IsTeller));
+  const noeTellers = pickList(details, ['NoeTellers', 'NoesTellers', 'NotContentTellers'])
+    .concat(noes.filter(member => member.IsTeller));
+
+  const ayesCount = details?.AyesCount ?? details?.ContentsCount ?? summary.AyesCount ?? summary.ContentsCount;
+  const noesCount = details?.NoesCount ?? details?.NotContentsCount ?? summary.NoesCount ?? summary.NotContentsCount;
+  const counts = {
+    ayes_count: ayesCount ?? ayes.filter(member => !member.IsTeller).length,
+    noes_count: noesCount ?? noes.filter(member => !member.IsTeller).length
+  };
 
-const PARTY_MAPPINGS = {
-  'LAB': 'Labour',
-  'Lab': 'Labour',
-  'Lab/Co-op': 'Labour',
-  'LD': 'Liberal Democrats',
-  'CON': 'Conservative',
-  'Con': 'Conservative',
-  'CB': 'Crossbench',
-  'SNP': 'SNP (Scottish National Party)',
-};
+  return {
+    ext_id: summary.ExternalId,
+    debate_ext_id: debateExtId,
+    section_ext_id: summary.DebateSectionExtId || details?.DebateSectionExtId || sectionExtId,
+    house,
+    number: summary.Number ?? details?.Number ?? null,
+    division_time: summary.Time || details?.Time || null,
+    question: question || null,
+    ...counts,
+    // 'aye' or 'noe' when the Speaker or Chair decided a tie
+    casting_vote: counts.ayes_count === counts.noes_count ? castingVote || null : null,
+    aye_tellers: ayeTellers.map(member => member.DisplayName || member.Name).filter(Boolean),
+    noe_tellers: noeTellers.map(member => member.DisplayName || member.Name).filter(Boolean),
+    ayes: ayes.filter(member => !member.IsTeller).map(toVoter),
+    noes: noes.filter(member => !member.IsTeller).map(toVoter),
+    is_evel: Boolean(summary.IsEvel)
+  };
+}
 
 export class HansardService {
+  // Built on the first request, so importing the service touches neither the network nor the disk
+  static transport = null;
+  static responseCache = new Map();
   static debateCache = new Map();
   static dateCache = {
     timestamp: 0,
@@ -25,23 +176,94 @@ export class HansardService {
   };
   static memberCache = new Map();
 
-  static async fetchWithErrorHandling(url, retryCount = 0) {
-    const MAX_RETRIES = 3;
-    const RETRY_DELAY = 1000;
+  // Pass null to go back to the rate-limited, cached default transport
+  static setTransport(transport) {
+    this.transport = transport || null;
+    this.clearCaches();
+  }
+
+  static getTransport() {
+    this.transport ??= createDefaultTransport();
+    return this.transport;
+  }
+
+  static clearCaches() {
+    this.responseCache.clear();
+    this.debateCache.clear();
+    this.dateCache = {
+      timestamp: 0,
+      lastProcessedDate: null,
+      latestSittingDate: null,
+      sittingDates: new Map()
+    };
+  }
+
+  // Hit and miss counts from the persistent response cache, if the transport has one
+  static getCacheStats() {
+    return this.transport?.stats?.() || null;
+  }
+
+  // Member lookups go to Supabase; override to run ingestion without a database
+  static async lookupMembers(memberIds) {
+    return SupabaseService.getMemberDetails(memberIds);
+  }
+
+  // Lords members whose titles could match the given parsed peerages; override alongside lookupMembers
+  static async lookupPeers(peerages) {
+    return SupabaseService.findLordsMembers(
+      [...new Set(peerages.map(peerage => peerage.name || peerage.territorial).filter(Boolean))]
+    );
+  }
 
+  // Party, constituency and name as of a date; override alongside lookupMembers
+  static async lookupMemberHistory(memberIds, date) {
     try {
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        if ((response.status === 429 || response.status === 400) && retryCount < MAX_RETRIES) {
-          await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * (retryCount + 1)));
-          return this.fetchWithErrorHandling(url, retryCount + 1);
-        }
-        throw new Error(`HTTP error! status: ${response.status}`);
+      return await MemberHistoryService.resolveMembersAsOf(memberIds, date);
+    } catch (error) {
+      logger.warn('Member history unavailable, using current member details:', { error: error.message });
+      return new Map();
+    }
+  }
+
+  static isCacheable(url) {
+    return CACHEABLE_PATHS.some(path => url.includes(path));
+  }
+
+  // Delay before the next attempt: Retry-After when the API sends it, else exponential backoff with full jitter
+  static getRetryDelay(retryCount, retryAfter) {
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isFinite(seconds)
+        ? seconds * 1000
+        : new Date(retryAfter).getTime() - Date.now();
+      if (Number.isFinite(delay) && delay >= 0) {
+        return Math.min(delay, config.HANSARD_MAX_RETRY_DELAY);
       }
-      
-      return response.json();
+    }
+
+    const ceiling = Math.min(config.RETRY_DELAY * 2 ** retryCount, config.HANSARD_MAX_RETRY_DELAY);
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  // Pass { revalidate: true } to bypass cached copies and check the API for changes
+  static async fetchWithErrorHandling(url, options = {}, retryCount = 0) {
+    const cacheable = this.isCacheable(url);
+    if (cacheable && !options.revalidate && this.responseCache.has(url)) {
+      return this.responseCache.get(url);
+    }
+
+    let response;
+    try {
+      response = await this.getTransport().get(url, { revalidate: Boolean(options.revalidate) });
     } catch (error) {
+      // Network failures (DNS, reset connections, timeouts) are always worth another attempt
+      if (retryCount < config.MAX_RETRIES && !(error instanceof MissingFixtureError)) {
+        const delay = this.getRetryDelay(retryCount);
+        logger.warn('Hansard request failed, retrying:', { url, error: error.message, retryCount, delay });
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return this.fetchWithErrorHandling(url, options, retryCount + 1);
+      }
+
       logger.error('API fetch error:', {
         error: error.message,
         stack: error.stack,
@@ -50,27 +272,176 @@ export class HansardService {
       });
       throw error;
     }
+
+    if (response.status < 200 || response.status >= 300) {
+      if (RETRYABLE_STATUSES.has(response.status) && retryCount < config.MAX_RETRIES) {
+        const delay = this.getRetryDelay(retryCount, response.headers?.['retry-after']);
+        logger.warn('Hansard request throttled or unavailable, retrying:', {
+          url,
+          status: response.status,
+          retryCount,
+          delay
+        });
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return this.fetchWithErrorHandling(url, options, retryCount + 1);
+      }
+
+      const error = new Error(`HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      logger.error('API fetch error:', {
+        error: error.message,
+        url,
+        retryCount
+      });
+      throw error;
+    }
+
+    const data = response.body ? JSON.parse(response.body) : null;
+    if (cacheable) {
+      this.responseCache.set(url, data);
+    }
+    return data;
   }
 
   // API Methods
-  static async fetchDebate(debateId) {
-    if (this.debateCache.has(debateId)) {
-      return this.debateCache.get(debateId);
+  static async fetchDebate(debateId, options = {}) {
+    const url = `${HANSARD_API_BASE}/debates/debate/${debateId}.json`;
+    return this.fetchWithErrorHandling(url, options);
+  }
+
+  static async fetchSpeakers(debateId) {
+    const url = `${HANSARD_API_BASE}/debates/speakerslist/${debateId}.json`;
+    return this.fetchWithErrorHandling(url);
+  }
+
+  static async fetchSectionsForDay(date, house) {
+    const url = `${HANSARD_API_BASE}/overview/sectionsforday.json?` +
+      new URLSearchParams({ date, house });
+    return this.fetchWithErrorHandling(url);
+  }
+
+  static async fetchCalendar({ year, month, house }) {
+    const url = `${HANSARD_API_BASE}/overview/calendar.json?` +
+      new URLSearchParams({ year, month, house });
+    return this.fetchWithErrorHandling(url);
+  }
+
+  // Sitting dates (YYYY-MM-DD) of one house in a month, or null if the calendar response is not a list
+  static async getSittingDays(year, month, house) {
+    const calendar = await this.fetchCalendar({ year, month, house });
+    if (!Array.isArray(calendar)) {
+      logger.warn('Invalid calendar response:', { year, month, house, response: calendar });
+      return null;
     }
 
-    const url = `${HANSARD_API_BASE}/debates/debate/${debateId}.json`;
-    const data = await this.fetchWithErrorHandling(url);
-    this.debateCache.set(debateId, data);
-    return data;
+    return calendar
+      .map(entry => String((typeof entry === 'string' ? entry : entry?.Date ?? entry?.SittingDate) || '').slice(0, 10))
+      .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date));
+  }
+
+  static async fetchSectionTrees({ house, date, section }) {
+    const url = `${HANSARD_API_BASE}/overview/sectiontrees.json?` +
+      new URLSearchParams({ house, date, section });
+    return this.fetchWithErrorHandling(url);
+  }
+
+  static async fetchTopLevelDebateId(debateId) {
+    const url = `${HANSARD_API_BASE}/debates/topleveldebateid/${debateId}.json`;
+    const response = await this.fetchWithErrorHandling(url);
+    return response ? String(response).replace(/['"]/g, '').trim() : null;
+  }
+
+  static async fetchDivisionsList(debateId) {
+    const url = `${HANSARD_API_BASE}/debates/divisions/${debateId}.json`;
+    return this.fetchWithErrorHandling(url);
+  }
+
+  static async fetchDivisionDetails(divisionExtId, isEvel = false) {
+    const url = `${HANSARD_API_BASE}/debates/division/${divisionExtId}.json?` +
+      new URLSearchParams({ isEvel });
+    return this.fetchWithErrorHandling(url);
+  }
+
+  /**
+   * Divisions held during a simplified debate, normalised for the divisions
+   * table. Only sections whose transcript records a division are queried.
+   */
+  static async getDebateDivisions(debate) {
+    const items = debate?.Items || [];
+    const sectionExtIds = [...new Set(
+      items.filter(item => item.kind === 'division').map(item => item.sectionExtId).filter(Boolean)
+    )];
+
+    if (!sectionExtIds.length) return [];
+
+    const house = debate.Overview?.House || debate.house || null;
+    const divisions = await Promise.all(sectionExtIds.map(async (sectionExtId) => {
+      try {
+        const list = await this.fetchDivisionsList(sectionExtId);
+        if (!Array.isArray(list) || !list.length) return [];
+
+        const context = findDivisionContext(items, sectionExtId);
+        const ordered = [...list].sort((a, b) => new Date(a.Time) - new Date(b.Time));
+
+        return Promise.all(ordered.map(async (summary, index) => {
+          const details = await this.fetchDivisionDetails(summary.ExternalId, Boolean(summary.IsEvel));
+          return normaliseDivision(summary, details, {
+            debateExtId: debate.ExternalId,
+            sectionExtId,
+            house,
+            question: context[index]?.question,
+            castingVote: context[index]?.castingVote
+          });
+        }));
+      } catch (error) {
+        if (error instanceof MissingFixtureError) throw error;
+        logger.error('Failed to fetch divisions:', {
+          error: error.message,
+          debateExtId: debate.ExternalId,
+          sectionExtId
+        });
+        return [];
+      }
+    }));
+
+    return divisions.flat();
+  }
+
+  static async searchMembers(params = {}, skip = 0) {
+    const url = `${HANSARD_API_BASE}/search/members.json?` +
+      new URLSearchParams({
+        take: 50, // Fetch 50 results at a time
+        ...params,
+        skip
+      });
+    return this.fetchWithErrorHandling(url);
+  }
+
+  static async searchDebates(params = {}) {
+    const url = `${HANSARD_API_BASE}/search/debates.json?` + new URLSearchParams(params);
+    return this.fetchWithErrorHandling(url);
+  }
+
+  static async search(params = {}) {
+    const url = `${HANSARD_API_BASE}/search.json?` + new URLSearchParams(params);
+    return this.fetchWithErrorHandling(url);
   }
 
   // Business Logic Methods
   static async getLatestDebates(options = {}) {
     try {
-      const { specificDate, specificDebateId, aiProcess } = options;
-
-      // Refresh cache if older than 30 minutes
-      if (Date.now() - this.dateCache.timestamp > 1800000) {
+      const {
+        specificDate,
+        specificDebateId,
+        aiProcess,
+        revalidate = false,
+        houses = ['Commons', 'Lords'],
+        sections,
+        types
+      } = options;
+
+      // Refresh cache if older than 30 minutes (only needed when no date was given)
+      if (!specificDate && !specificDebateId && Date.now() - this.dateCache.timestamp > 1800000) {
         const latestSittingDate = await this.getLastSittingDate();
         this.dateCache = {
           timestamp: Date.now(),
@@ -106,31 +477,13 @@ export class HansardService {
 
       logger.info(`Processing debates for date: ${dateToProcess}`);
 
-      // Get debates from both houses
-      const [commonsDebates, lordsDebates] = await Promise.all([
-        this.getHouseDebates(dateToProcess, 'Commons'),
-        this.getHouseDebates(dateToProcess, 'Lords')
-      ]);
-
-      // Add debate type and validate each debate
-      const processedDebates = [...commonsDebates, ...lordsDebates]
-        .map(debate => {
-          if (debate?.Overview) {
-            debate.Overview.Type = getDebateType(debate.Overview);
-          }
-          return debate;
-        })
-        .filter(debate => {
-          const isValid = validateDebateContent(debate);
-          return isValid !== null;
-        });
-
-      // Filter out debates that don't have required fields
-      const validDebates = processedDebates.filter(debate => 
-        debate?.ExternalId && 
-        debate?.Title
+      // Get debates from the requested houses
+      const houseDebates = await Promise.all(
+        houses.map(house => this.getHouseDebates(dateToProcess, house, { revalidate, sections }))
       );
 
+      const validDebates = this.prepareDebates(houseDebates.flat(), { types });
+
       logger.info(`Valid debates after filtering: ${validDebates.length}`);
       
       return validDebates;
@@ -145,75 +498,78 @@ export class HansardService {
     }
   }
 
-  static async getHouseDebates(date, house) {
+  // Adds the debate type, then drops debates outside `types` or missing required fields
+  static prepareDebates(debates, { types } = {}) {
+    return debates
+      .map(debate => {
+        if (debate?.Overview) {
+          debate.Overview.Type = getDebateType(debate.Overview);
+        }
+        return debate;
+      })
+      .filter(debate => matchesFilter(debate?.Overview?.Type, types))
+      .filter(debate => validateDebateContent(debate) !== null)
+      .filter(debate => debate?.ExternalId && debate?.Title);
+  }
+
+  // Fetches and simplifies every debate in one section; unlike getHouseDebates, errors propagate
+  static async getSectionDebates(date, house, section, { revalidate = false } = {}) {
+    logger.debug(`Fetching section tree`, { section, house, date });
+
+    const sectionData = await this.fetchSectionTrees({ house, date, section });
+
+    if (!Array.isArray(sectionData)) {
+      logger.warn('Invalid section data:', { section, house, date, sectionData });
+      return [];
+    }
+
+    return this.processItems(sectionData, { date, house, section, revalidate });
+  }
+
+  static async getHouseDebates(date, house, { revalidate = false, sections: sectionFilter } = {}) {
     try {
       // First get available sections for the date
-      const url = `${HANSARD_API_BASE}/overview/sectionsforday.json?` +
-        new URLSearchParams({ date, house });
-      
-      logger.debug(`Fetching sections for ${house} on ${date}`, { url });
+      logger.debug(`Fetching sections for ${house} on ${date}`);
       
-      const sections = await this.fetchWithErrorHandling(url);
+      const availableSections = await this.fetchSectionsForDay(date, house);
       
-      if (!Array.isArray(sections)) {
+      if (!Array.isArray(availableSections)) {
         logger.warn(`Invalid sections response for ${house}`, {
           date,
-          response: sections
+          response: availableSections
         });
         return [];
       }
 
-      logger.info(`Found ${sections.length} sections for ${house} on ${date}`);
+      const sections = availableSections.filter(section => matchesFilter(section, sectionFilter));
 
-      // Process sections in parallel batches
-      const batchSize = 5;
-      const debates = [];
-      
-      for (let i = 0; i < sections.length; i += batchSize) {
-        const batch = sections.slice(i, i + batchSize);
-        const batchPromises = batch.map(async (section) => {
-          try {
-            const sectionUrl = `${HANSARD_API_BASE}/overview/sectiontrees.json?` +
-              new URLSearchParams({
-                house,
-                date,
-                section
-              });
-              
-            logger.debug(`Fetching section tree`, { section, url: sectionUrl });
-            
-            const sectionData = await this.fetchWithErrorHandling(sectionUrl);
-            
-            if (!Array.isArray(sectionData)) {
-              logger.warn('Invalid section data:', { section, house, date, sectionData });
-              return [];
-            }
-            
-            return this.processItems(sectionData, { date, house, section });
-          } catch (error) {
-            logger.error(`Failed to fetch section tree`, {
-              error: error.message,
-              section,
-              house,
-              date
-            });
-            return [];
-          }
-        });
-        
-        const batchResults = await Promise.all(batchPromises);
-        debates.push(...batchResults.flat());
-        
-        // Add small delay between batches
-        if (i + batchSize < sections.length) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
+      logger.info(`Found ${sections.length} sections for ${house} on ${date}`, {
+        ...(sectionFilter?.length && { available: availableSections.length, sectionFilter })
+      });
+
+      // Sections are fetched in parallel; the shared rate limiter sets the pace
+      const sectionResults = await Promise.all(sections.map(async (section) => {
+        try {
+          return await this.getSectionDebates(date, house, section, { revalidate });
+        } catch (error) {
+          if (error instanceof MissingFixtureError) throw error;
+          logger.error(`Failed to fetch section tree`, {
+            error: error.message,
+            section,
+            house,
+            date
+          });
+          return [];
         }
-      }
-      
+      }));
+      const debates = sectionResults.flat();
+
       logger.info(`Fetched ${debates.length} ${house} debates for ${date}`);
       return debates;
       
     } catch (error) {
+      // A replay with gaps in its fixtures must fail, not produce a partial day
+      if (error instanceof MissingFixtureError) throw error;
       logger.error(`Failed to fetch ${house} debates:`, {
         error: error.message,
         stack: error.stack,
@@ -224,13 +580,16 @@ export class HansardService {
     }
   }
 
-  static async getDebateDetails(debateId) {
+  static async getDebateDetails(debateId, { includeSpeakers = false } = {}) {
     try {
-      const details = await this.fetchDebate(debateId);
-      if (!details?.debate?.Overview) {
+      const [details, speakers] = await Promise.all([
+        this.fetchDebate(debateId),
+        includeSpeakers ? this.fetchSpeakers(debateId) : null
+      ]);
+      if (!details?.Overview) {
         throw new Error('Invalid debate details structure');
       }
-      return details;
+      return includeSpeakers ? { ...details, speakers } : details;
     } catch (error) {
       logger.error(`Failed to fetch debate details for ${debateId}:`, {
         error: error.message,
@@ -310,7 +669,8 @@ export class HansardService {
     }
   }
 
-  static getMemberDetails(item) {
+  // Pass { house } so Lords titles are parsed; "Lady" in the Commons is a courtesy title, not a peerage
+  static getMemberDetails(item, { house } = {}) {
     try {
       // Return early if no AttributedTo
       if (!item.AttributedTo) {
@@ -318,14 +678,33 @@ export class HansardService {
         return null;
       }
       
-      // Handle ministerial format
-      if (item.AttributedTo.startsWith('The ')) {
-        const match = item.AttributedTo.match(/^The ([^(]+)/);
+      const leadingTitle = item.AttributedTo.split('(')[0].trim();
+      const isPost = MinisterialPostsRegistry.isPostTitle(leadingTitle);
+
+      // Lords titles: "Lord Khan of Burnley (Lab)", "Baroness Hoey (Non-Afl)", "The Lord Bishop of Leeds"
+      const peerage = house !== 'Commons' && !isPost ? parsePeerageTitle(leadingTitle) : null;
+      if (peerage) {
+        const group = item.AttributedTo.match(/\(([^)]+)\)\s*$/)?.[1].trim();
+        return {
+          MemberId: item.MemberId,
+          Name: leadingTitle,
+          ...(group && { Party: canonicalPartyName(group) }),
+          Peerage: peerage,
+          firstSeen: item.Timecode
+        };
+      }
+
+      // Handle ministerial and chair formats: "The Secretary of State for Defence (John Healey)", "Madam Deputy Speaker"
+      if (item.AttributedTo.startsWith('The ') || isPost) {
+        const match = item.AttributedTo.match(/^(?:The )?([^(]+)/);
         if (match) {
+          const name = item.AttributedTo.match(/\(([^)]+)\)/)?.[1].trim() || null;
+          const holderPeerage = house !== 'Commons' ? parsePeerageTitle(name) : null;
           return {
             MemberId: item.MemberId,
-            Name: null,
+            Name: name,
             Role: match[1].trim(),
+            ...(holderPeerage && { Peerage: holderPeerage }),
             firstSeen: item.Timecode
           };
         }
@@ -339,7 +718,7 @@ export class HansardService {
             MemberId: item.MemberId,
             Name: fullMatch[1].trim(),
             Constituency: fullMatch[2].trim(),
-            Party: PARTY_MAPPINGS[rawParty] || rawParty,
+            Party: canonicalPartyName(rawParty),
             firstSeen: item.Timecode
           };
         }
@@ -351,7 +730,7 @@ export class HansardService {
           return {
             MemberId: item.MemberId,
             Name: simpleMatch[1].trim(),
-            Party: PARTY_MAPPINGS[rawParty] || rawParty,
+            Party: canonicalPartyName(rawParty),
             firstSeen: item.Timecode
           };
         }
@@ -382,59 +761,90 @@ export class HansardService {
     const promises = items.map(async (item) => {
       if (item.ExternalId) {
         try {
-          if (this.debateCache.has(item.ExternalId)) {
+          if (!context.revalidate && this.debateCache.has(item.ExternalId)) {
             const cached = this.debateCache.get(item.ExternalId);
             return cached;
           }
 
-          const debateData = await this.fetchDebate(item.ExternalId);
+          const debateData = await this.fetchDebate(item.ExternalId, { revalidate: context.revalidate });
+
+          // Items from the debate and all its child debates, in transcript order
+          const allItems = flattenDebateItems(debateData, item.ExternalId);
 
-          // Concatenate Items from child debates
-          const allItems = [
-            ...(debateData.Items || []),
-            ...(debateData.ChildDebates || []).flatMap(child => child.Items || [])
-          ];
+          const debateDate = context.date || debateData.Overview?.Date;
 
           const simplifiedItems = allItems.map(item => {
-            let memberDetails = item.MemberId ? this.getMemberDetails(item) : null;
+            // Chair interventions can arrive without a member ID, so accept those attributions too
+            const isChairOrPost = !item.MemberId && item.AttributedTo &&
+              MinisterialPostsRegistry.isPostTitle(item.AttributedTo.split('(')[0].trim(), context.house);
+            // Peers are also matched by title when the member ID is missing
+            const isPeer = !item.MemberId && item.AttributedTo && context.house !== 'Commons' &&
+              Boolean(parsePeerageTitle(item.AttributedTo));
+            let memberDetails = (item.MemberId || isChairOrPost || isPeer)
+              ? this.getMemberDetails(item, { house: context.house })
+              : null;
+
+            // Role-only attributions name whoever held the post on the day
+            if (memberDetails?.Role && !memberDetails.Name) {
+              const holder = MinisterialPostsRegistry.resolve(memberDetails.Role, {
+                date: debateDate,
+                house: context.house,
+                memberId: item.MemberId
+              });
+              if (holder) {
+                memberDetails = { ...memberDetails, Name: holder.name, MemberId: item.MemberId ?? holder.member_id };
+              }
+            }
 
-            if (item.MemberId && (!memberDetails?.Name && !memberDetails?.Role)) {
-              membersToFetch.add(item.MemberId);
+            const memberId = item.MemberId ?? memberDetails?.MemberId;
+
+            if (memberId && !memberDetails?.Name) {
+              membersToFetch.add(memberId);
             }
 
-            if (item.MemberId && (!memberDetails || !memberDetails.Name) && debateMemberCache.has(item.MemberId)) {
-              memberDetails = debateMemberCache.get(item.MemberId);
+            if (memberId && (!memberDetails || !memberDetails.Name) && debateMemberCache.has(memberId)) {
+              memberDetails = { ...debateMemberCache.get(memberId), Role: memberDetails?.Role || debateMemberCache.get(memberId).Role };
             }
 
             if (memberDetails?.Name) {
-              debateMemberCache.set(item.MemberId, memberDetails);
+              debateMemberCache.set(memberId, memberDetails);
             }
 
+            const kind = classifyItem(item);
+
             return {
-              memberId: item.MemberId,
+              memberId,
               name: memberDetails?.Name,
               title: memberDetails?.Role,
               constituency: memberDetails?.Constituency,
               party: memberDetails?.Party,
-              value: item.Value ? item.Value.replace(/<[^>]+>/g, '').trim() : null
+              peerage: memberDetails?.Peerage ?? null,
+              value: item.Value ? item.Value.replace(/<[^>]+>/g, '').trim() : null,
+              sectionExtId: item.SectionExtId,
+              itemId: item.ItemId ?? null,
+              externalId: item.ExternalId ?? null,
+              timecode: item.Timecode ?? null,
+              hrsTag: item.HRSTag ?? null,
+              itemType: item.ItemType ?? null,
+              kind: kind === 'other' && memberId ? 'speech' : kind
             };
           });
 
           if (membersToFetch.size > 0) {
-            const { data: supabaseMembers } = await SupabaseService.getMemberDetails([...membersToFetch]);
+            const { data: supabaseMembers } = await this.lookupMembers([...membersToFetch]);
             if (supabaseMembers?.length) {
               const supabaseMemberMap = new Map(
                 supabaseMembers.map(member => [
                   member.member_id, 
                   {
                     ...member,
-                    party: PARTY_MAPPINGS[member.party] || member.party
+                    party: canonicalPartyName(member.party)
                   }
                 ])
               );
 
               simplifiedItems.forEach(item => {
-                if (item.memberId && !item.name && !item.title) {
+                if (item.memberId && !item.name) {
                   const supabaseMember = supabaseMemberMap.get(item.memberId);
                   if (supabaseMember) {
                     item.name = supabaseMember.display_as;
@@ -455,6 +865,39 @@ export class HansardService {
             }
           }
 
+          // Peers attributed without a member ID are matched by title against Lords members
+          const unmatchedPeers = simplifiedItems.filter(item => item?.peerage && !item.memberId);
+          if (unmatchedPeers.length) {
+            const { data: peers } = await this.lookupPeers(unmatchedPeers.map(item => item.peerage));
+            unmatchedPeers.forEach(item => {
+              const peer = findPeer(item.peerage, peers || []);
+              if (!peer) return;
+
+              item.memberId = peer.member_id;
+              item.name = peer.display_as;
+              item.party = item.party || canonicalPartyName(peer.party);
+              if (item.kind === 'other') item.kind = 'speech';
+            });
+          }
+
+          // Attribute party and seat as they were on the day, not as they are now
+          const memberIds = [...new Set(simplifiedItems.map(item => item.memberId).filter(Boolean))];
+          const membersAsOf = await this.lookupMemberHistory(memberIds, debateDate);
+
+          simplifiedItems.forEach(item => {
+            const member = item.memberId && membersAsOf.get(Number(item.memberId));
+            if (!member) return;
+
+            item.party = canonicalPartyName(member.party) || item.party;
+            item.constituency = member.constituency || item.constituency;
+            item.name = item.name || member.name;
+          });
+
+          // Registry id alongside the party name, e.g. 'lab-coop' for "Labour (Co-op)"
+          simplifiedItems.forEach(item => {
+            if (item) item.partyId = resolveParty(item.party)?.id ?? null;
+          });
+
           const filteredItems = simplifiedItems
             .filter(Boolean)
             .filter(item => {
@@ -472,13 +915,20 @@ export class HansardService {
             house: context.house,
             section: context.section,
             Items: filteredItems,
-            Overview: debateData.Overview
+            SectionTree: buildSectionTree(debateData, filteredItems, item.ExternalId),
+            Overview: debateData.Overview,
+            contentHash: computeContentHash(allItems.map(item => ({
+              memberId: item.MemberId,
+              attributedTo: item.AttributedTo,
+              value: item.Value
+            })))
           };
 
           this.debateCache.set(item.ExternalId, result);
           return result;
 
         } catch (error) {
+          if (error instanceof MissingFixtureError) throw error;
           logger.error('Failed to fetch debate details:', {
             error: error.message,
             externalId: item.ExternalId
@@ -0,0 +1,451 @@
+/**
+ * Providers perform the model calls for LLMService.
+ *
+ * A provider is an object with a `name` and any of:
+ *
+ * - `complete({ model, messages, maxTokens, temperature, responseFormat })`
+ *   resolving to `{ content, refusal, finishReason, usage, model }`.
+ *   `responseFormat` is an OpenAI `response_format` (e.g. from
+ *   zodResponseFormat()).
+ * - `embed({ model, input })` resolving to `{ embeddings, usage }`, one vector
+ *   per input string.
+ * - `createBatch(requests, { complete })`, `retrieveBatch(id)` and
+ *   `batchResults(batch)` for batch jobs. Requests and result lines use the
+ *   OpenAI Batch API JSONL shapes (`{ custom_id, method, url, body }` in,
+ *   `{ custom_id, response: { status_code, body }, error }` out), and batch
+ *   statuses use its names (validating, in_progress, completed, failed, ...).
+ *   Providers without a batch API set `inlineBatches` and run each request
+ *   through the `complete` they are given, as LLMService checks and records
+ *   it like a direct call.
+ * - `runAssistant({ assistantId, prompt, instructions, responseFormat, model })`
+ *   resolving to `{ content, citations, usage, model }`, where citations are
+ *   the filenames of the vector store files the answer drew on.
+ *
+ * `usage` is the OpenAI usage object (`prompt_tokens`, `completion_tokens`)
+ * or null; LLMService records it in the usage ledger.
+ *
+ * Set LLM_PROVIDER=openai (the default) to use the OpenAI SDK, http to send
+ * chat completions and embeddings to any OpenAI-compatible server at
+ * LLM_BASE_URL (vLLM, llama.cpp, Ollama, LiteLLM...), or stub for
+ * deterministic offline responses that satisfy the requested JSON schema.
+ */
+import crypto from 'crypto';
+import OpenAI, { toFile } from 'openai';
+import { config } from '../config/config.js';
+import { BudgetExceededError } from './usage-ledger.js';
+import logger from '../utils/logger.js';
+
+const TERMINAL_RUN_STATUSES = ['completed', 'failed', 'cancelled', 'expired', 'incomplete'];
+const RUN_POLL_INTERVAL = 1000;
+
+const STUB_EMBEDDING_DIMENSIONS = 1536;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function parseLines(text) {
+  return text
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        logger.error('Failed to parse batch result line:', {
+          error: error.message,
+          line: line.slice(0, 100) + '...'
+        });
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Chat completion response body in the OpenAI shape, as found in batch result lines
+function completionBody(result, model) {
+  return {
+    object: 'chat.completion',
+    model: result.model || model,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content: result.content, refusal: result.refusal ?? null },
+      finish_reason: result.finishReason
+    }],
+    usage: result.usage
+  };
+}
+
+/**
+ * Batch jobs for providers without a batch API: every request is run through
+ * `complete()` when the batch is created, and the results are held in memory
+ * until collected, so a batch never outlives the process that created it.
+ * The `complete` passed to createBatch() (LLMService's, which checks the
+ * budget and records each call) is used over the provider's own. Once the
+ * budget is reached the remaining requests are left without a result.
+ */
+function createInlineBatches(complete) {
+  const batches = new Map();
+
+  return {
+    inlineBatches: true,
+
+    async createBatch(requests, { complete: completeRequest = complete } = {}) {
+      const id = `batch_inline_${hash(requests.map(request => request.custom_id).join('\n')).slice(0, 16)}_${batches.size}`;
+      const results = [];
+
+      for (const request of requests) {
+        const { body } = request;
+        try {
+          const result = await completeRequest({
+            model: body.model,
+            messages: body.messages,
+            maxTokens: body.max_tokens,
+            temperature: body.temperature,
+            responseFormat: body.response_format
+          }, request);
+          results.push({
+            custom_id: request.custom_id,
+            response: { status_code: 200, body: completionBody(result, body.model) },
+            error: null
+          });
+        } catch (error) {
+          if (error instanceof BudgetExceededError) {
+            logger.warn('Model budget reached, leaving the rest of the inline batch unanswered:', {
+              answered: results.length,
+              unanswered: requests.length - results.length
+            });
+            break;
+          }
+          results.push({
+            custom_id: request.custom_id,
+            response: null,
+            error: { code: error.status || 'request_failed', message: error.message }
+          });
+        }
+      }
+
+      batches.set(id, results);
+      return { id, status: 'completed' };
+    },
+
+    // A batch created by another process has lost its results, so it reads as expired
+    async retrieveBatch(id) {
+      if (!batches.has(id)) {
+        return { id, status: 'expired', outputFileId: null, errorFileId: null, error: 'Inline batch results are held only by the process that created it' };
+      }
+      return { id, status: 'completed', outputFileId: id, errorFileId: null, error: null };
+    },
+
+    async batchResults(batch) {
+      return batches.get(batch.id) || [];
+    }
+  };
+}
+
+export function createOpenAIProvider({ apiKey = config.LLM_API_KEY, client } = {}) {
+  const openai = client || new OpenAI({ apiKey });
+
+  return {
+    name: 'openai',
+
+    async complete({ model, messages, maxTokens, temperature, responseFormat }) {
+      const completion = await openai.chat.completions.create({
+        model,
+        messages,
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(responseFormat ? { response_format: responseFormat } : {})
+      });
+
+      const choice = completion.choices[0];
+      return {
+        content: choice?.message?.content ?? null,
+        refusal: choice?.message?.refusal ?? null,
+        finishReason: choice?.finish_reason ?? null,
+        usage: completion.usage || null,
+        model: completion.model
+      };
+    },
+
+    async embed({ model, input }) {
+      const response = await openai.embeddings.create({ model, input });
+      return {
+        embeddings: response.data.map(item => item.embedding),
+        usage: response.usage || null
+      };
+    },
+
+    async createBatch(requests) {
+      const file = await openai.files.create({
+        file: await toFile(Buffer.from(requests.map(request => JSON.stringify(request)).join('\n')), 'batch.jsonl'),
+        purpose: 'batch'
+      });
+
+      const batch = await openai.batches.create({
+        input_file_id: file.id,
+        endpoint: '/v1/chat/completions',
+        completion_window: '24h'
+      });
+
+      return { id: batch.id, status: batch.status, inputFileId: file.id };
+    },
+
+    async retrieveBatch(id) {
+      const batch = await openai.batches.retrieve(id);
+      return {
+        id: batch.id,
+        status: batch.status,
+        outputFileId: batch.output_file_id || null,
+        errorFileId: batch.error_file_id || null,
+        error: batch.errors?.data?.map(error => error.message).join('; ') || null,
+        requestCounts: batch.request_counts || null
+      };
+    },
+
+    // Successful lines from the output file followed by failed lines from the error file
+    async batchResults(batch) {
+      const results = [];
+      for (const fileId of [batch.outputFileId, batch.errorFileId].filter(Boolean)) {
+        const response = await openai.files.content(fileId);
+        results.push(...parseLines(await response.text()));
+      }
+      return results;
+    },
+
+    async runAssistant({ assistantId, prompt, instructions, responseFormat, model }) {
+      const thread = await openai.beta.threads.create();
+      logger.info(`Created thread ${thread.id} using assistant ${assistantId}`);
+
+      await openai.beta.threads.messages.create(thread.id, {
+        role: 'user',
+        content: prompt
+      });
+
+      const run = await openai.beta.threads.runs.create(thread.id, {
+        assistant_id: assistantId,
+        ...(model ? { model } : {}),
+        ...(instructions ? { instructions } : {}),
+        ...(responseFormat ? { response_format: responseFormat } : {})
+      });
+
+      // Wait for completion
+      let runStatus = await openai.beta.threads.runs.retrieve(thread.id, run.id);
+      while (!TERMINAL_RUN_STATUSES.includes(runStatus.status)) {
+        await sleep(RUN_POLL_INTERVAL);
+        runStatus = await openai.beta.threads.runs.retrieve(thread.id, run.id);
+      }
+      if (runStatus.status !== 'completed') {
+        throw new Error(`Run ${runStatus.status}`);
+      }
+
+      const messages = await openai.beta.threads.messages.list(thread.id);
+      const assistantMessage = messages.data.find(msg => msg.role === 'assistant');
+
+      if (!assistantMessage?.content[0] || assistantMessage.content[0].type !== 'text') {
+        throw new Error('Invalid assistant response');
+      }
+
+      const { text } = assistantMessage.content[0];
+      const citations = [];
+      for (const annotation of text.annotations || []) {
+        if ('file_citation' in annotation) {
+          const citedFile = await openai.files.retrieve(annotation.file_citation.file_id);
+          citations.push(citedFile.filename);
+        }
+      }
+
+      return { content: text.value, citations, usage: runStatus.usage || null, model: runStatus.model };
+    }
+  };
+}
+
+/**
+ * Chat completions and embeddings over plain HTTP against any server that
+ * implements the OpenAI /chat/completions and /embeddings endpoints. Batch
+ * jobs run inline; assistant retrieval needs the OpenAI provider.
+ */
+export function createHttpProvider({ baseUrl = config.LLM_BASE_URL, apiKey = config.LLM_API_KEY } = {}) {
+  if (!baseUrl) {
+    throw new Error('LLM_BASE_URL is required for the http LLM provider');
+  }
+  const root = baseUrl.replace(/\/+$/, '');
+
+  async function post(endpoint, body) {
+    const response = await fetch(`${root}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+      const error = new Error(`LLM request to ${endpoint} failed with status ${response.status}: ${text.slice(0, 200)}`);
+      error.status = response.status;
+      throw error;
+    }
+    return JSON.parse(text);
+  }
+
+  async function complete({ model, messages, maxTokens, temperature, responseFormat }) {
+    const completion = await post('/chat/completions', {
+      model,
+      messages,
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...(responseFormat ? { response_format: responseFormat } : {})
+    });
+
+    const choice = completion.choices?.[0];
+    return {
+      content: choice?.message?.content ?? null,
+      refusal: choice?.message?.refusal ?? null,
+      finishReason: choice?.finish_reason ?? null,
+      usage: completion.usage || null,
+      model: completion.model || model
+    };
+  }
+
+  return {
+    name: 'http',
+    complete,
+
+    async embed({ model, input }) {
+      const response = await post('/embeddings', { model, input });
+      return {
+        embeddings: response.data.map(item => item.embedding),
+        usage: response.usage || null
+      };
+    },
+
+    ...createInlineBatches(complete)
+  };
+}
+
+// Deterministic value satisfying a JSON schema, with strings derived from `seed`
+function sampleFromSchema(schema, seed, root = schema, path = 'value') {
+  if (!schema) return null;
+
+  if (schema.$ref) {
+    const name = schema.$ref.split('/').pop();
+    return sampleFromSchema((root.definitions || root.$defs || {})[name], seed, root, path);
+  }
+  if (schema.anyOf) {
+    const option = schema.anyOf.find(candidate => candidate.type !== 'null') || schema.anyOf[0];
+    return sampleFromSchema(option, seed, root, path);
+  }
+  if (schema.enum) return schema.enum[0];
+  if (schema.const !== undefined) return schema.const;
+
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {})
+        .map(([key, property]) => [key, sampleFromSchema(property, seed, root, key)]));
+    case 'array':
+      return [sampleFromSchema(schema.items, seed, root, path)];
+    case 'number':
+    case 'integer':
+      return parseInt(seed.slice(0, 4), 16) % 100;
+    case 'boolean':
+      return false;
+    case 'null':
+      return null;
+    default:
+      return `stub ${path} ${seed.slice(0, 8)}`;
+  }
+}
+
+function stubContent(messages, responseFormat) {
+  const seed = hash(JSON.stringify(messages));
+  const schema = responseFormat?.json_schema?.schema;
+
+  if (schema) return JSON.stringify(sampleFromSchema(schema, seed));
+  if (responseFormat?.type === 'json_object') return JSON.stringify({ response: `stub ${seed.slice(0, 8)}` });
+  return `Stub response ${seed.slice(0, 8)}`;
+}
+
+function stubEmbedding(text, dimensions) {
+  const values = [];
+  for (let i = 0; values.length < dimensions; i++) {
+    const digest = crypto.createHash('sha256').update(`${i}:${text}`).digest();
+    for (let j = 0; j < digest.length && values.length < dimensions; j += 2) {
+      values.push(digest.readUInt16BE(j) / 32767.5 - 1);
+    }
+  }
+
+  const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return values.map(value => value / norm);
+}
+
+/**
+ * Offline provider for tests and dry runs. The same messages always produce
+ * the same response: JSON matching the requested schema when there is one,
+ * otherwise a short text. Embeddings are unit vectors seeded from the input.
+ */
+export function createStubProvider({ dimensions = STUB_EMBEDDING_DIMENSIONS } = {}) {
+  const calls = [];
+
+  async function complete({ model, messages, responseFormat }) {
+    calls.push({ method: 'complete', model, messages });
+    const content = stubContent(messages, responseFormat);
+    const promptTokens = Math.ceil(JSON.stringify(messages).length / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      content,
+      refusal: null,
+      finishReason: 'stop',
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+      model
+    };
+  }
+
+  return {
+    name: 'stub',
+    calls,
+    complete,
+
+    async embed({ model, input }) {
+      const inputs = Array.isArray(input) ? input : [input];
+      calls.push({ method: 'embed', model, input: inputs });
+      const promptTokens = Math.ceil(inputs.join('').length / 4);
+      return {
+        embeddings: inputs.map(text => stubEmbedding(text, dimensions)),
+        usage: { prompt_tokens: promptTokens, total_tokens: promptTokens }
+      };
+    },
+
+    ...createInlineBatches(complete),
+
+    async runAssistant({ assistantId, prompt, responseFormat, model }) {
+      calls.push({ method: 'runAssistant', assistantId, model, prompt });
+      const { content, usage } = await complete({ model, messages: [{ role: 'user', content: prompt }], responseFormat });
+      return { content, citations: [], usage, model };
+    }
+  };
+}
+
+export function createDefaultProvider(options = {}) {
+  const name = options.provider || config.LLM_PROVIDER;
+
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider();
+    case 'http':
+      logger.info('Using OpenAI-compatible LLM server:', { baseUrl: options.baseUrl || config.LLM_BASE_URL });
+      return createHttpProvider({ baseUrl: options.baseUrl || config.LLM_BASE_URL });
+    case 'stub':
+      logger.info('Using the stub LLM provider; responses are generated offline');
+      return createStubProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${name}`);
+  }
+}
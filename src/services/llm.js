@@ -0,0 +1,197 @@
+import { config } from '../config/config.js';
+import { createDefaultProvider } from './llm-providers.js';
+import { UsageLedger, estimateBatchCost } from './usage-ledger.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Single entry point for model calls: chat completions with structured
+ * output, batch jobs, embeddings and assistant retrieval.
+ *
+ * Every call names a task ('analysis', 'questions', 'summary', 'search',
+ * 'embeddings', 'completion') and gets that task's model from
+ * config.LLM_MODELS unless a model is passed explicitly. The calls themselves
+ * go to a pluggable provider (see ./llm-providers.js), built on first use;
+ * swap it with setProvider() to run against the offline stub.
+ *
+ * Every call is checked against the budgets and recorded in the usage ledger
+ * (see ./usage-ledger.js). Pass the processed debate a call is for as
+ * `debate` so its usage is attributed to it.
+ */
+export class LLMService {
+  static provider = null;
+
+  static setProvider(provider) {
+    this.provider = provider || null;
+  }
+
+  // Built on first use so importing the service needs no API key
+  static getProvider() {
+    this.provider ??= createDefaultProvider();
+    return this.provider;
+  }
+
+  // Model configured for a task; unknown tasks use the general completion model
+  static modelFor(task) {
+    return task in config.LLM_MODELS ? config.LLM_MODELS[task] : config.LLM_MODELS.completion;
+  }
+
+  static supports(capability) {
+    const methods = {
+      completion: ['complete'],
+      embeddings: ['embed'],
+      batch: ['createBatch', 'retrieveBatch', 'batchResults'],
+      assistant: ['runAssistant']
+    }[capability] || [];
+
+    return methods.length > 0 && methods.every(method => typeof this.getProvider()[method] === 'function');
+  }
+
+  static requireSupport(capability) {
+    if (!this.supports(capability)) {
+      throw new Error(`LLM provider "${this.getProvider().name}" does not support ${capability}`);
+    }
+  }
+
+  /**
+   * Chat completion for a task. Resolves to { content, refusal, finishReason,
+   * usage, model }; pass an OpenAI response_format as `responseFormat` for
+   * structured output.
+   */
+  static async complete(task, { messages, maxTokens, temperature, responseFormat, model, debate } = {}) {
+    this.requireSupport('completion');
+    await UsageLedger.checkBudget();
+
+    const requestModel = model || this.modelFor(task);
+    let result;
+    try {
+      result = await this.getProvider().complete({
+        model: requestModel,
+        messages,
+        maxTokens,
+        temperature,
+        responseFormat
+      });
+    } catch (error) {
+      logger.error(`LLM completion failed for ${task}:`, {
+        provider: this.getProvider().name,
+        error: error.message
+      });
+      throw error;
+    }
+
+    await this.recordUsage(task, [{ model: result.model || requestModel, usage: result.usage, debate }]);
+    return result;
+  }
+
+  static async recordUsage(task, entries) {
+    return UsageLedger.record(task, entries, { provider: this.getProvider().name });
+  }
+
+  // One line of a batch input file: a chat completion request for a task
+  static batchRequest(task, customId, { messages, maxTokens, temperature, responseFormat, model } = {}) {
+    return {
+      custom_id: customId,
+      method: 'POST',
+      url: '/v1/chat/completions',
+      body: {
+        model: model || this.modelFor(task),
+        messages,
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(responseFormat ? { response_format: responseFormat } : {})
+      }
+    };
+  }
+
+  /**
+   * Submits a batch job for a task. Its estimated cost (see estimateBatchCost())
+   * must fit within the budgets and is reserved against them until
+   * batchResults() records the actual usage. Providers without a batch API run
+   * the requests now, each checked and recorded like a direct call for the
+   * debate in `debates` whose ext_id is its custom_id, so nothing is reserved.
+   * Resolves to the provider's batch with its `estimatedCost`.
+   */
+  static async createBatch(requests, { task = 'analysis', debates = [] } = {}) {
+    this.requireSupport('batch');
+    const provider = this.getProvider();
+    // Inline batches are direct calls, billed at the full price
+    const estimatedCost = estimateBatchCost(requests, { batch: !provider.inlineBatches });
+    await UsageLedger.checkBudget({ reserve: estimatedCost });
+
+    if (provider.inlineBatches) {
+      const batch = await provider.createBatch(requests, {
+        complete: (options, request) => this.complete(task, {
+          ...options,
+          debate: debates.find(debate => debate.ext_id === request.custom_id)
+        })
+      });
+      return { ...batch, estimatedCost: 0 };
+    }
+
+    const batch = await provider.createBatch(requests);
+    UsageLedger.reserve(batch.id, estimatedCost);
+    return { ...batch, estimatedCost };
+  }
+
+  static async retrieveBatch(id) {
+    this.requireSupport('batch');
+    return this.getProvider().retrieveBatch(id);
+  }
+
+  /**
+   * Result lines of a finished batch. Their usage is recorded against the
+   * task, and against the debate in `debates` whose ext_id is the line's
+   * custom_id, once per line however often the batch is read; the batch's
+   * reservation is then released. Inline batches were recorded as they ran.
+   */
+  static async batchResults(batch, { task = 'analysis', debates = [] } = {}) {
+    this.requireSupport('batch');
+    const provider = this.getProvider();
+    const results = await provider.batchResults(batch);
+
+    if (provider.inlineBatches) return results;
+
+    await this.recordUsage(task, results
+      .filter(result => result.response?.body?.usage)
+      .map(result => ({
+        model: result.response.body.model,
+        usage: result.response.body.usage,
+        debate: debates.find(debate => debate.ext_id === result.custom_id),
+        batch: { batchId: batch.id, customId: result.custom_id }
+      })));
+    UsageLedger.release(batch.id);
+    return results;
+  }
+
+  static async embed(input, { task = 'embeddings', model, debate } = {}) {
+    this.requireSupport('embeddings');
+    await UsageLedger.checkBudget();
+
+    const requestModel = model || this.modelFor(task);
+    const result = await this.getProvider().embed({ model: requestModel, input });
+
+    await this.recordUsage(task, [{ model: requestModel, usage: result.usage, debate }]);
+    return result;
+  }
+
+  /**
+   * Runs an assistant over its vector store and resolves to { content,
+   * citations }. The task's model overrides the assistant's own when set.
+   */
+  static async runAssistant(task, { assistantId, prompt, instructions, responseFormat, model } = {}) {
+    this.requireSupport('assistant');
+    await UsageLedger.checkBudget();
+
+    const requestModel = model || this.modelFor(task);
+    const result = await this.getProvider().runAssistant({
+      assistantId,
+      prompt,
+      instructions,
+      responseFormat,
+      model: requestModel
+    });
+
+    await this.recordUsage(task, [{ model: result.model || requestModel, usage: result.usage }]);
+    return result;
+  }
+}
@@ -0,0 +1,156 @@
+import logger from '../utils/logger.js';
+import { HansardService } from './hansard.js';
+import { SupabaseService } from './supabase.js';
+
+export const MEMBERS_API_BASE = 'https://members-api.parliament.uk';
+
+// The Members API takes up to 20 ids per history request
+const HISTORY_BATCH_SIZE = 20;
+
+const HOUSES = { 1: 'Commons', 2: 'Lords' };
+
+function toDate(value) {
+  return value ? value.split('T')[0] : null;
+}
+
+// Flattens one Members API history record into dated member_history rows
+function toHistoryRows(history) {
+  const memberId = history.id;
+
+  return [
+    ...(history.nameHistory || []).map(name => ({
+      member_id: memberId,
+      kind: 'name',
+      value: name.nameDisplayAs,
+      detail: name.nameFullTitle || null,
+      house: null,
+      start_date: toDate(name.startDate),
+      end_date: toDate(name.endDate)
+    })),
+    ...(history.partyHistory || []).map(entry => ({
+      member_id: memberId,
+      kind: 'party',
+      value: entry.party?.name,
+      detail: entry.party?.abbreviation || null,
+      house: null,
+      start_date: toDate(entry.startDate),
+      end_date: toDate(entry.endDate)
+    })),
+    ...(history.houseMembershipHistory || []).map(membership => ({
+      member_id: memberId,
+      kind: 'house',
+      value: membership.membershipFrom,
+      detail: membership.membershipEndReason || null,
+      house: HOUSES[membership.house] || null,
+      start_date: toDate(membership.membershipStartDate),
+      end_date: toDate(membership.membershipEndDate)
+    }))
+  ].filter(row => row.value && row.start_date);
+}
+
+// The span of `kind` covering `date`, preferring the latest start when spans overlap
+function spanAsOf(rows, kind, date) {
+  return rows
+    .filter(row => row.kind === kind && row.start_date <= date && (!row.end_date || row.end_date >= date))
+    .sort((a, b) => b.start_date.localeCompare(a.start_date))[0] || null;
+}
+
+/**
+ * Dated party memberships, constituencies (or peerage type) and house spans
+ * for each member, so a debate is attributed as things stood on the day
+ * rather than as they stand now. History is read from the member_history
+ * table and fetched from the Members API for members not yet stored.
+ */
+export class MemberHistoryService {
+  static cache = new Map();
+
+  static async fetchHistory(memberIds) {
+    const rows = [];
+
+    for (let i = 0; i < memberIds.length; i += HISTORY_BATCH_SIZE) {
+      const params = new URLSearchParams();
+      memberIds.slice(i, i + HISTORY_BATCH_SIZE).forEach(id => params.append('ids', id));
+
+      const response = await HansardService.fetchWithErrorHandling(
+        `${MEMBERS_API_BASE}/api/Members/History?${params}`
+      );
+      (response || []).forEach(result => {
+        if (result?.value) rows.push(...toHistoryRows(result.value));
+      });
+    }
+
+    return rows;
+  }
+
+  // Fetches history from the Members API and stores it
+  static async syncHistory(memberIds) {
+    const rows = await this.fetchHistory(memberIds);
+
+    if (rows.length) {
+      await SupabaseService.upsertMemberHistory(rows);
+    }
+
+    memberIds.forEach(id => this.cache.set(Number(id), rows.filter(row => row.member_id === Number(id))));
+    return rows;
+  }
+
+  static async getHistories(memberIds) {
+    const ids = [...new Set(memberIds.map(Number))];
+    const missing = ids.filter(id => !this.cache.has(id));
+
+    if (missing.length) {
+      const { data: stored } = await SupabaseService.getMemberHistory(missing);
+      (stored || []).forEach(row => {
+        const rows = this.cache.get(row.member_id) || [];
+        rows.push(row);
+        this.cache.set(row.member_id, rows);
+      });
+
+      const unknown = missing.filter(id => !this.cache.has(id));
+      if (unknown.length) {
+        try {
+          await this.syncHistory(unknown);
+        } catch (error) {
+          logger.warn('Failed to fetch member history:', {
+            error: error.message,
+            memberIds: unknown
+          });
+        }
+      }
+    }
+
+    return new Map(ids.map(id => [id, this.cache.get(id) || []]));
+  }
+
+  // { name, party, constituency, house } for one member on `date`, from their history rows
+  static resolveAsOf(rows, date) {
+    const day = toDate(date) || new Date().toISOString().split('T')[0];
+    const name = spanAsOf(rows, 'name', day);
+    const party = spanAsOf(rows, 'party', day);
+    const membership = spanAsOf(rows, 'house', day);
+
+    if (!name && !party && !membership) return null;
+
+    return {
+      name: name?.value || null,
+      party: party?.value || null,
+      constituency: membership?.value || null,
+      house: membership?.house || null
+    };
+  }
+
+  // Map of member ID -> { name, party, constituency, house } as of `date`; members without history are left out
+  static async resolveMembersAsOf(memberIds, date) {
+    if (!memberIds?.length) return new Map();
+
+    const histories = await this.getHistories(memberIds);
+    const resolved = new Map();
+
+    histories.forEach((rows, id) => {
+      const asOf = this.resolveAsOf(rows, date);
+      if (asOf) resolved.set(id, asOf);
+    });
+
+    return resolved;
+  }
+}
@@ -0,0 +1,231 @@
+import { supabase, SupabaseService } from './supabase.js';
+import logger from '../utils/logger.js';
+
+// Weeks of contribution history kept in each profile
+const PROFILE_WEEKS = 52;
+const TOP_DEBATES = 10;
+const RECENT_QUOTES = 5;
+const QUOTE_LENGTH = 280;
+
+// Activity rows are read per batch of members to keep `in` filters short
+const MEMBER_BATCH_SIZE = 100;
+
+const QUESTION_PATTERN = /\?["'”’)\]]*\s*$/;
+// Asking items in written answers records start with the question's UIN, e.g. "[12345] Schools: Funding: ..."
+const WRITTEN_QUESTION_PATTERN = /^\[[^\]]+\]\s/;
+const WRITTEN_ANSWER_ROLE = /^Answering for /;
+
+function countWords(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+// Opening sentences of a contribution, cut at a sentence end where possible
+function excerpt(text) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= QUOTE_LENGTH) return clean;
+
+  const cut = clean.slice(0, QUOTE_LENGTH);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('? '), cut.lastIndexOf('! '));
+  return sentenceEnd > QUOTE_LENGTH / 2 ? cut.slice(0, sentenceEnd + 1) : `${cut.trimEnd()}…`;
+}
+
+// Monday of the week containing `date`, as YYYY-MM-DD
+function weekStart(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().split('T')[0];
+}
+
+/**
+ * Per-member statistics built from processed debates: contributions and
+ * words per week, debate types, the debates they spoke most in, questions
+ * asked versus answered, and recent quotes.
+ *
+ * Each ingested debate adds one member_debate_activity row per member who
+ * spoke (see src/config/member_profiles.sql). Afterwards the profiles of just
+ * those members are rebuilt from their activity rows and stored in
+ * member_profiles, where the frontend and the scheduler read them.
+ */
+export class MemberProfileService {
+  /**
+   * One activity row per member who spoke in a processed debate (the
+   * HansardService.processItems() shape, with item text). A contribution
+   * ending in a question mark counts as a question; the next contribution by
+   * someone else counts as an answer, as does a written answer.
+   */
+  static buildDebateActivity(debate) {
+    const overview = debate.Overview || debate.overview || {};
+    const date = overview.Date?.split('T')[0];
+    if (!date) return [];
+
+    const isWrittenAnswers = overview.Type === 'Written Answers';
+    const speeches = (debate.Items || []).filter(item => item?.memberId && item.kind === 'speech' && item.value);
+    const byMember = new Map();
+    const longest = new Map();
+    let previousQuestion = null;
+
+    speeches.forEach(item => {
+      const memberId = Number(item.memberId);
+      const isQuestion = QUESTION_PATTERN.test(item.value) ||
+        (isWrittenAnswers && WRITTEN_QUESTION_PATTERN.test(item.value));
+      const isAnswer = !isQuestion && (
+        WRITTEN_ANSWER_ROLE.test(item.title || '') ||
+        (previousQuestion !== null && previousQuestion !== memberId)
+      );
+      previousQuestion = isQuestion ? memberId : null;
+
+      const activity = byMember.get(memberId) || {
+        debate_ext_id: debate.ExternalId || debate.ext_id || overview.ExtId,
+        member_id: memberId,
+        name: item.name || null,
+        party: item.party || null,
+        house: debate.house || overview.House || null,
+        debate_date: date,
+        debate_type: overview.Type || null,
+        debate_title: overview.Title || debate.Title || null,
+        contributions: 0,
+        words: 0,
+        questions_asked: 0,
+        answers_given: 0,
+        quote: null,
+        quote_item_ext_id: null
+      };
+
+      activity.contributions++;
+      activity.words += countWords(item.value);
+      if (isQuestion) activity.questions_asked++;
+      if (isAnswer) activity.answers_given++;
+
+      // The member's longest contribution in the debate supplies the quote
+      if (item.value.length > (longest.get(memberId) || 0)) {
+        longest.set(memberId, item.value.length);
+        activity.quote = excerpt(item.value);
+        activity.quote_item_ext_id = item.externalId || null;
+      }
+
+      byMember.set(memberId, activity);
+    });
+
+    return [...byMember.values()];
+  }
+
+  // Profile for one member from all of their activity rows
+  static buildProfile(memberId, rows) {
+    const sorted = [...rows].sort((a, b) => b.debate_date.localeCompare(a.debate_date));
+    const latest = sorted[0] || {};
+
+    const cutoff = new Date();
+    cutoff.setUTCDate(cutoff.getUTCDate() - PROFILE_WEEKS * 7);
+    const cutoffWeek = weekStart(cutoff.toISOString().split('T')[0]);
+
+    const weeks = new Map();
+    const types = new Map();
+    sorted.forEach(row => {
+      const week = weekStart(row.debate_date);
+      if (week >= cutoffWeek) {
+        const entry = weeks.get(week) || { week, contributions: 0, words: 0 };
+        entry.contributions += row.contributions;
+        entry.words += row.words;
+        weeks.set(week, entry);
+      }
+
+      if (row.debate_type) types.set(row.debate_type, (types.get(row.debate_type) || 0) + 1);
+    });
+
+    return {
+      member_id: memberId,
+      name: sorted.find(row => row.name)?.name || null,
+      party: sorted.find(row => row.party)?.party || null,
+      house: sorted.find(row => row.house)?.house || null,
+      debates: sorted.length,
+      contributions: sorted.reduce((sum, row) => sum + row.contributions, 0),
+      words: sorted.reduce((sum, row) => sum + row.words, 0),
+      questions_asked: sorted.reduce((sum, row) => sum + row.questions_asked, 0),
+      answers_given: sorted.reduce((sum, row) => sum + row.answers_given, 0),
+      weekly: [...weeks.values()].sort((a, b) => a.week.localeCompare(b.week)),
+      debate_types: [...types.entries()]
+        .map(([type, debates]) => ({ type, debates }))
+        .sort((a, b) => b.debates - a.debates),
+      top_debates: [...sorted]
+        .sort((a, b) => b.words - a.words)
+        .slice(0, TOP_DEBATES)
+        .map(row => ({ title: row.debate_title, debate_ext_id: row.debate_ext_id, date: row.debate_date, words: row.words })),
+      recent_quotes: sorted
+        .filter(row => row.quote)
+        .slice(0, RECENT_QUOTES)
+        .map(row => ({
+          quote: row.quote,
+          debate_ext_id: row.debate_ext_id,
+          debate_title: row.debate_title,
+          date: row.debate_date,
+          item_ext_id: row.quote_item_ext_id
+        })),
+      first_seen: sorted[sorted.length - 1]?.debate_date || null,
+      last_seen: latest.debate_date || null,
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  static async getActivity(memberIds, pageSize = 1000) {
+    const rows = [];
+
+    for (let i = 0; i < memberIds.length; i += MEMBER_BATCH_SIZE) {
+      const batch = memberIds.slice(i, i + MEMBER_BATCH_SIZE);
+
+      for (let from = 0; ; from += pageSize) {
+        const { data, error } = await supabase
+          .from('member_debate_activity')
+          .select('*')
+          .in('member_id', batch)
+          .order('debate_ext_id')
+          .order('member_id')
+          .range(from, from + pageSize - 1);
+
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < pageSize) break;
+      }
+    }
+
+    return rows;
+  }
+
+  // Rebuilds the stored profiles of the given members from their activity rows
+  static async refreshProfiles(memberIds) {
+    const ids = [...new Set((memberIds || []).map(Number))];
+    if (!ids.length) return [];
+
+    const rows = await this.getActivity(ids);
+    const profiles = ids
+      .map(id => this.buildProfile(id, rows.filter(row => row.member_id === id)))
+      .filter(profile => profile.debates > 0);
+
+    const { error } = await SupabaseService.upsertMemberProfiles(profiles);
+    if (error) throw error;
+
+    logger.info('Refreshed member profiles:', { count: profiles.length });
+    return profiles;
+  }
+
+  // Stores activity for newly processed debates and refreshes the profiles of everyone who spoke
+  static async recordDebates(debates) {
+    const activity = (debates || []).flatMap(debate => debate.member_activity || []);
+    if (!activity.length) return [];
+
+    const { error } = await SupabaseService.upsertMemberActivity(activity);
+    if (error) throw error;
+
+    return this.refreshProfiles(activity.map(row => row.member_id));
+  }
+
+  static async getProfile(memberId) {
+    const { data, error } = await supabase
+      .from('member_profiles')
+      .select('*')
+      .eq('member_id', memberId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+}
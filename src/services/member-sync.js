@@ -1,60 +1,280 @@
-import { HansardAPI } from './hansard-api.js';
-import { SupabaseService } from './supabase.js';
+import fs from 'fs';
+import path from 'path';
+import { HansardService } from './hansard.js';
+import { SupabaseService, supabase } from './supabase.js';
+import { MemberHistoryService } from './member-history.js';
+import { config } from '../config/config.js';
 import logger from '../utils/logger.js';
 
+// Columns written to the members table, and compared to decide whether a row changed
+const MEMBER_FIELDS = [
+  'display_as',
+  'full_title',
+  'gender',
+  'party',
+  'house',
+  'member_from',
+  'house_start_date',
+  'house_end_date',
+  'constituency_country'
+];
+
+const DATE_FIELDS = ['house_start_date', 'house_end_date'];
+
+// Transform the data to match our schema exactly
+function toMemberRow(member) {
+  return {
+    member_id: member.MemberId,
+    display_as: member.DisplayAs,
+    full_title: member.FullTitle,
+    gender: member.Gender,
+    party: member.Party,
+    house: member.House,
+    member_from: member.MemberFrom,
+    house_start_date: member.HouseStartDate,
+    house_end_date: member.HouseEndDate,
+    constituency_country: member.ConstituencyCountry
+  };
+}
+
+// Dates come back from the API as "2024-07-04T00:00:00" and from Postgres in its own format
+function comparable(field, value) {
+  if (value === undefined || value === null || value === '') return null;
+  return DATE_FIELDS.includes(field) ? String(value).split('T')[0].split(' ')[0] : value;
+}
+
+function changedFields(stored, fetched) {
+  return MEMBER_FIELDS.filter(field => comparable(field, stored[field]) !== comparable(field, fetched[field]));
+}
+
+/**
+ * Compares members fetched from the API with the stored rows. Returns the
+ * rows to upsert (new or changed) and the changes worth reporting: new
+ * members, departures (a house end date appearing), party and name changes.
+ */
+export function diffMembers(storedRows, fetchedRows) {
+  const stored = new Map(storedRows.map(row => [Number(row.member_id), row]));
+  const report = { added: [], departed: [], partyChanges: [], nameChanges: [], updated: 0, unchanged: 0 };
+  const rows = [];
+
+  fetchedRows.forEach(row => {
+    const previous = stored.get(Number(row.member_id));
+
+    if (!previous) {
+      rows.push(row);
+      report.added.push({ member_id: row.member_id, name: row.display_as, party: row.party, house: row.house });
+      return;
+    }
+
+    const fields = changedFields(previous, row);
+    if (!fields.length) {
+      report.unchanged++;
+      return;
+    }
+
+    rows.push(row);
+    report.updated++;
+
+    if (fields.includes('house_end_date') && !previous.house_end_date && row.house_end_date) {
+      report.departed.push({
+        member_id: row.member_id,
+        name: row.display_as,
+        house: row.house,
+        end_date: comparable('house_end_date', row.house_end_date)
+      });
+    }
+    if (fields.includes('party')) {
+      report.partyChanges.push({ member_id: row.member_id, name: row.display_as, from: previous.party, to: row.party });
+    }
+    if (fields.includes('display_as')) {
+      report.nameChanges.push({ member_id: row.member_id, from: previous.display_as, to: row.display_as });
+    }
+  });
+
+  return { rows, report };
+}
+
+// One line per reportable change, keyed by member, for notifying the users who follow them
+function memberChanges(report) {
+  return [
+    ...report.departed.map(change => ({ ...change, kind: 'departed' })),
+    ...report.partyChanges.map(change => ({ ...change, kind: 'party' })),
+    ...report.nameChanges.map(change => ({ ...change, kind: 'name' }))
+  ];
+}
+
 export class MemberSync {
-  static async syncAllMembers() {
+  // Every current and former member from the Members search API
+  static async fetchAllMembers() {
+    const members = [];
+    let skip = 0;
+    let hasMore = true;
+
+    const searchParams = {
+      includeCurrent: true,
+      includeFormer: true
+    };
+
+    while (hasMore) {
+      logger.info('Fetching members batch:', { skip });
+
+      const response = await HansardService.searchMembers(searchParams, skip);
+      if (!response.Results || response.Results.length === 0) break;
+
+      members.push(...response.Results.map(toMemberRow));
+      skip += response.Results.length;
+      hasMore = !response.TotalResults || skip < response.TotalResults;
+    }
+
+    return members;
+  }
+
+  static async getStoredMembers(pageSize = 1000) {
+    const members = [];
+
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await supabase
+        .from('members')
+        .select(['member_id', ...MEMBER_FIELDS].join(', '))
+        .order('member_id')
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+      members.push(...data);
+      if (data.length < pageSize) break;
+    }
+
+    return members;
+  }
+
+  /**
+   * Fetches every member, writes only new and changed rows, and returns a
+   * diff report. Members whose name or party changed have their dated
+   * history refreshed; pass { includeHistory: true } to refresh it for
+   * everyone. Followers of affected MPs are notified unless { notify: false }.
+   */
+  static async syncAllMembers({ includeHistory = false, notify = true, reportPath = config.MEMBER_SYNC_REPORT_PATH } = {}) {
     try {
-      let skip = 0;
-      let totalProcessed = 0;
-      let hasMore = true;
-
-      const searchParams = {
-        includeCurrent: true,
-        includeFormer: true
-      };
-
-      while (hasMore) {
-        logger.info('Fetching members batch:', { skip, totalProcessed });
-        
-        const response = await HansardAPI.searchMembers(searchParams, skip);
-        
-        if (!response.Results || response.Results.length === 0) {
-          hasMore = false;
-          break;
-        }
+      const [fetched, stored] = await Promise.all([
+        this.fetchAllMembers(),
+        this.getStoredMembers()
+      ]);
 
-        // Transform the data to match our schema exactly
-        const promises = response.Results.map(member => {
-          return SupabaseService.upsertMember({
-            member_id: member.MemberId,
-            display_as: member.DisplayAs,
-            full_title: member.FullTitle,
-            gender: member.Gender,
-            party: member.Party,
-            house: member.House,
-            member_from: member.MemberFrom,
-            house_start_date: member.HouseStartDate,
-            house_end_date: member.HouseEndDate,
-            constituency_country: member.ConstituencyCountry
-          });
-        });
+      const { rows, report } = diffMembers(stored, fetched);
+      report.totalProcessed = fetched.length;
+      report.synced_at = new Date().toISOString();
+
+      if (rows.length) {
+        const { error } = await SupabaseService.upsertMembers(rows);
+        if (error) throw error;
+      }
 
-        await Promise.all(promises);
+      // New members get their history the first time they are seen in a debate
+      const historyIds = includeHistory
+        ? fetched.map(row => row.member_id)
+        : [...new Set([...report.partyChanges, ...report.nameChanges].map(change => change.member_id))];
+      if (historyIds.length) {
+        await MemberHistoryService.syncHistory(historyIds);
+      }
 
-        totalProcessed += response.Results.length;
-        skip += response.Results.length;
+      if (notify) {
+        report.notified = await this.notifyTrackers(memberChanges(report));
+      }
 
-        // Add a small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 1000));
+      if (reportPath) {
+        fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
       }
 
-      logger.info('Member sync completed', { totalProcessed });
-      return totalProcessed;
+      logger.info('Member sync completed', {
+        totalProcessed: report.totalProcessed,
+        written: rows.length,
+        added: report.added.length,
+        departed: report.departed.length,
+        partyChanges: report.partyChanges.length,
+        nameChanges: report.nameChanges.length,
+        unchanged: report.unchanged
+      });
+      return report;
 
     } catch (error) {
       logger.error('Member sync failed:', error);
       throw error;
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Adds a changed copy of each follower's latest MP search, carrying a
+   * `memberChange` entry, so the change shows up as unread like a new debate
+   * or rebellion would. Returns the number of searches stored.
+   */
+  static async notifyTrackers(changes) {
+    let notified = 0;
+
+    for (const change of changes) {
+      try {
+        const { data: searches, error } = await supabase
+          .from('saved_searches')
+          .select('user_id, query, response, citations, query_state')
+          .eq('search_type', 'mp')
+          .eq('query_state->mp', `"${change.member_id.toString()}"`)
+          .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        // Only each user's latest search for this MP
+        const latestByUser = new Map();
+        (searches || []).forEach(search => {
+          if (!latestByUser.has(search.user_id)) latestByUser.set(search.user_id, search);
+        });
+
+        for (const search of latestByUser.values()) {
+          const lastResponse = search.response ? JSON.parse(search.response) : {};
+          const { kind, from, to, end_date, name } = change;
+
+          const { error: saveError } = await supabase
+            .from('saved_searches')
+            .insert({
+              user_id: search.user_id,
+              query: kind === 'name' ? to : search.query,
+              response: JSON.stringify({
+                ...lastResponse,
+                memberChange: { kind, name, from, to, end_date, detected_at: new Date().toISOString() }
+              }),
+              citations: search.citations,
+              query_state: search.query_state,
+              search_type: 'mp',
+              has_changed: true,
+              is_unread: true
+            });
+
+          if (saveError) throw saveError;
+          notified++;
+        }
+      } catch (error) {
+        logger.error(`Failed to notify followers of MP ${change.member_id}:`, error);
+      }
+    }
+
+    if (notified) {
+      logger.info('Notified MP followers of member changes:', { searches: notified, changes: changes.length });
+    }
+    return notified;
+  }
+}
+
+// Console summary of a sync report
+export function printMemberSyncReport(report) {
+  const changes = memberChanges(report);
+  const added = report.added.map(member => ({ ...member, kind: 'added' }));
+
+  if (added.length || changes.length) {
+    console.table([...added, ...changes].map(change => ({
+      kind: change.kind,
+      member_id: change.member_id,
+      name: change.name ?? change.to,
+      from: change.from ?? '',
+      to: change.kind === 'departed' ? change.end_date : (change.to ?? change.party ?? '')
+    })));
+  }
+}
@@ -0,0 +1,171 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+import { HansardService } from './hansard.js';
+import { MEMBERS_API_BASE } from './member-history.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const POSTS_DATASET_PATH = path.join(__dirname, '../config/ministerial_posts.json');
+
+// "The Secretary of State for Health and Social Care" and "Secretary of State for Health..." match the same post
+export function normalisePostTitle(title) {
+  return (title || '')
+    .replace(/\([^)]*\)/g, '')
+    .replace(/^the\s+/i, '')
+    .replace(/[^a-z0-9 ]+/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+function onDate(holder, date) {
+  return holder.start_date <= date && (!holder.end_date || holder.end_date >= date);
+}
+
+/**
+ * Registry of ministerial, shadow and chair posts with dated holders, so
+ * role-only attributions such as "The Secretary of State for Defence" or
+ * "Madam Deputy Speaker" resolve to the member who held the post that day.
+ *
+ * Posts live in src/config/ministerial_posts.json. Government and opposition
+ * posts are refreshed from the Members API by refresh(); posts marked
+ * `"source": "manual"` (chairs) are maintained by hand and left alone.
+ */
+export class MinisterialPostsRegistry {
+  static posts = null;
+  static index = null;
+
+  static load(datasetPath = POSTS_DATASET_PATH) {
+    const dataset = JSON.parse(fs.readFileSync(datasetPath, 'utf8'));
+    this.setPosts(dataset.posts || []);
+    return this.posts;
+  }
+
+  static setPosts(posts) {
+    this.posts = posts;
+    this.index = new Map();
+
+    posts.forEach(post => {
+      [post.post, ...(post.aliases || [])].forEach(title => {
+        const key = normalisePostTitle(title);
+        if (!key) return;
+        if (!this.index.has(key)) this.index.set(key, []);
+        if (!this.index.get(key).includes(post)) this.index.get(key).push(post);
+      });
+    });
+  }
+
+  static ensureLoaded() {
+    if (!this.posts) {
+      try {
+        this.load();
+      } catch (error) {
+        logger.warn('Ministerial posts dataset unavailable:', { error: error.message });
+        this.setPosts([]);
+      }
+    }
+  }
+
+  static isPostTitle(title, house) {
+    this.ensureLoaded();
+    return (this.index.get(normalisePostTitle(title)) || [])
+      .some(post => !house || !post.house || post.house === house);
+  }
+
+  /**
+   * The holder of `title` on `date` ({ member_id, name, post }), or null.
+   * When several members held the post that day (e.g. Deputy Speakers), the
+   * attribution's own member ID picks between them; otherwise it is ambiguous.
+   */
+  static resolve(title, { date, house, memberId } = {}) {
+    this.ensureLoaded();
+
+    const day = (date || new Date().toISOString()).split('T')[0];
+    const posts = (this.index.get(normalisePostTitle(title)) || [])
+      .filter(post => !house || !post.house || post.house === house);
+
+    const holders = posts.flatMap(post =>
+      (post.holders || [])
+        .filter(holder => onDate(holder, day))
+        .map(holder => ({ ...holder, post: post.post }))
+    );
+
+    if (memberId) {
+      const match = holders.find(holder => Number(holder.member_id) === Number(memberId));
+      if (match) return match;
+    }
+
+    const uniqueMembers = new Set(holders.map(holder => holder.member_id));
+    return uniqueMembers.size === 1 ? holders[0] : null;
+  }
+
+  static async fetchPosts(endpoint) {
+    const response = await HansardService.fetchWithErrorHandling(`${MEMBERS_API_BASE}/api/Posts/${endpoint}`);
+    return (response || []).map(result => result?.value).filter(Boolean);
+  }
+
+  // Merges Members API posts into the dataset. Holders the API no longer lists are closed on the refresh date.
+  static async refresh(datasetPath = POSTS_DATASET_PATH) {
+    const dataset = JSON.parse(fs.readFileSync(datasetPath, 'utf8'));
+    const today = new Date().toISOString().split('T')[0];
+    const byPost = new Map(dataset.posts.map(post => [normalisePostTitle(post.post), post]));
+    const counts = { posts: 0, added: 0, closed: 0 };
+
+    const apiPosts = [
+      ...(await this.fetchPosts('GovernmentPosts')).map(post => ({ ...post, kind: 'government' })),
+      ...(await this.fetchPosts('OppositionPosts')).map(post => ({ ...post, kind: 'opposition' }))
+    ];
+
+    apiPosts.forEach(apiPost => {
+      const key = normalisePostTitle(apiPost.name);
+      let post = byPost.get(key);
+
+      if (post?.source === 'manual') return;
+      if (!post) {
+        post = { post: apiPost.name, house: null, source: 'members-api', kind: apiPost.kind, aliases: [], holders: [] };
+        byPost.set(key, post);
+        dataset.posts.push(post);
+      }
+      counts.posts++;
+
+      if (apiPost.hansardName && !post.aliases.includes(apiPost.hansardName)) {
+        post.aliases.push(apiPost.hansardName);
+      }
+
+      const current = (apiPost.postHolders || []).map(holder => ({
+        member_id: holder.member?.value?.id ?? holder.member?.id,
+        name: holder.member?.value?.nameDisplayAs ?? holder.member?.nameDisplayAs ?? null,
+        start_date: holder.startDate?.split('T')[0] || today,
+        end_date: holder.endDate?.split('T')[0] || null
+      })).filter(holder => holder.member_id);
+
+      current.forEach(holder => {
+        const existing = post.holders.find(h => h.member_id === holder.member_id && h.start_date === holder.start_date);
+        if (existing) {
+          existing.end_date = holder.end_date;
+        } else {
+          post.holders.push(holder);
+          counts.added++;
+        }
+      });
+
+      post.holders
+        .filter(holder => !holder.end_date && !current.some(h => h.member_id === holder.member_id))
+        .forEach(holder => {
+          holder.end_date = today;
+          counts.closed++;
+        });
+
+      post.holders.sort((a, b) => a.start_date.localeCompare(b.start_date));
+    });
+
+    dataset.updated_at = new Date().toISOString();
+    fs.writeFileSync(datasetPath, JSON.stringify(dataset, null, 2) + '\n');
+    this.setPosts(dataset.posts);
+
+    logger.info('Refreshed ministerial posts:', counts);
+    return counts;
+  }
+}
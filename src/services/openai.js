@@ -1,33 +1,29 @@
 import OpenAI from 'openai';
 import { config } from '../config/config.js';
-import logger from '../utils/logger.js';
+import { LLMService } from './llm.js';
 
+// Client for vector store and assistant administration; model calls go through LLMService
 const openai = new OpenAI({
   apiKey: config.OPENAI_API_KEY
 });
 
 export class OpenAIService {
   static async generateCompletion(prompt, options = {}) {
-    try {
-      const response = await openai.chat.completions.create({
-        model: options.model || "gpt-4o",
-        messages: [{
-          role: "system",
-          content: options.systemPrompt || "You are analyzing parliamentary debates."
-        }, {
-          role: "user",
-          content: prompt
-        }],
-        temperature: options.temperature || 0,
-        max_tokens: options.maxTokens || 500
-      });
+    const { content } = await LLMService.complete('completion', {
+      model: options.model,
+      messages: [{
+        role: "system",
+        content: options.systemPrompt || "You are analyzing parliamentary debates."
+      }, {
+        role: "user",
+        content: prompt
+      }],
+      temperature: options.temperature || 0,
+      maxTokens: options.maxTokens || 500
+    });
 
-      return response.choices[0].message.content;
-    } catch (error) {
-      logger.error('OpenAI API error:', error);
-      throw error;
-    }
+    return content;
   }
 }
 
-export { openai }; 
\ No newline at end of file
+export { openai };
\ No newline at end of file
@@ -0,0 +1,396 @@
+import { supabase, SupabaseService } from './supabase.js';
+import logger from '../utils/logger.js';
+import { sameParty } from '../utils/parties.js';
+import { parsePeerageTitle, matchPeerage } from '../utils/peerage.js';
+
+// Confidence at or above which a match is recorded without review
+export const ACCEPT_THRESHOLD = 0.9;
+// Matches between this and ACCEPT_THRESHOLD go to the review queue; below it the attribution is unresolved
+export const REVIEW_THRESHOLD = 0.6;
+// A runner-up this close to the best candidate makes the match ambiguous
+const AMBIGUITY_MARGIN = 0.05;
+const MAX_REVIEW_CANDIDATES = 3;
+
+const HONORIFICS = [
+  'the rt hon', 'the right hon', 'rt hon', 'right hon', 'hon',
+  'mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'sir', 'dame', 'professor', 'prof', 'rev', 'reverend'
+];
+const POST_NOMINALS = ['mp', 'kc', 'qc', 'cbe', 'obe', 'mbe', 'frs'];
+
+// Common short forms of first names as they appear in Hansard attributions
+const NICKNAMES = {
+  alex: 'alexander', andy: 'andrew', ben: 'benjamin', bill: 'william', bob: 'robert',
+  chris: 'christopher', dan: 'daniel', dave: 'david', ed: 'edward', jim: 'james',
+  jo: 'joanna', joe: 'joseph', kate: 'katherine', liz: 'elizabeth',
+  matt: 'matthew', mike: 'michael', nick: 'nicholas', pat: 'patrick', rob: 'robert',
+  steve: 'stephen', sam: 'samuel', tom: 'thomas', tony: 'anthony', will: 'william'
+};
+
+function normaliseText(value) {
+  return (value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Stable key for a raw attribution, so a decision about it is found again whatever its spacing or punctuation
+export function attributionKey(attribution) {
+  return normaliseText(attribution);
+}
+
+// "Mr Gregory Campbell (Democratic Unionist Party)" -> { name: 'Mr Gregory Campbell', party: 'Democratic Unionist Party' }
+// Hansard's "Name (Constituency) (Party)" form yields both.
+export function parseAttribution(attribution) {
+  const parts = [...(attribution || '').matchAll(/\(([^)]*)\)/g)].map(match => match[1].trim());
+  const name = (attribution || '').replace(/\([^)]*\)/g, '').replace(/\s+/g, ' ').trim();
+
+  if (parts.length >= 2) {
+    return { name, constituency: parts[0], party: parts[parts.length - 1] };
+  }
+  return { name, constituency: null, party: parts[0] || null };
+}
+
+// Name reduced to its comparable tokens: no honorifics, post-nominals or punctuation
+export function nameTokens(name) {
+  let text = normaliseText((name || '').replace(/\([^)]*\)/g, ''));
+
+  let stripped = true;
+  while (stripped) {
+    stripped = false;
+    for (const honorific of HONORIFICS) {
+      if (text.startsWith(`${honorific} `)) {
+        text = text.slice(honorific.length + 1);
+        stripped = true;
+      }
+    }
+  }
+
+  return text.split(' ').filter(token => token && !POST_NOMINALS.includes(token));
+}
+
+function canonicalFirstName(token) {
+  return NICKNAMES[token] || token;
+}
+
+function levenshteinDistance(str1, str2) {
+  const matrix = Array(str2.length + 1).fill(null)
+    .map(() => Array(str1.length + 1).fill(null));
+
+  for (let i = 0; i <= str1.length; i++) matrix[0][i] = i;
+  for (let j = 0; j <= str2.length; j++) matrix[j][0] = j;
+
+  for (let j = 1; j <= str2.length; j++) {
+    for (let i = 1; i <= str1.length; i++) {
+      const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
+      matrix[j][i] = Math.min(
+        matrix[j][i - 1] + 1,
+        matrix[j - 1][i] + 1,
+        matrix[j - 1][i - 1] + indicator
+      );
+    }
+  }
+
+  return matrix[str2.length][str1.length];
+}
+
+function stringSimilarity(str1, str2) {
+  const longer = str1.length > str2.length ? str1 : str2;
+  const shorter = str1.length > str2.length ? str2 : str1;
+
+  if (longer.length === 0) return 1.0;
+  return (longer.length - levenshteinDistance(longer, shorter)) / longer.length;
+}
+
+// { score, reason } for how closely two names agree, before party and seat are considered
+function compareNames(a, b) {
+  // Lords titles compare by rank, name and territory: Lord Khan of Burnley is not Lord Smith of Burnley
+  const leftPeerage = parsePeerageTitle(a);
+  const rightPeerage = parsePeerageTitle(b);
+  if (leftPeerage || rightPeerage) {
+    const score = matchPeerage(leftPeerage, rightPeerage);
+    if (!score) return { score: 0, reason: null };
+    return { score, reason: score === 1 ? 'exact title' : 'title without territorial designation' };
+  }
+
+  const left = nameTokens(a);
+  const right = nameTokens(b);
+  if (!left.length || !right.length) return { score: 0, reason: null };
+
+  if (left.join(' ') === right.join(' ')) return { score: 1, reason: 'exact name' };
+
+  const sameSurname = left[left.length - 1] === right[right.length - 1];
+  if (sameSurname && left.length > 1 && right.length > 1) {
+    if (canonicalFirstName(left[0]) === canonicalFirstName(right[0])) {
+      return { score: 0.92, reason: 'name variant' };
+    }
+    if (left[0][0] === right[0][0] && (left[0].length === 1 || right[0].length === 1)) {
+      return { score: 0.8, reason: 'initial and surname' };
+    }
+  }
+
+  // Fuzzy spelling alone is never enough to accept a match without review, and a different surname rarely is a typo
+  const similarity = stringSimilarity(left.join(' '), right.join(' '));
+  const surnameSimilarity = stringSimilarity(left[left.length - 1], right[right.length - 1]);
+  const weight = surnameSimilarity >= 0.75 ? 0.85 : 0.5;
+  return { score: Math.round(similarity * weight * 1000) / 1000, reason: `similar name (${similarity.toFixed(2)})` };
+}
+
+function toCandidate(member) {
+  return {
+    member_id: Number(member.member_id ?? member.memberId),
+    name: member.display_as ?? member.name,
+    party: member.party ?? null,
+    constituency: member.member_from ?? member.constituency ?? null,
+    house: member.house ?? null
+  };
+}
+
+/**
+ * Maps raw speaker attributions ("Mr Gregory Campbell (Democratic Unionist
+ * Party)", "Kim Johnson") to member IDs, scoring each candidate member on
+ * name variants, honorifics, party, constituency and house.
+ *
+ * Every match is recorded in the speaker_matches table (see
+ * src/config/speaker_matches.sql). Confident matches are stored as `auto`;
+ * weaker or ambiguous ones are stored as `pending` and listed by
+ * `npm run review-speakers` to be accepted or rejected. Decisions are
+ * consulted before scoring, so an attribution is never queued twice for the
+ * same member.
+ */
+export class SpeakerResolver {
+  static members = null;
+
+  // Candidate members, from the members table or any list of { memberId, name, party, constituency, house }
+  static setMembers(members) {
+    this.members = (members || []).map(toCandidate).filter(member => member.member_id && member.name);
+  }
+
+  static async loadMembers(pageSize = 1000) {
+    const members = [];
+
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await supabase
+        .from('members')
+        .select('member_id, display_as, party, house, member_from')
+        .not('display_as', 'is', null)
+        .order('member_id')
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+      members.push(...data);
+      if (data.length < pageSize) break;
+    }
+
+    this.setMembers(members);
+    logger.info('Loaded speaker candidates:', { count: this.members.length });
+    return this.members;
+  }
+
+  static async ensureMembers() {
+    if (!this.members) await this.loadMembers();
+  }
+
+  // { confidence, reasons } for one candidate member against an attribution and its context
+  static score(attribution, member, { party, constituency, house } = {}) {
+    const parsed = parseAttribution(attribution);
+    const candidate = toCandidate(member);
+    const context = {
+      party: party ?? parsed.party,
+      constituency: constituency ?? parsed.constituency,
+      house
+    };
+
+    const { score, reason } = compareNames(parsed.name, candidate.name);
+    let confidence = score;
+    const reasons = reason ? [reason] : [];
+
+    if (context.party && candidate.party) {
+      if (sameParty(context.party, candidate.party)) {
+        confidence += 0.05;
+        reasons.push('party');
+      } else {
+        // Members do change party, so this lowers confidence rather than ruling the match out
+        confidence -= 0.15;
+        reasons.push(`party differs (${candidate.party})`);
+      }
+    }
+
+    if (context.constituency && candidate.constituency) {
+      if (normaliseText(context.constituency) === normaliseText(candidate.constituency)) {
+        confidence += 0.1;
+        reasons.push('constituency');
+      } else {
+        confidence -= 0.1;
+        reasons.push(`constituency differs (${candidate.constituency})`);
+      }
+    }
+
+    if (context.house && candidate.house && context.house !== candidate.house) {
+      confidence -= 0.3;
+      reasons.push(`house differs (${candidate.house})`);
+    }
+
+    return {
+      confidence: Math.round(Math.min(1, Math.max(0, confidence)) * 1000) / 1000,
+      reasons
+    };
+  }
+
+  /**
+   * Scores every candidate and classifies the best one, without reading or
+   * writing decisions. Status is 'resolved', 'review' (weak or ambiguous,
+   * with up to three candidates) or 'unresolved'.
+   */
+  static match(attribution, context = {}, { exclude = [] } = {}) {
+    const members = context.members ? context.members.map(toCandidate) : (this.members || []);
+    const excluded = new Set(exclude.map(Number));
+
+    const candidates = members
+      .filter(member => !excluded.has(member.member_id))
+      .map(member => ({ ...member, ...this.score(attribution, member, context) }))
+      .filter(candidate => candidate.confidence >= REVIEW_THRESHOLD)
+      .sort((a, b) => b.confidence - a.confidence);
+
+    const [best, runnerUp] = candidates;
+    if (!best) {
+      return { attribution, member_id: null, name: null, confidence: 0, status: 'unresolved', candidates: [] };
+    }
+
+    const ambiguous = runnerUp && best.confidence - runnerUp.confidence < AMBIGUITY_MARGIN;
+    const status = best.confidence >= ACCEPT_THRESHOLD && !ambiguous ? 'resolved' : 'review';
+
+    return {
+      attribution,
+      member_id: status === 'resolved' ? best.member_id : null,
+      name: status === 'resolved' ? best.name : null,
+      confidence: best.confidence,
+      status,
+      candidates: status === 'review' ? candidates.slice(0, MAX_REVIEW_CANDIDATES) : [best]
+    };
+  }
+
+  /**
+   * Resolves attributions against stored decisions first, then by scoring.
+   * Accepted and auto matches are returned as they are; rejected members are
+   * never proposed again; new matches are recorded as auto or pending.
+   * Returns a Map of attribution -> match result.
+   */
+  static async resolveMany(attributions, context = {}) {
+    if (!context.members) await this.ensureMembers();
+
+    const unique = [...new Set((attributions || []).filter(Boolean))];
+    const keys = [...new Set(unique.map(attributionKey))];
+    const { data: stored, error } = await SupabaseService.getSpeakerMatches(keys);
+    if (error) {
+      logger.warn('Speaker match decisions unavailable, matching without them:', { error: error.message });
+    }
+
+    const decisions = new Map();
+    (stored || []).forEach(row => {
+      if (!decisions.has(row.attribution_key)) decisions.set(row.attribution_key, []);
+      decisions.get(row.attribution_key).push(row);
+    });
+
+    const results = new Map();
+    const newRows = [];
+
+    unique.forEach(attribution => {
+      const key = attributionKey(attribution);
+      const rows = decisions.get(key) || [];
+
+      const decided = rows.find(row => row.status === 'accepted') || rows.find(row => row.status === 'auto');
+      if (decided) {
+        results.set(attribution, {
+          attribution,
+          member_id: decided.member_id,
+          name: decided.member_name,
+          confidence: decided.status === 'accepted' ? 1 : Number(decided.confidence),
+          status: decided.status,
+          candidates: []
+        });
+        return;
+      }
+
+      const pending = rows.filter(row => row.status === 'pending');
+      if (pending.length) {
+        results.set(attribution, {
+          attribution,
+          member_id: null,
+          name: null,
+          confidence: Math.max(...pending.map(row => Number(row.confidence))),
+          status: 'review',
+          candidates: pending
+        });
+        return;
+      }
+
+      const rejected = rows.filter(row => row.status === 'rejected').map(row => row.member_id);
+      const result = this.match(attribution, context, { exclude: rejected });
+      results.set(attribution, result);
+
+      if (result.status === 'unresolved') return;
+
+      result.candidates.forEach(candidate => {
+        newRows.push({
+          attribution_key: key,
+          attribution,
+          member_id: candidate.member_id,
+          member_name: candidate.name,
+          confidence: candidate.confidence,
+          reasons: candidate.reasons,
+          status: result.status === 'resolved' ? 'auto' : 'pending'
+        });
+      });
+    });
+
+    if (newRows.length) {
+      await SupabaseService.upsertSpeakerMatches(newRows);
+    }
+
+    const counts = [...results.values()].reduce((acc, result) => {
+      acc[result.status] = (acc[result.status] || 0) + 1;
+      return acc;
+    }, {});
+    logger.info('Resolved speaker attributions:', { total: unique.length, ...counts });
+
+    return results;
+  }
+
+  static async resolve(attribution, context = {}) {
+    const results = await this.resolveMany([attribution], context);
+    return results.get(attribution) || null;
+  }
+
+  static async getReviewQueue({ limit = 50 } = {}) {
+    const { data, error } = await SupabaseService.getSpeakerMatches(null, { status: 'pending', limit });
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Accepting a candidate rejects the attribution's other pending candidates
+  static async accept(id) {
+    const match = await this.decide(id, 'accepted');
+    await SupabaseService.rejectPendingSpeakerMatches(match.attribution_key);
+    return match;
+  }
+
+  static async reject(id) {
+    return this.decide(id, 'rejected');
+  }
+
+  static async decide(id, status) {
+    const { data, error } = await SupabaseService.updateSpeakerMatchStatus(id, status);
+    if (error) throw error;
+    if (!data) throw new Error(`No speaker match with id ${id}`);
+
+    logger.info(`Speaker match ${status}:`, {
+      attribution: data.attribution,
+      member_id: data.member_id,
+      member_name: data.member_name
+    });
+    return data;
+  }
+}
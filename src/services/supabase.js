@@ -2,7 +2,15 @@ import { createClient } from '@supabase/supabase-js';
 import { config } from '../config/config.js';
 import logger from '../utils/logger.js';
 
-const supabase = createClient(config.SUPABASE_URL, config.SERVICE_KEY);
+// The client is created on first use, so scripts that never touch the database run without credentials
+let client = null;
+const supabase = new Proxy({}, {
+  get(_target, property) {
+    client ??= createClient(config.SUPABASE_URL, config.SERVICE_KEY);
+    const value = client[property];
+    return typeof value === 'function' ? value.bind(client) : value;
+  }
+});
 
 export class SupabaseService {
   static async upsertDebate(debateOutput) {
@@ -109,6 +117,24 @@ export class SupabaseService {
     }
   }
 
+  static async upsertMembers(members, chunkSize = 500) {
+    try {
+      for (let i = 0; i < members.length; i += chunkSize) {
+        const { error } = await supabase
+          .from('members')
+          .upsert(members.slice(i, i + chunkSize), { onConflict: ['member_id'] });
+
+        if (error) throw error;
+      }
+
+      logger.debug('Upserted members:', { count: members.length });
+      return { data: members, error: null };
+    } catch (error) {
+      logger.error('Failed to upsert members:', { error: error.message, count: members.length });
+      return { data: null, error };
+    }
+  }
+
   static async getMemberDetails(memberIds) {
     try {
       const { data, error } = await supabase
@@ -124,6 +150,89 @@ export class SupabaseService {
     }
   }
 
+  // Lords members whose display name contains any of the terms (peerage names or territorial designations)
+  static async findLordsMembers(terms) {
+    if (!terms?.length) return { data: [], error: null };
+
+    try {
+      const { data, error } = await supabase
+        .from('members')
+        .select('member_id, display_as, party, member_from')
+        .eq('house', 'Lords')
+        .or(terms.map(term => `display_as.ilike.%${term.replace(/[,()%*]/g, '')}%`).join(','));
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      logger.error('Failed to find Lords members:', { error: error.message, terms });
+      return { data: [], error };
+    }
+  }
+
+  static async getDebates() {
+    try {
+      const { data, error } = await supabase
+        .from('debates_new')
+        .select('ext_id, title, date, house')
+        .order('date', { ascending: false });
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      logger.error('Failed to get debates:', error);
+      return { data: null, error };
+    }
+  }
+
+  static async updateDebateSpeakers({ ext_id, speakers, speaker_count }) {
+    try {
+      const { error } = await supabase
+        .from('debates_new')
+        .update({ speakers, speaker_count, updated_at: new Date().toISOString() })
+        .eq('ext_id', ext_id);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      logger.error('Failed to update debate speakers:', { error: error.message, ext_id });
+      return { error };
+    }
+  }
+
+  static async getMemberHistory(memberIds) {
+    try {
+      const { data, error } = await supabase
+        .from('member_history')
+        .select('member_id, kind, value, detail, house, start_date, end_date')
+        .in('member_id', memberIds);
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      logger.error('Failed to get member history:', error);
+      return { data: [], error };
+    }
+  }
+
+  static async upsertMemberHistory(rows) {
+    try {
+      const { error } = await supabase
+        .from('member_history')
+        .upsert(rows, {
+          onConflict: ['member_id', 'kind', 'start_date', 'value']
+        });
+
+      if (error) throw error;
+      return { data: rows, error: null };
+    } catch (error) {
+      logger.error('Failed to upsert member history:', {
+        error: error.message,
+        members: [...new Set(rows.map(row => row.member_id))]
+      });
+      return { data: null, error };
+    }
+  }
+
   static async getDebateByExtId(extId) {
     try {
       const { data, error } = await supabase
@@ -140,6 +249,444 @@ export class SupabaseService {
     }
   }
 
+  static async updateDebateContentHash(extId, contentHash) {
+    try {
+      const { data, error } = await supabase
+        .from('debates_new')
+        .update({ content_hash: contentHash })
+        .eq('ext_id', extId)
+        .select('ext_id');
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      logger.error('Failed to update debate content hash:', { extId, error: error.message });
+      return { data: null, error };
+    }
+  }
+
+  static async recordDebateRevision({ extId, oldHash, newHash, oldFileId, newFileId }) {
+    try {
+      const { data, error } = await supabase
+        .from('debate_revisions')
+        .insert({
+          ext_id: extId,
+          old_hash: oldHash,
+          new_hash: newHash,
+          old_file_id: oldFileId || null,
+          new_file_id: newFileId || null,
+          detected_at: new Date().toISOString()
+        })
+        .select();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      logger.error('Failed to record debate revision:', {
+        error: error.message,
+        extId
+      });
+      return { data: null, error };
+    }
+  }
+
+  // Failed analyses are logged whether or not the debate was ever stored, so there is no foreign key
+  static async recordAnalysisFailure(failure) {
+    try {
+      const { data, error } = await supabase
+        .from('analysis_failures')
+        .insert({ ...failure, failed_at: new Date().toISOString() })
+        .select();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      logger.error('Failed to record analysis failure:', {
+        error: error.message,
+        extId: failure.ext_id,
+        kind: failure.kind
+      });
+      return { data: null, error };
+    }
+  }
+
+  // A submitted analysis batch and its debates; the debates can be large, so write them in chunks
+  static async saveAnalysisBatch(batch, debates, chunkSize = 100) {
+    try {
+      const { error } = await supabase
+        .from('analysis_batches')
+        .insert({ ...batch, submitted_at: new Date().toISOString() });
+
+      if (error) throw error;
+
+      for (let i = 0; i < debates.length; i += chunkSize) {
+        const { error: debatesError } = await supabase
+          .from('analysis_batch_debates')
+          .insert(debates.slice(i, i + chunkSize));
+
+        if (debatesError) throw debatesError;
+      }
+
+      return { data: batch, error: null };
+    } catch (error) {
+      logger.error('Failed to save analysis batch:', {
+        error: error.message,
+        batchId: batch.batch_id,
+        debateCount: debates.length
+      });
+      return { data: null, error };
+    }
+  }
+
+  // Batches not yet collected, oldest first
+  static async getOpenAnalysisBatches(provider) {
+    try {
+      const { data, error } = await supabase
+        .from('analysis_batches')
+        .select('batch_id, provider, model, status, request_count, analysed_count, failed_count, submitted_at, checked_at')
+        .is('collected_at', null)
+        .eq('provider', provider)
+        .order('submitted_at', { ascending: true });
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      logger.error('Failed to get open analysis batches:', { error: error.message });
+      return { data: [], error };
+    }
+  }
+
+  // Estimated cost of every batch not yet collected, reserved against the daily model budget
+  static async getBatchReservations() {
+    try {
+      const { data, error } = await supabase
+        .from('analysis_batches')
+        .select('batch_id, estimated_cost')
+        .is('collected_at', null);
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      logger.error('Failed to get batch reservations:', { error: error.message });
+      return { data: [], error };
+    }
+  }
+
+  // Debates of a batch not yet collected
+  static async getAnalysisBatchDebates(batchId) {
+    try {
+      const { data, error } = await supabase
+        .from('analysis_batch_debates')
+        .select('ext_id, debate, speakers, link_items, revision')
+        .eq('batch_id', batchId)
+        .is('collected_at', null);
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      logger.error('Failed to get analysis batch debates:', { error: error.message, batchId });
+      return { data: null, error };
+    }
+  }
+
+  static async markBatchDebatesCollected(batchId, extIds) {
+    if (!extIds?.length) return { data: [], error: null };
+
+    try {
+      const { error } = await supabase
+        .from('analysis_batch_debates')
+        .update({ collected_at: new Date().toISOString() })
+        .eq('batch_id', batchId)
+        .in('ext_id', extIds);
+
+      if (error) throw error;
+      return { data: extIds, error: null };
+    } catch (error) {
+      logger.error('Failed to mark batch debates collected:', { error: error.message, batchId });
+      return { data: null, error };
+    }
+  }
+
+  static async updateAnalysisBatch(batchId, fields) {
+    try {
+      const { error } = await supabase
+        .from('analysis_batches')
+        .update(fields)
+        .eq('batch_id', batchId);
+
+      if (error) throw error;
+      return { data: fields, error: null };
+    } catch (error) {
+      logger.error('Failed to update analysis batch:', { error: error.message, batchId });
+      return { data: null, error };
+    }
+  }
+
+  // Which of the given debates are stored
+  static async getStoredDebateIds(extIds) {
+    if (!extIds?.length) return { data: [], error: null };
+
+    try {
+      const { data, error } = await supabase
+        .from('debates_new')
+        .select('ext_id')
+        .in('ext_id', extIds);
+
+      if (error) throw error;
+      return { data: data.map(row => row.ext_id), error: null };
+    } catch (error) {
+      logger.error('Failed to get stored debates:', { error: error.message });
+      return { data: [], error };
+    }
+  }
+
+  // Which of the given debates are waiting in a batch that has not been collected
+  static async getBatchedDebateIds(extIds) {
+    if (!extIds?.length) return { data: [], error: null };
+
+    try {
+      const { data, error } = await supabase
+        .from('analysis_batch_debates')
+        .select('ext_id, analysis_batches!inner(collected_at)')
+        .in('ext_id', extIds)
+        .is('collected_at', null)
+        .is('analysis_batches.collected_at', null);
+
+      if (error) throw error;
+      return { data: data.map(row => row.ext_id), error: null };
+    } catch (error) {
+      logger.error('Failed to get batched debates:', { error: error.message });
+      return { data: [], error };
+    }
+  }
+
+  // Usage ledger rows; batch results can add hundreds at once, so write in chunks.
+  // Batch results are written once per batch_id and custom_id, so collecting a batch again adds nothing.
+  static async recordModelUsage(rows, chunkSize = 500) {
+    if (!rows?.length) return { data: [], error: null };
+
+    try {
+      const batchRows = rows.filter(row => row.batch_id);
+      const callRows = rows.filter(row => !row.batch_id);
+
+      for (let i = 0; i < callRows.length; i += chunkSize) {
+        const { error } = await supabase
+          .from('llm_usage')
+          .insert(callRows.slice(i, i + chunkSize));
+
+        if (error) throw error;
+      }
+
+      for (let i = 0; i < batchRows.length; i += chunkSize) {
+        const { error } = await supabase
+          .from('llm_usage')
+          .upsert(batchRows.slice(i, i + chunkSize), {
+            onConflict: ['batch_id', 'custom_id'],
+            ignoreDuplicates: true
+          });
+
+        if (error) throw error;
+      }
+
+      return { data: rows, error: null };
+    } catch (error) {
+      logger.error('Failed to record model usage:', {
+        error: error.message,
+        runId: rows[0].run_id,
+        count: rows.length
+      });
+      return { data: null, error };
+    }
+  }
+
+  // Daily usage totals (llm_usage_daily) from `since` (YYYY-MM-DD) onwards, oldest first
+  static async getModelUsageByDay(since) {
+    try {
+      const { data, error } = await supabase
+        .from('llm_usage_daily')
+        .select('day, task, debate_type, model, calls, runs, prompt_tokens, completion_tokens, cost, unpriced_calls')
+        .gte('day', since)
+        .order('day', { ascending: true });
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      logger.error('Failed to get model usage:', { error: error.message, since });
+      return { data: [], error };
+    }
+  }
+
+  // Divisions reference debates_new, so upsert them after their debates
+  static async upsertDivisions(divisions) {
+    if (!divisions?.length) return { data: [], error: null };
+
+    try {
+      const { data, error } = await supabase
+        .from('divisions')
+        .upsert(
+          divisions.map(division => ({ ...division, updated_at: new Date().toISOString() })),
+          { onConflict: ['ext_id'] }
+        )
+        .select('ext_id');
+
+      if (error) throw error;
+
+      logger.debug('Upserted divisions:', {
+        count: divisions.length,
+        debates: [...new Set(divisions.map(d => d.debate_ext_id))]
+      });
+      return { data, error: null };
+    } catch (error) {
+      logger.error('Failed to upsert divisions:', {
+        error: error.message,
+        ids: divisions.map(d => d.ext_id)
+      });
+      return { data: null, error };
+    }
+  }
+
+  // A Commons division has ~650 voters, so write in chunks
+  static async upsertMemberVotes(votes, chunkSize = 500) {
+    try {
+      for (let i = 0; i < votes.length; i += chunkSize) {
+        const { error } = await supabase
+          .from('member_votes')
+          .upsert(votes.slice(i, i + chunkSize), {
+            onConflict: ['division_ext_id', 'member_id']
+          });
+
+        if (error) throw error;
+      }
+
+      logger.debug('Upserted member votes:', { count: votes.length });
+      return { data: votes, error: null };
+    } catch (error) {
+      logger.error('Failed to upsert member votes:', {
+        error: error.message,
+        divisions: [...new Set(votes.map(v => v.division_ext_id))]
+      });
+      return { data: null, error };
+    }
+  }
+
+  // Speaker match decisions for the given attribution keys, or every match with `status` when keys is null
+  static async getSpeakerMatches(keys, { status, limit } = {}) {
+    try {
+      let query = supabase
+        .from('speaker_matches')
+        .select('id, attribution_key, attribution, member_id, member_name, confidence, reasons, status, decided_at')
+        .order('confidence', { ascending: false });
+
+      if (keys) query = query.in('attribution_key', keys);
+      if (status) query = query.eq('status', status);
+      if (limit) query = query.limit(limit);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      logger.error('Failed to get speaker matches:', { error: error.message });
+      return { data: [], error };
+    }
+  }
+
+  // New matches only: existing rows, and the decisions on them, are left untouched
+  static async upsertSpeakerMatches(matches) {
+    try {
+      const { error } = await supabase
+        .from('speaker_matches')
+        .upsert(matches, {
+          onConflict: ['attribution_key', 'member_id'],
+          ignoreDuplicates: true
+        });
+
+      if (error) throw error;
+      return { data: matches, error: null };
+    } catch (error) {
+      logger.error('Failed to upsert speaker matches:', {
+        error: error.message,
+        attributions: [...new Set(matches.map(match => match.attribution))]
+      });
+      return { data: null, error };
+    }
+  }
+
+  static async updateSpeakerMatchStatus(id, status) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await supabase
+        .from('speaker_matches')
+        .update({ status, decided_at: now, updated_at: now })
+        .eq('id', id)
+        .select('id, attribution_key, attribution, member_id, member_name, confidence, status')
+        .maybeSingle();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      logger.error('Failed to update speaker match:', { error: error.message, id, status });
+      return { data: null, error };
+    }
+  }
+
+  static async rejectPendingSpeakerMatches(attributionKey) {
+    try {
+      const now = new Date().toISOString();
+      const { error } = await supabase
+        .from('speaker_matches')
+        .update({ status: 'rejected', decided_at: now, updated_at: now })
+        .eq('attribution_key', attributionKey)
+        .eq('status', 'pending');
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      logger.error('Failed to reject pending speaker matches:', { error: error.message, attributionKey });
+      return { error };
+    }
+  }
+
+  // Activity rows reference debates_new, so upsert them after their debates
+  static async upsertMemberActivity(rows, chunkSize = 500) {
+    try {
+      for (let i = 0; i < rows.length; i += chunkSize) {
+        const { error } = await supabase
+          .from('member_debate_activity')
+          .upsert(rows.slice(i, i + chunkSize), {
+            onConflict: ['debate_ext_id', 'member_id']
+          });
+
+        if (error) throw error;
+      }
+
+      logger.debug('Upserted member activity:', { count: rows.length });
+      return { data: rows, error: null };
+    } catch (error) {
+      logger.error('Failed to upsert member activity:', {
+        error: error.message,
+        debates: [...new Set(rows.map(row => row.debate_ext_id))]
+      });
+      return { data: null, error };
+    }
+  }
+
+  static async upsertMemberProfiles(profiles, chunkSize = 500) {
+    try {
+      for (let i = 0; i < profiles.length; i += chunkSize) {
+        const { error } = await supabase
+          .from('member_profiles')
+          .upsert(profiles.slice(i, i + chunkSize), { onConflict: ['member_id'] });
+
+        if (error) throw error;
+      }
+
+      return { data: profiles, error: null };
+    } catch (error) {
+      logger.error('Failed to upsert member profiles:', { error: error.message, count: profiles.length });
+      return { data: null, error };
+    }
+  }
+
   static async batchUpsertDebates(debates) {
     try {
       logger.debug('Batch upserting debates:', {
@@ -0,0 +1,211 @@
+import { randomUUID } from 'crypto';
+import { config } from '../config/config.js';
+import { SupabaseService } from './supabase.js';
+import { estimateTokens } from '../utils/debateChunks.js';
+import logger from '../utils/logger.js';
+
+// Batch API requests are billed at half the usual price
+const BATCH_PRICE_FACTOR = 0.5;
+
+// Price for a model, matched by the longest configured prefix so dated snapshots use their base price
+function priceFor(model) {
+  if (!model) return null;
+
+  const key = Object.keys(config.LLM_PRICES)
+    .filter(prefix => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? config.LLM_PRICES[key] : null;
+}
+
+// Estimated USD cost of a call, or null for a model without a configured price
+export function estimateCost(model, promptTokens, completionTokens, { batch = false } = {}) {
+  const price = priceFor(model);
+  if (!price) return null;
+
+  const cost = (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+  return batch ? cost * BATCH_PRICE_FACTOR : cost;
+}
+
+/**
+ * Most a batch of chat completion requests (LLMService.batchRequest()) can
+ * cost: each prompt's estimated tokens plus its full max_tokens, at the batch
+ * price unless `batch` is false. Requests for models without a configured
+ * price count as free.
+ */
+export function estimateBatchCost(requests, { batch = true } = {}) {
+  return requests.reduce((total, { body }) => {
+    const promptTokens = estimateTokens((body.messages || []).map(message => message.content).join('\n'));
+    return total + (estimateCost(body.model, promptTokens, body.max_tokens || 0, { batch }) || 0);
+  }, 0);
+}
+
+// Chat and assistant usage report prompt/completion tokens, some servers input/output tokens
+function tokenCounts(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens ?? usage?.input_tokens ?? 0,
+    completionTokens: usage?.completion_tokens ?? usage?.output_tokens ?? 0
+  };
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function sum(values) {
+  return [...values].reduce((total, value) => total + value, 0);
+}
+
+export class BudgetExceededError extends Error {
+  constructor(scope, spent, budget) {
+    super(`${scope === 'run' ? 'Run' : 'Daily'} model budget of $${budget.toFixed(2)} reached ($${spent.toFixed(2)} spent or reserved)`);
+    this.name = 'BudgetExceededError';
+    this.kind = 'budget_exceeded';
+    this.scope = scope;
+    this.spent = spent;
+    this.budget = budget;
+  }
+}
+
+/**
+ * Ledger of model usage and spend. LLMService records every call here with
+ * its run, task, model, debate and token counts, and checks the run and daily
+ * budgets (LLM_RUN_BUDGET, LLM_DAILY_BUDGET) before each call. Batch jobs
+ * are billed when their results are collected, so the most each can cost is
+ * reserved against both budgets when it is submitted, until it is collected.
+ * Once a budget is reached every further call throws the same
+ * BudgetExceededError, so callers can stop cleanly and leave unanalysed
+ * debates for the next run.
+ */
+export class UsageLedger {
+  static runId = config.RUN_ID || randomUUID();
+  static runTotals = { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+  // Estimated cost of the batches submitted by this run and not yet collected, by batch ID
+  static runReservations = new Map();
+  // Spend recorded for the current UTC day and the estimates of every open batch, loaded once
+  // and kept up to date by record(), reserve() and release()
+  static daySpend = null;
+  // Batch requests ("<batch_id>:<custom_id>") already recorded by this run
+  static recordedBatchRequests = new Set();
+  static exceeded = null;
+
+  static startRun(runId = randomUUID()) {
+    this.runId = runId;
+    this.runTotals = { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+    this.runReservations = new Map();
+    this.recordedBatchRequests = new Set();
+    this.exceeded = null;
+  }
+
+  // Today's recorded spend plus the estimates of open batches
+  static async getDaySpend() {
+    const day = today();
+
+    if (this.daySpend?.day !== day) {
+      const [{ data: usage }, { data: batches }] = await Promise.all([
+        SupabaseService.getModelUsageByDay(day),
+        SupabaseService.getBatchReservations()
+      ]);
+      this.daySpend = {
+        day,
+        cost: (usage || []).reduce((total, row) => total + Number(row.cost || 0), 0),
+        reservations: new Map((batches || []).map(batch => [batch.batch_id, Number(batch.estimated_cost || 0)]))
+      };
+    }
+    return this.daySpend.cost + sum(this.daySpend.reservations.values());
+  }
+
+  /**
+   * Throws BudgetExceededError once the run or today's spend, with open batch
+   * reservations, has reached its budget, or would go over it with `reserve`
+   * more: the estimated cost of a batch about to be submitted.
+   */
+  static async checkBudget({ reserve = 0 } = {}) {
+    if (this.exceeded) throw this.exceeded;
+
+    const runSpent = this.runTotals.cost + sum(this.runReservations.values());
+    const reached = (spent, budget) => (reserve > 0 ? spent + reserve > budget : spent >= budget);
+
+    if (config.LLM_RUN_BUDGET !== null && reached(runSpent, config.LLM_RUN_BUDGET)) {
+      this.exceeded = new BudgetExceededError('run', runSpent + reserve, config.LLM_RUN_BUDGET);
+    } else if (config.LLM_DAILY_BUDGET !== null) {
+      const spent = await this.getDaySpend();
+      if (reached(spent, config.LLM_DAILY_BUDGET)) {
+        this.exceeded = new BudgetExceededError('day', spent + reserve, config.LLM_DAILY_BUDGET);
+      }
+    }
+
+    if (this.exceeded) {
+      logger.warn('Model budget reached, stopping model calls:', {
+        runId: this.runId,
+        scope: this.exceeded.scope,
+        spent: this.exceeded.spent,
+        budget: this.exceeded.budget
+      });
+      throw this.exceeded;
+    }
+  }
+
+  // Holds a submitted batch's estimated cost against the budgets until release()
+  static reserve(batchId, cost) {
+    this.runReservations.set(batchId, cost);
+    if (this.daySpend?.day === today()) this.daySpend.reservations.set(batchId, cost);
+  }
+
+  // Frees a batch's reservation once its results, and their actual cost, have been recorded
+  static release(batchId) {
+    this.runReservations.delete(batchId);
+    this.daySpend?.reservations.delete(batchId);
+  }
+
+  /**
+   * Records calls for a task. Each entry is { model, usage, debate, batch },
+   * where `debate` is a processed debate (or { ext_id, type }) the call was
+   * made for and `batch` is the { batchId, customId } of a batch API result.
+   * A batch result is recorded once however often its batch is collected.
+   */
+  static async record(task, entries, { provider } = {}) {
+    const newEntries = entries.filter(({ batch }) => !batch || !this.recordedBatchRequests.has(`${batch.batchId}:${batch.customId}`));
+
+    const rows = newEntries.map(({ model, usage, debate, batch = null }) => {
+      const { promptTokens, completionTokens } = tokenCounts(usage);
+      const cost = estimateCost(model, promptTokens, completionTokens, { batch: Boolean(batch) });
+
+      this.runTotals.calls++;
+      this.runTotals.promptTokens += promptTokens;
+      this.runTotals.completionTokens += completionTokens;
+      this.runTotals.cost += cost || 0;
+      if (this.daySpend?.day === today()) this.daySpend.cost += cost || 0;
+
+      return {
+        run_id: this.runId,
+        task,
+        provider: provider || null,
+        model: model || null,
+        debate_id: debate?.ext_id || null,
+        debate_type: debate?.overview?.Type || debate?.type || null,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        cost,
+        batch: Boolean(batch),
+        batch_id: batch?.batchId || null,
+        custom_id: batch?.customId || null
+      };
+    });
+
+    const unpriced = [...new Set(rows.filter(row => row.cost === null && row.model).map(row => row.model))];
+    if (unpriced.length) {
+      logger.debug('No price configured for models, cost not estimated:', { models: unpriced });
+    }
+
+    rows
+      .filter(row => row.batch_id)
+      .forEach(row => this.recordedBatchRequests.add(`${row.batch_id}:${row.custom_id}`));
+
+    await SupabaseService.recordModelUsage(rows);
+    return rows;
+  }
+
+  static getRunTotals() {
+    return { runId: this.runId, ...this.runTotals, cost: Number(this.runTotals.cost.toFixed(6)) };
+  }
+}
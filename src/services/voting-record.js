@@ -0,0 +1,96 @@
+import { supabase, SupabaseService } from './supabase.js';
+import logger from '../utils/logger.js';
+import { partyWhip } from '../utils/parties.js';
+
+/**
+ * Member-level votes from the divisions table. Each vote is compared with the
+ * majority of the member's party in that division; voting against it is a
+ * rebellion. Parties are grouped by whip (see src/utils/parties.js), so
+ * Labour (Co-op) members count with Labour. Ties and unwhipped members have
+ * no party position.
+ */
+export class VotingRecordService {
+  // One member_votes row per voter in a normalised division
+  static buildMemberVotes(division) {
+    const voters = [
+      ...(division.ayes || []).map(voter => ({ ...voter, vote: 'aye' })),
+      ...(division.noes || []).map(voter => ({ ...voter, vote: 'no' }))
+    ].filter(voter => voter.member_id != null);
+
+    const partyCounts = new Map();
+    voters.forEach(voter => {
+      const group = partyWhip(voter.party);
+      if (!group) return;
+
+      const counts = partyCounts.get(group) || { aye: 0, no: 0 };
+      counts[voter.vote]++;
+      partyCounts.set(group, counts);
+    });
+
+    return voters.map(voter => {
+      const counts = partyCounts.get(partyWhip(voter.party));
+      const partyPosition = !counts || counts.aye === counts.no
+        ? null
+        : (counts.aye > counts.no ? 'aye' : 'no');
+
+      return {
+        division_ext_id: division.ext_id,
+        debate_ext_id: division.debate_ext_id,
+        member_id: voter.member_id,
+        name: voter.name,
+        party: voter.party,
+        house: division.house,
+        division_time: division.division_time,
+        vote: voter.vote,
+        party_position: partyPosition,
+        party_ayes: counts?.aye ?? 0,
+        party_noes: counts?.no ?? 0,
+        is_rebellion: partyPosition !== null && voter.vote !== partyPosition
+      };
+    });
+  }
+
+  static async recordDivisionVotes(divisions) {
+    const votes = (divisions || []).flatMap(division => this.buildMemberVotes(division));
+    if (!votes.length) return { data: [], error: null };
+
+    const rebellions = votes.filter(vote => vote.is_rebellion);
+    if (rebellions.length) {
+      logger.info('Rebellions detected:', {
+        count: rebellions.length,
+        members: rebellions.map(vote => `${vote.name} (${vote.party})`)
+      });
+    }
+
+    return SupabaseService.upsertMemberVotes(votes);
+  }
+
+  static async getMemberVotes(memberId, { limit = 50, offset = 0 } = {}) {
+    const { data, error } = await supabase
+      .from('member_votes')
+      .select('*')
+      .eq('member_id', memberId)
+      .order('division_time', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  static async getRebellions(memberId, { limit = 10, since } = {}) {
+    let query = supabase
+      .from('rebellions')
+      .select('*')
+      .eq('member_id', memberId)
+      .order('division_time', { ascending: false })
+      .limit(limit);
+
+    if (since) {
+      query = query.gte('division_time', since);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+}
@@ -0,0 +1,305 @@
+import logger from '../utils/logger.js';
+import { HansardService } from './hansard.js';
+import { computeContentHash, matchesFilter } from '../utils/debateUtils.js';
+import { canonicalPartyName, resolveParty } from '../utils/parties.js';
+
+export const QUESTIONS_STATEMENTS_API_BASE = 'https://questions-statements-api.parliament.uk';
+
+/**
+ * Source adapter for written ministerial statements and answered written
+ * questions, which never appear in the Hansard debates API.
+ *
+ * Records come back in the same shape as HansardService.processItems(), so
+ * they flow through processDebates and the vector store like any other
+ * debate. Requests go through HansardService.fetchWithErrorHandling
+ * and therefore share its transport, cache, fixtures and rate limiter.
+ *
+ * Each written statement becomes one record. Answered questions are grouped
+ * into one record per answering body, house and day, with the question and
+ * its answer as consecutive items. Saved searches find them through
+ * searchSavedQuery(), which runs the search against the same API.
+ */
+
+// Treated as extra sections of each sitting day, named as on hansard.parliament.uk
+export const WRITTEN_SECTIONS = {
+  STATEMENTS: 'Written Statements',
+  ANSWERS: 'Written Answers'
+};
+
+export const WRITTEN_TYPES = {
+  STATEMENT: 'Written Statement',
+  ANSWERS: 'Written Answers'
+};
+
+const PAGE_SIZE = 100;
+
+// Saved searches read at most this many statements and questions each
+const SEARCH_LIMIT = 200;
+
+const HTML_ENTITIES = { nbsp: ' ', amp: '&', quot: '"', apos: "'", lt: '<', gt: '>', pound: '£', euro: '€' };
+
+function htmlToText(html) {
+  if (!html) return null;
+
+  return html
+    .replace(/<\/(p|div|li|tr|h\d)>/gi, '\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&([a-z]+);/gi, (entity, name) => HTML_ENTITIES[name.toLowerCase()] ?? entity)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Matches the simplified item shape built by HansardService.processItems()
+function toItem(member, fallbackMemberId, role, text, extId) {
+  return {
+    memberId: member?.id ?? fallbackMemberId ?? null,
+    name: member?.name ?? null,
+    title: role || null,
+    constituency: member?.memberFrom ?? null,
+    party: canonicalPartyName(member?.party),
+    partyId: resolveParty(member?.party)?.id ?? null,
+    value: htmlToText(text),
+    sectionExtId: extId,
+    itemId: null,
+    externalId: null,
+    timecode: null,
+    hrsTag: null,
+    itemType: 'Contribution',
+    kind: 'speech'
+  };
+}
+
+function statementExtId(statement) {
+  return `written-statement-${statement.id}`;
+}
+
+function answersExtId(house, date, answeringBodyId) {
+  return `written-answers-${house}-${date}-${answeringBodyId}`.toLowerCase();
+}
+
+// Saved searches name a member by ID or by name, and a party by any of its names
+function matchesMember(member, memberId, { member: wanted, party } = {}) {
+  if (wanted) {
+    const byId = /^\d+$/.test(String(wanted)) && Number(wanted) === Number(member?.id ?? memberId);
+    const byName = (member?.name || '').toLowerCase().includes(String(wanted).toLowerCase());
+    if (!byId && !byName) return false;
+  }
+
+  return !party || canonicalPartyName(member?.party) === canonicalPartyName(party);
+}
+
+function toRecord({ extId, title, date, house, section, type, location, items }) {
+  const filteredItems = items.filter(item => item.value);
+
+  return {
+    ExternalId: extId,
+    Title: title,
+    debateDate: date,
+    house,
+    section,
+    Items: filteredItems,
+    SectionTree: { title, extId, items: filteredItems, sections: [] },
+    Overview: {
+      ExtId: extId,
+      Title: title,
+      Date: `${date}T00:00:00`,
+      House: house,
+      Type: type,
+      Location: location
+    },
+    contentHash: computeContentHash(filteredItems)
+  };
+}
+
+export class WrittenRecordsService {
+  // Follows skip/take paging until every result for the query, or `limit` results, have been read
+  static async fetchAll(path, params, { limit = Infinity } = {}) {
+    const results = [];
+    let skip = 0;
+    let total = Infinity;
+
+    while (skip < total && results.length < limit) {
+      const url = `${QUESTIONS_STATEMENTS_API_BASE}${path}?` +
+        new URLSearchParams({ ...params, expandMember: true, skip, take: PAGE_SIZE });
+      const page = await HansardService.fetchWithErrorHandling(url);
+
+      const values = (page?.results || []).map(result => result.value).filter(Boolean);
+      results.push(...values);
+      total = page?.totalResults ?? results.length;
+
+      if (!values.length) break;
+      skip += values.length;
+    }
+
+    return results.slice(0, limit);
+  }
+
+  static async fetchStatements(date, house) {
+    return this.fetchAll('/api/writtenstatements/statements', {
+      madeWhenFrom: date,
+      madeWhenTo: date,
+      house
+    });
+  }
+
+  static async fetchAnsweredQuestions(date, house) {
+    return this.fetchAll('/api/writtenquestions/questions', {
+      answeredWhenFrom: date,
+      answeredWhenTo: date,
+      house,
+      answered: 'Answered'
+    });
+  }
+
+  static async getStatementRecords(date, house) {
+    const statements = await this.fetchStatements(date, house);
+
+    return statements.map(statement => {
+      const extId = statementExtId(statement);
+
+      return toRecord({
+        extId,
+        title: statement.title,
+        date,
+        house,
+        section: WRITTEN_SECTIONS.STATEMENTS,
+        type: WRITTEN_TYPES.STATEMENT,
+        location: [statement.uin, statement.answeringBodyName].filter(Boolean).join(' - '),
+        items: [toItem(statement.member, statement.memberId, statement.memberRole, statement.text, extId)]
+      });
+    });
+  }
+
+  static async getAnswerRecords(date, house) {
+    const questions = (await this.fetchAnsweredQuestions(date, house))
+      .filter(question => !question.isWithdrawn && question.answerText);
+
+    const byAnsweringBody = new Map();
+    questions.forEach(question => {
+      const key = question.answeringBodyId ?? question.answeringBodyName;
+      if (!byAnsweringBody.has(key)) byAnsweringBody.set(key, []);
+      byAnsweringBody.get(key).push(question);
+    });
+
+    return [...byAnsweringBody.entries()].map(([answeringBodyId, group]) => {
+      const answeringBody = group[0].answeringBodyName || 'Unknown department';
+      const extId = answersExtId(house, date, answeringBodyId);
+
+      const items = group.flatMap(question => [
+        toItem(
+          question.askingMember,
+          question.askingMemberId,
+          null,
+          `[${question.uin}] ${question.heading ? `${question.heading}: ` : ''}${question.questionText}`,
+          extId
+        ),
+        toItem(
+          question.answeringMember,
+          question.answeringMemberId,
+          `Answering for ${answeringBody}`,
+          question.answerText,
+          extId
+        )
+      ]);
+
+      return toRecord({
+        extId,
+        title: `Written Answers: ${answeringBody}`,
+        date,
+        house,
+        section: WRITTEN_SECTIONS.ANSWERS,
+        type: WRITTEN_TYPES.ANSWERS,
+        location: answeringBody,
+        items
+      });
+    });
+  }
+
+  static async getSectionRecords(date, house, section) {
+    switch (section) {
+      case WRITTEN_SECTIONS.STATEMENTS:
+        return this.getStatementRecords(date, house);
+      case WRITTEN_SECTIONS.ANSWERS:
+        return this.getAnswerRecords(date, house);
+      default:
+        throw new Error(`Unknown written section: ${section}`);
+    }
+  }
+
+  /**
+   * Ext IDs of the written records matching a saved search, given its query
+   * text and query_state ({ house, member, party, date_from, date_to }) as
+   * passed to the search_debates RPC. The API matches the text, house and
+   * dates; member (an ID or a name) and party are matched against the
+   * expanded members of each result. Answers match on either the asking or
+   * the answering member.
+   */
+  static async searchSavedQuery(query, queryState = {}) {
+    const house = ['commons', 'lords'].find(name => name === queryState.house?.toLowerCase());
+    const common = {
+      ...(query && { searchTerm: query }),
+      ...(house && { house: house === 'commons' ? 'Commons' : 'Lords' })
+    };
+    const { date_from: from, date_to: to } = queryState;
+
+    const [statements, questions] = await Promise.all([
+      this.fetchAll('/api/writtenstatements/statements', {
+        ...common,
+        ...(from && { madeWhenFrom: from }),
+        ...(to && { madeWhenTo: to })
+      }, { limit: SEARCH_LIMIT }),
+      this.fetchAll('/api/writtenquestions/questions', {
+        ...common,
+        answered: 'Answered',
+        ...(from && { answeredWhenFrom: from }),
+        ...(to && { answeredWhenTo: to })
+      }, { limit: SEARCH_LIMIT })
+    ]);
+
+    const statementIds = statements
+      .filter(statement => matchesMember(statement.member, statement.memberId, queryState))
+      .map(statementExtId);
+
+    const answerIds = questions
+      .filter(question => !question.isWithdrawn && question.answerText && question.dateAnswered)
+      .filter(question =>
+        matchesMember(question.askingMember, question.askingMemberId, queryState) ||
+        matchesMember(question.answeringMember, question.answeringMemberId, queryState)
+      )
+      .map(question => answersExtId(
+        question.house,
+        question.dateAnswered.split('T')[0],
+        question.answeringBodyId ?? question.answeringBodyName
+      ));
+
+    return [...new Set([...statementIds, ...answerIds])];
+  }
+
+  // Written records for one day, honouring the same { houses, sections, types } filters as Hansard debates
+  static async getWrittenRecords(date, { houses = ['Commons', 'Lords'], sections, types } = {}) {
+    const requested = Object.values(WRITTEN_SECTIONS).filter(section => matchesFilter(section, sections));
+
+    const results = await Promise.all(houses.flatMap(house =>
+      requested.map(async (section) => {
+        try {
+          return await this.getSectionRecords(date, house, section);
+        } catch (error) {
+          logger.error('Failed to fetch written records:', {
+            error: error.message,
+            date,
+            house,
+            section
+          });
+          return [];
+        }
+      })
+    ));
+
+    const records = results.flat().filter(record => matchesFilter(record.Overview.Type, types));
+
+    logger.info(`Fetched ${records.length} written records for ${date}`);
+    return records;
+  }
+}
@@ -0,0 +1,135 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  CONTENT_HASH_VERSION,
+  checkDivisionOutcome,
+  computeContentHash,
+  divisionOutcome,
+  divisionResult,
+  isCurrentContentHash,
+  summariseDivisions
+} from '../debateUtils.js';
+
+const items = [
+  { memberId: 5257, attributedTo: 'Rachel Blake (Cities of London and Westminster) (Lab/Co-op)', value: '<p>What steps the Church is taking on the Hyde Park Estate.</p>' },
+  { memberId: 4409, attributedTo: 'The Second Church Estates Commissioner (Marsha De Cordova)', value: 'The estate has been managed by the Church Commissioners for over 150 years.' }
+];
+
+describe('computeContentHash', () => {
+  test('prefixes the hash with the current scheme version', () => {
+    expect(computeContentHash(items)).toMatch(new RegExp(`^v${CONTENT_HASH_VERSION}:[0-9a-f]{64}$`));
+  });
+
+  test('ignores markup, whitespace and fields resolved after fetching', () => {
+    const reformatted = items.map(item => ({
+      ...item,
+      value: `  ${item.value.replace(/<[^>]+>/g, '').replace(/ /g, '\n ')}  `,
+      party: 'Labour',
+      name: 'Resolved later'
+    }));
+
+    expect(computeContentHash(reformatted)).toBe(computeContentHash(items));
+  });
+
+  test('changes when the text, speaker or order of items changes', () => {
+    const hash = computeContentHash(items);
+
+    expect(computeContentHash([items[0], { ...items[1], value: `${items[1].value} I will write to her.` }])).not.toBe(hash);
+    expect(computeContentHash([items[0], { ...items[1], memberId: 4514 }])).not.toBe(hash);
+    expect(computeContentHash([items[0], { ...items[1], attributedTo: 'The Minister' }])).not.toBe(hash);
+    expect(computeContentHash([items[1], items[0]])).not.toBe(hash);
+  });
+
+  test('hashes a debate with no items', () => {
+    expect(computeContentHash(undefined)).toBe(computeContentHash([]));
+  });
+});
+
+describe('isCurrentContentHash', () => {
+  test('accepts only hashes from the current scheme', () => {
+    expect(isCurrentContentHash(computeContentHash(items))).toBe(true);
+    expect(isCurrentContentHash('v1:0123abcd')).toBe(false);
+    expect(isCurrentContentHash(null)).toBe(false);
+  });
+});
+
+const division = (ayes, noes, fields = {}) => ({
+  question: 'Question put, That the Bill be now read a Second time.',
+  house: 'Commons',
+  ayes_count: ayes,
+  noes_count: noes,
+  casting_vote: null,
+  ...fields
+});
+
+describe('division outcomes', () => {
+  test('a division passes when the Ayes outnumber the Noes', () => {
+    expect(divisionOutcome(division(300, 200))).toBe('passed');
+    expect(divisionOutcome(division(200, 300))).toBe('failed');
+    expect(divisionResult(division(300, 200))).toBe('Ayes 300, Noes 200 - Ayes have it');
+    expect(divisionResult(division(120, 140, { house: 'Lords' }))).toBe('Contents 120, Not Contents 140 - Not Contents have it');
+  });
+
+  test('a tie goes the way of the casting vote', () => {
+    expect(divisionOutcome(division(300, 300, { casting_vote: 'noe' }))).toBe('failed');
+    expect(divisionOutcome(division(300, 300, { casting_vote: 'aye' }))).toBe('passed');
+    expect(divisionResult(division(300, 300, { casting_vote: 'noe' }))).toBe('Ayes 300, Noes 300 - Noes have it on the casting vote');
+    expect(summariseDivisions([division(300, 300, { casting_vote: 'aye' })]))
+      .toBe('Question put, That the Bill be now read a Second time: Ayes 300, Noes 300 - passed on the casting vote');
+  });
+
+  test('a tie with no recorded casting vote is reported as tied', () => {
+    expect(divisionOutcome(division(300, 300))).toBe('tied');
+    expect(divisionResult(division(300, 300))).toBe('Ayes 300, Noes 300 - tied');
+  });
+
+  test('summarises each division on its own line, numbering those without a question', () => {
+    expect(summariseDivisions([division(300, 200), division(12, 250, { question: null, number: '102' })])).toBe([
+      'Question put, That the Bill be now read a Second time: Ayes 300, Noes 200 - passed',
+      'Division 102: Ayes 12, Noes 250 - failed'
+    ].join('\n'));
+  });
+});
+
+describe('checkDivisionOutcome', () => {
+  const analysis = (outcome) => ({ main_content: 'Second reading debate.', outcome });
+
+  test('keeps an outcome that agrees with the recorded division', () => {
+    const checked = checkDivisionOutcome(analysis('The Bill passed its Second Reading by 300 votes to 200.'), [division(300, 200)]);
+
+    expect(checked.outcome).toBe('The Bill passed its Second Reading by 300 votes to 200.');
+    expect(checked.outcome_check).toEqual({
+      status: 'consistent',
+      recorded: 'Question put, That the Bill be now read a Second time: Ayes 300, Noes 200 - passed'
+    });
+  });
+
+  test('replaces an outcome with the wrong result or vote counts', () => {
+    const wrongResult = checkDivisionOutcome(analysis('The Bill was defeated.'), [division(300, 200)]);
+    const wrongCounts = checkDivisionOutcome(analysis('The Bill passed by 310 votes to 190.'), [division(300, 200)]);
+
+    expect(wrongResult.outcome_check).toMatchObject({
+      status: 'overwritten',
+      reasons: ['Outcome says the question failed but the division passed'],
+      model_outcome: 'The Bill was defeated.'
+    });
+    expect(wrongResult.outcome).toBe('Recorded division result:\nQuestion put, That the Bill be now read a Second time: Ayes 300, Noes 200 - passed');
+    expect(wrongCounts.outcome_check.reasons).toEqual(['Stated vote 310 to 190 does not match any recorded division']);
+  });
+
+  test('checks a tie against the side given the casting vote', () => {
+    const tie = [division(300, 300, { casting_vote: 'noe' })];
+
+    expect(checkDivisionOutcome(analysis('The Bill passed on a tied vote.'), tie).outcome_check.status).toBe('overwritten');
+    expect(checkDivisionOutcome(analysis('The Bill was defeated on the Speaker\'s casting vote.'), tie).outcome_check.status).toBe('consistent');
+  });
+
+  test('does not judge passed or failed wording for an undecided tie', () => {
+    expect(checkDivisionOutcome(analysis('The Bill passed.'), [division(300, 300)]).outcome_check.status).toBe('consistent');
+  });
+
+  test('leaves debates without divisions unchanged', () => {
+    const unchecked = analysis('The Minister agreed to write to the Member.');
+
+    expect(checkDivisionOutcome(unchecked, [])).toBe(unchecked);
+  });
+});
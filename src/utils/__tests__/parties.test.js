@@ -0,0 +1,60 @@
+import { describe, test, expect } from '@jest/globals';
+import { canonicalPartyName, governmentStatus, partyColour, partyWhip, resolveParty, sameParty } from '../parties.js';
+
+describe('resolveParty', () => {
+  test('resolves abbreviations, aliases and accents to one entry', () => {
+    expect(resolveParty('Lab/Co-op')?.id).toBe('lab-coop');
+    expect(resolveParty('Labour and Co-operative')?.id).toBe('lab-coop');
+    expect(resolveParty('LD')?.id).toBe('ld');
+    expect(resolveParty('Sinn Fein')).toBe(resolveParty('Sinn Féin'));
+    expect(resolveParty('Non-Afl')?.name).toBe('Non-affiliated');
+    expect(resolveParty('Monster Raving Loony')).toBeNull();
+    expect(resolveParty('')).toBeNull();
+  });
+
+  test('returns the Members API name and keeps unknown parties as given', () => {
+    expect(canonicalPartyName('DUP')).toBe('Democratic Unionist Party');
+    expect(canonicalPartyName('Monster Raving Loony')).toBe('Monster Raving Loony');
+    expect(canonicalPartyName(null)).toBeNull();
+    expect(partyColour('Con')).toBe('#0087DC');
+    expect(partyColour('Monster Raving Loony')).toBeNull();
+  });
+});
+
+describe('partyWhip', () => {
+  test('groups Labour (Co-op) with Labour', () => {
+    expect(partyWhip('Labour (Co-op)')).toBe('lab');
+    expect(partyWhip('Lab')).toBe('lab');
+    expect(sameParty('Labour (Co-op)', 'Labour')).toBe(true);
+    expect(sameParty('Con', 'Conservative and Unionist Party')).toBe(true);
+    expect(sameParty('Con', 'Lab')).toBe(false);
+  });
+
+  test('gives groups without a whip none, and never counts them as one party', () => {
+    expect(partyWhip('Crossbench')).toBeNull();
+    expect(partyWhip('Bishops')).toBeNull();
+    expect(sameParty('Independent', 'Crossbench')).toBe(false);
+    expect(sameParty('Crossbench', 'CB')).toBe(true);
+  });
+
+  test('compares unknown parties by their normalised name', () => {
+    expect(partyWhip('Your Party')).toBe('your party');
+    expect(sameParty('Your Party', 'your  party')).toBe(true);
+  });
+});
+
+describe('governmentStatus', () => {
+  test('places parties in government or opposition on the date', () => {
+    expect(governmentStatus('Lib Dem', '2012-03-01')).toBe('government');
+    expect(governmentStatus('Lib Dem', '2016-03-01')).toBe('opposition');
+    expect(governmentStatus('Labour (Co-op)', '2025-01-16T00:00:00')).toBe('government');
+    expect(governmentStatus('Conservative', '2024-07-05')).toBe('opposition');
+    expect(governmentStatus('Conservative', '2024-07-04')).toBe('government');
+  });
+
+  test('returns null for groups without a whip, unknown parties and dates before the first government', () => {
+    expect(governmentStatus('Crossbench', '2025-01-16')).toBeNull();
+    expect(governmentStatus('Monster Raving Loony', '2025-01-16')).toBeNull();
+    expect(governmentStatus('Labour', '1990-01-01')).toBeNull();
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, test, expect } from '@jest/globals';
+import { formatPeerageTitle, matchPeerage, parsePeerageTitle } from '../peerage.js';
+
+describe('parsePeerageTitle', () => {
+  test('splits rank, name and territorial designation', () => {
+    expect(parsePeerageTitle('Lord Khan of Burnley')).toEqual({ rank: 'Lord', name: 'Khan', territorial: 'Burnley' });
+    expect(parsePeerageTitle('Baroness Hoey (Non-Afl)')).toEqual({ rank: 'Baroness', name: 'Hoey', territorial: null });
+    expect(parsePeerageTitle('Earl of Clancarty')).toEqual({ rank: 'Earl', name: null, territorial: 'Clancarty' });
+  });
+
+  test('parses bishops by their see', () => {
+    expect(parsePeerageTitle('The Lord Bishop of Leeds')).toEqual({ rank: 'Bishop', name: null, territorial: 'Leeds' });
+    expect(parsePeerageTitle('Archbishop of Canterbury')).toEqual({ rank: 'Archbishop', name: null, territorial: 'Canterbury' });
+  });
+
+  test('does not mistake offices and ordinary names for titles', () => {
+    expect(parsePeerageTitle('Lord Speaker')).toBeNull();
+    expect(parsePeerageTitle('The Lord Privy Seal')).toBeNull();
+    expect(parsePeerageTitle('Lord President of the Council')).toBeNull();
+    expect(parsePeerageTitle('Kim Johnson')).toBeNull();
+    expect(parsePeerageTitle('')).toBeNull();
+  });
+
+  test('formats a parsed title back to its usual form', () => {
+    expect(formatPeerageTitle(parsePeerageTitle('Lord Khan of Burnley (Lab)'))).toBe('Lord Khan of Burnley');
+    expect(formatPeerageTitle(parsePeerageTitle('Bishop of Leeds'))).toBe('The Lord Bishop of Leeds');
+  });
+});
+
+describe('matchPeerage', () => {
+  const full = parsePeerageTitle('Lord Khan of Burnley');
+
+  test('scores full agreement 1 and a missing territorial designation 0.9', () => {
+    expect(matchPeerage(full, parsePeerageTitle('Lord Khan of Burnley (Lab)'))).toBe(1);
+    expect(matchPeerage(full, parsePeerageTitle('Lord Khan'))).toBe(0.9);
+  });
+
+  test('scores a different rank, name or territory 0', () => {
+    expect(matchPeerage(full, parsePeerageTitle('Baroness Khan of Burnley'))).toBe(0);
+    expect(matchPeerage(full, parsePeerageTitle('Lord Khan of Leeds'))).toBe(0);
+    expect(matchPeerage(full, parsePeerageTitle('Lord Kahn of Burnley'))).toBe(0);
+    expect(matchPeerage(parsePeerageTitle('Bishop of Leeds'), parsePeerageTitle('Bishop of Derby'))).toBe(0);
+    expect(matchPeerage(full, null)).toBe(0);
+  });
+});
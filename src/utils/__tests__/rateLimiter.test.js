@@ -0,0 +1,88 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { RateLimiter } from '../rateLimiter.js';
+
+// Lets queued calls and their promise callbacks run without advancing the clock
+const settle = () => jest.advanceTimersByTimeAsync(0);
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-01-16T09:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('runs a burst at once, then waits for each token to refill', async () => {
+    const limiter = new RateLimiter({ tokensPerSecond: 2, burst: 2, maxConcurrent: 10 });
+    const started = [];
+
+    for (let i = 0; i < 4; i++) {
+      limiter.schedule(async () => started.push(i));
+    }
+    await settle();
+    expect(started).toEqual([0, 1]);
+
+    await jest.advanceTimersByTimeAsync(499);
+    expect(started).toEqual([0, 1]);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(started).toEqual([0, 1, 2]);
+
+    await jest.advanceTimersByTimeAsync(500);
+    expect(started).toEqual([0, 1, 2, 3]);
+  });
+
+  test('refills no more than the burst while idle', async () => {
+    const limiter = new RateLimiter({ tokensPerSecond: 1, burst: 2, maxConcurrent: 10 });
+    const started = [];
+
+    await jest.advanceTimersByTimeAsync(10000);
+    for (let i = 0; i < 3; i++) {
+      limiter.schedule(async () => started.push(i));
+    }
+    await settle();
+
+    expect(started).toEqual([0, 1]);
+    expect(limiter.tokens).toBeLessThan(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(started).toEqual([0, 1, 2]);
+  });
+
+  test('waits for a running call to finish once maxConcurrent are in flight', async () => {
+    const limiter = new RateLimiter({ tokensPerSecond: 100, burst: 10, maxConcurrent: 1 });
+    let finishFirst;
+    const started = [];
+
+    const first = limiter.schedule(() => {
+      started.push('first');
+      return new Promise(resolve => { finishFirst = resolve; });
+    });
+    const second = limiter.schedule(async () => {
+      started.push('second');
+      return 'second';
+    });
+    await settle();
+    expect(started).toEqual(['first']);
+
+    finishFirst('first');
+    await settle();
+
+    expect(started).toEqual(['first', 'second']);
+    await expect(first).resolves.toBe('first');
+    await expect(second).resolves.toBe('second');
+  });
+
+  test('passes a failed call to its caller and carries on with the queue', async () => {
+    const limiter = new RateLimiter({ tokensPerSecond: 100, burst: 10, maxConcurrent: 1 });
+
+    const failed = limiter.schedule(async () => {
+      throw new Error('HTTP error! status: 500');
+    });
+    const next = limiter.schedule(async () => 'next');
+
+    await expect(failed).rejects.toThrow('status: 500');
+    await expect(next).resolves.toBe('next');
+  });
+});
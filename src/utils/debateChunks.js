@@ -0,0 +1,182 @@
+/**
+ * Splitting of long debate transcripts into token-bounded windows for
+ * map-reduce analysis, and merging of the per-window results.
+ *
+ * Transcripts are the formatDebateContext() text: a header (title, type,
+ * house), then one block per contribution separated by blank lines, each
+ * starting "Speaker [...]:", with "Sub-debate: ..." headings between
+ * sections. Windows are cut between contributions, never inside one unless a
+ * single contribution is longer than a window, and keep transcript order.
+ */
+
+const TRANSCRIPT_MARKER = 'Debate Transcript:';
+const SPEAKER_PATTERN = /^Speaker \[/;
+const SECTION_PATTERN = /^\n?Sub-debate: /;
+
+// Rough estimate: average English word is ~1.3 tokens, plus 10% for punctuation and formatting
+export function estimateTokens(text) {
+  const words = (text || '').split(/\s+/).filter(Boolean).length;
+  return Math.ceil(words * 1.3 * 1.1);
+}
+
+/**
+ * { header, units } for a formatted transcript. Each unit is one
+ * contribution (its speaker line, text and any procedural lines after it)
+ * with the sub-debate it belongs to.
+ */
+export function splitTranscript(context) {
+  const markerIndex = context.indexOf(TRANSCRIPT_MARKER);
+  const header = markerIndex === -1 ? '' : context.slice(0, markerIndex + TRANSCRIPT_MARKER.length).trim();
+  const body = markerIndex === -1 ? context : context.slice(markerIndex + TRANSCRIPT_MARKER.length);
+
+  const units = [];
+  let section = null;
+  let current = null;
+
+  body.split(/\n\n+/).forEach(block => {
+    const text = block.trim();
+    if (!text) return;
+
+    if (SECTION_PATTERN.test(text)) {
+      section = text.replace(SECTION_PATTERN, '').trim();
+      current = null;
+      return;
+    }
+
+    // Text without a speaker line continues the contribution before it
+    if (current && !SPEAKER_PATTERN.test(text)) {
+      current.text += `\n\n${text}`;
+      return;
+    }
+
+    current = { text, section };
+    units.push(current);
+  });
+
+  units.forEach(unit => {
+    unit.tokens = estimateTokens(unit.text);
+  });
+
+  return { header, units };
+}
+
+// A contribution too long for one window, cut at paragraph or sentence ends, with the speaker line repeated
+function splitUnit(unit, maxTokens) {
+  const [firstLine, ...rest] = unit.text.split('\n');
+  const speakerLine = SPEAKER_PATTERN.test(firstLine) ? firstLine : null;
+  const body = speakerLine ? rest.join('\n') : unit.text;
+  const budget = maxTokens - (speakerLine ? estimateTokens(`${speakerLine} (continued)`) : 0);
+  const sentences = body.match(/[^.!?\n]+(?:[.!?]+|\n+|$)/g) || [body];
+
+  const pieces = [];
+  let piece = '';
+  sentences.forEach(sentence => {
+    if (piece && estimateTokens(piece + sentence) > budget) {
+      pieces.push(piece);
+      piece = '';
+    }
+    piece += sentence;
+  });
+  if (piece.trim()) pieces.push(piece);
+
+  return pieces.map((text, index) => {
+    const prefix = speakerLine ? `${speakerLine}${index > 0 ? ' (continued)' : ''}\n` : '';
+    const pieceText = `${prefix}${text.trim()}`;
+    return { text: pieceText, section: unit.section, tokens: estimateTokens(pieceText) };
+  });
+}
+
+/**
+ * Windows of at most `maxTokens` (estimated) covering the whole transcript in
+ * order. Each window repeats the header and names the sub-debate it opens in.
+ */
+export function buildWindows(context, maxTokens) {
+  const { header, units } = splitTranscript(context);
+  const headerTokens = estimateTokens(header) + 20;
+  const budget = Math.max(200, maxTokens - headerTokens);
+
+  const windows = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length) windows.push(current);
+    current = [];
+    currentTokens = 0;
+  };
+
+  units
+    .flatMap(unit => (unit.tokens > budget ? splitUnit(unit, budget) : [unit]))
+    .forEach(unit => {
+      if (currentTokens + unit.tokens > budget) flush();
+      current.push(unit);
+      currentTokens += unit.tokens;
+    });
+  flush();
+
+  return windows.map((windowUnits, index) => {
+    const lines = [header];
+    let section = null;
+
+    windowUnits.forEach((unit, unitIndex) => {
+      // Name the sub-debate at the start of the window and wherever it changes
+      if (unit.section && (unitIndex === 0 || unit.section !== section)) {
+        lines.push(`Sub-debate: ${unit.section}`);
+      }
+      section = unit.section;
+      lines.push(unit.text);
+    });
+
+    return {
+      index,
+      text: lines.filter(Boolean).join('\n\n'),
+      tokens: windowUnits.reduce((sum, unit) => sum + unit.tokens, headerTokens)
+    };
+  });
+}
+
+function speakerKey(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Speaker points from consecutive windows merged into one list: each speaker
+ * once, in order of first appearance, with their contributions from every
+ * window in order and the first role, party and constituency given.
+ */
+export function mergeSpeakerPoints(lists) {
+  const merged = new Map();
+
+  lists.flat().forEach(point => {
+    if (!point?.name) return;
+    const key = speakerKey(point.name);
+    const existing = merged.get(key);
+
+    if (!existing) {
+      merged.set(key, { ...point, contributions: [...(point.contributions || [])] });
+      return;
+    }
+
+    ['role', 'party', 'constituency'].forEach(field => {
+      if (!existing[field] && point[field]) existing[field] = point[field];
+    });
+    (point.contributions || []).forEach(contribution => {
+      if (!existing.contributions.includes(contribution)) existing.contributions.push(contribution);
+    });
+  });
+
+  return [...merged.values()];
+}
+
+// Statistics from every window, in order, without repeats
+export function mergeStatistics(lists) {
+  const seen = new Set();
+
+  return lists.flat().filter(statistic => {
+    if (!statistic) return false;
+    const key = `${statistic.value}|${statistic.context}`.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -1,4 +1,7 @@
+import crypto from 'crypto';
 import logger from './logger.js';
+import { governmentStatus } from './parties.js';
+import { parsePeerageTitle, matchPeerage } from './peerage.js';
 import { 
   debateTypePrompts 
 } from '../prompts/debatePrompts.js';
@@ -78,6 +81,228 @@ export function cleanHtmlTags(text) {
   return text.replace(/<[^>]*>/g, '');
 }
 
+const HANSARD_SITE_BASE = 'https://hansard.parliament.uk';
+
+const PROCEDURAL_PATTERNS = [
+  /^Question put/i,
+  /^Question (accordingly )?agreed to/i,
+  /^Question (accordingly )?negatived/i,
+  /^Resolved,/i,
+  /^Ordered,/i,
+  /^Bill (read|to be)/i,
+  /^(Motion|Amendment|Clause|Schedule)\b.*\b(agreed to|negatived|withdrawn|disagreed to)/i,
+  /^Sitting (suspended|adjourned)/i,
+  /^Debate resumed/i
+];
+
+const DIVISION_PATTERNS = [
+  /^The (House|Committee|Chamber) divided/i,
+  /^Division No\./i,
+  /^Ayes \d+, Noes \d+/i,
+  /^Contents \d+; Not-Contents \d+/i
+];
+
+// Tells speeches apart from timestamps, divisions and procedural lines, using the raw API item
+export function classifyItem(item) {
+  const value = (item.Value || '').replace(/<[^>]+>/g, '').trim();
+  const hrsTag = item.HRSTag || '';
+
+  if (item.ItemType === 'Timestamp' || /^\d{2}:\d{2}(:\d{2})?$/.test(value)) {
+    return 'timestamp';
+  }
+  if (/^hs_Div/i.test(hrsTag) || DIVISION_PATTERNS.some(pattern => pattern.test(value))) {
+    return 'division';
+  }
+  if (/Procedure/i.test(hrsTag) || PROCEDURAL_PATTERNS.some(pattern => pattern.test(value))) {
+    return 'procedural';
+  }
+  if (item.MemberId) {
+    return 'speech';
+  }
+  return 'other';
+}
+
+// Deep link to a contribution on hansard.parliament.uk
+export function hansardContributionUrl({ house, date, debateExtId, title, itemExtId }) {
+  if (!house || !date || !debateExtId) return null;
+
+  const slug = (title || 'debate')
+    .replace(/[^a-zA-Z0-9]+/g, '')
+    .slice(0, 100) || 'Debate';
+  const anchor = itemExtId ? `#contribution-${itemExtId}` : '';
+
+  return `${HANSARD_SITE_BASE}/${house}/${date.split('T')[0]}/debates/${debateExtId}/${slug}${anchor}`;
+}
+
+// Item metadata kept on the stored record; transcript text stays with Hansard
+export function toStoredItems(items, overview = {}) {
+  return (items || []).map(item => ({
+    item_id: item.itemId ?? null,
+    ext_id: item.externalId ?? null,
+    section_ext_id: item.sectionExtId ?? null,
+    member_id: item.memberId ?? null,
+    timecode: item.timecode ?? null,
+    hrs_tag: item.hrsTag ?? null,
+    item_type: item.itemType ?? null,
+    kind: item.kind ?? null,
+    url: item.externalId
+      ? hansardContributionUrl({
+          house: overview.House,
+          date: overview.Date,
+          debateExtId: item.sectionExtId || overview.ExtId,
+          title: overview.Title,
+          itemExtId: item.externalId
+        })
+      : null
+  }));
+}
+
+// Attaches each speaker point to that speaker's contributions so points can deep-link to Hansard
+export function linkSpeakerPoints(speakerPoints, storedItems, items) {
+  if (!Array.isArray(speakerPoints)) return speakerPoints;
+
+  const normalise = (name) => (name || '').toLowerCase().replace(/[^a-z]/g, '');
+
+  // Peers are matched by title, so "Lord Khan" links to Lord Khan of Burnley's contributions
+  const sameSpeaker = (item, name, peerage) =>
+    (name && normalise(item.name) === name) ||
+    (peerage && item.peerage && matchPeerage(peerage, item.peerage) > 0);
+
+  return speakerPoints.map(point => {
+    const name = normalise(point.name);
+    const peerage = parsePeerageTitle(point.name);
+    const linked = (items || [])
+      .map((item, index) => ({ item, stored: storedItems[index] }))
+      .filter(({ item }) => item.kind === 'speech' && sameSpeaker(item, name, peerage))
+      .map(({ stored }) => ({
+        item_id: stored.item_id,
+        ext_id: stored.ext_id,
+        timecode: stored.timecode,
+        url: stored.url
+      }));
+
+    return linked.length ? { ...point, items: linked } : point;
+  });
+}
+
+const isTie = (division) => division.ayes_count === division.noes_count;
+
+// 'passed', 'failed' or 'tied'; a tie goes the way of the Speaker's or Chair's casting vote when one was recorded
+export function divisionOutcome(division) {
+  if (isTie(division)) {
+    return { aye: 'passed', noe: 'failed' }[division.casting_vote] || 'tied';
+  }
+  return division.ayes_count > division.noes_count ? 'passed' : 'failed';
+}
+
+// "Ayes 300, Noes 200 - Ayes have it", using Contents / Not Contents for the Lords
+export function divisionResult(division) {
+  const [aye, noe] = division.house?.includes('Lords') ? ['Contents', 'Not Contents'] : ['Ayes', 'Noes'];
+  const outcome = divisionOutcome(division);
+  const winner = outcome === 'tied'
+    ? 'tied'
+    : `${outcome === 'passed' ? aye : noe} have it${isTie(division) ? ' on the casting vote' : ''}`;
+
+  return `${aye} ${division.ayes_count}, ${noe} ${division.noes_count} - ${winner}`;
+}
+
+export function divisionPassed(division) {
+  return divisionOutcome(division) === 'passed';
+}
+
+// One factual line per division, e.g. "Question put, That the Bill be now read a Second time: Ayes 300, Noes 200 - passed"
+export function summariseDivisions(divisions) {
+  return (divisions || []).map(division => {
+    const [aye, noe] = division.house?.includes('Lords') ? ['Contents', 'Not Contents'] : ['Ayes', 'Noes'];
+    const label = (division.question || `Division${division.number ? ` ${division.number}` : ''}`).replace(/[.:]+$/, '');
+    const outcome = divisionOutcome(division);
+    const result = isTie(division) && outcome !== 'tied' ? `${outcome} on the casting vote` : outcome;
+
+    return `${label}: ${aye} ${division.ayes_count}, ${noe} ${division.noes_count} - ${result}`;
+  }).join('\n');
+}
+
+const PASSED_PATTERN = /\b(passed|approved|agreed to|carried|accepted|adopted|won)\b/i;
+const FAILED_PATTERN = /\b(rejected|defeated|negatived|failed|voted down|not agreed|lost)\b/i;
+// "300 votes to 200", "Ayes 300, Noes 200", "300 Ayes to 200 Noes" (and Contents / Not Contents)
+const VOTE_COUNT_PATTERNS = [
+  /\b(\d{1,3})\s+votes?\s+to\s+(\d{1,3})\b/gi,
+  /\b(?:Ayes|Contents)[:\s]+(\d{1,3})\W+(?:Noes|Not[- ]Contents)[:\s]+(\d{1,3})\b/gi,
+  /\b(\d{1,3})\s+(?:Ayes|Contents)\W+(?:to\s+)?(\d{1,3})\s+(?:Noes|Not[- ]Contents)\b/gi
+];
+
+/**
+ * Compares the model's `analysis.outcome` with the recorded divisions. Vote
+ * counts it quotes must match a division, and with a single division the
+ * passed or failed wording must agree with the result (for a tie, the side
+ * given the casting vote; an undecided tie is not checked). A contradicting
+ * outcome is replaced by the recorded result and the original kept in
+ * `outcome_check`.
+ */
+export function checkDivisionOutcome(analysis, divisions) {
+  if (!analysis || !divisions?.length) return analysis;
+
+  const outcome = analysis.outcome || '';
+  const reasons = [];
+
+  const recordedCounts = divisions.map(division => [division.ayes_count, division.noes_count]);
+  const statedCounts = VOTE_COUNT_PATTERNS.flatMap(pattern => [...outcome.matchAll(pattern)]);
+  for (const [, first, second] of statedCounts) {
+    const stated = [Number(first), Number(second)];
+    const matches = recordedCounts.some(([ayes, noes]) =>
+      (stated[0] === ayes && stated[1] === noes) || (stated[0] === noes && stated[1] === ayes)
+    );
+    if (!matches) {
+      reasons.push(`Stated vote ${stated.join(' to ')} does not match any recorded division`);
+    }
+  }
+
+  if (divisions.length === 1 && divisionOutcome(divisions[0]) !== 'tied') {
+    const passed = divisionPassed(divisions[0]);
+    const saysPassed = PASSED_PATTERN.test(outcome);
+    const saysFailed = FAILED_PATTERN.test(outcome);
+
+    if (passed && saysFailed && !saysPassed) {
+      reasons.push('Outcome says the question failed but the division passed');
+    } else if (!passed && saysPassed && !saysFailed) {
+      reasons.push('Outcome says the question passed but the division failed');
+    }
+  }
+
+  const recorded = summariseDivisions(divisions);
+
+  if (!reasons.length) {
+    return { ...analysis, outcome_check: { status: 'consistent', recorded } };
+  }
+
+  logger.warn('Analysis outcome contradicts recorded divisions:', { reasons, outcome });
+
+  return {
+    ...analysis,
+    outcome: `Recorded division result${divisions.length > 1 ? 's' : ''}:\n${recorded}`,
+    outcome_check: {
+      status: 'overwritten',
+      reasons,
+      recorded,
+      model_outcome: outcome
+    }
+  };
+}
+
+/**
+ * Final checks on a validated analysis before it is stored: the outcome is
+ * checked against the debate's recorded divisions, and speaker points are
+ * linked to their contributions. `items` are the fetched items (or their
+ * kind, name and peerage), in the same order as `debate.items`.
+ */
+export function finishAnalysis(result, debate, items) {
+  return {
+    ...result,
+    analysis: checkDivisionOutcome(result.analysis, debate.divisions),
+    speaker_points: linkSpeakerPoints(result.speaker_points, debate.items, items)
+  };
+}
+
 export function formatDebateContext(overview, items, childDebates = []) {
   try {
     const context = [
@@ -96,14 +321,20 @@ export function formatDebateContext(overview, items, childDebates = []) {
 
         const speakerInfo = [];
         if (item.name) speakerInfo.push(`Name: ${item.name}`);
-        if (item.party) speakerInfo.push(`Party: ${item.party}`);
+        if (item.party) {
+          const status = governmentStatus(item.party, overview?.Date);
+          speakerInfo.push(`Party: ${item.party}${status ? ` (${status})` : ''}`);
+        }
         if (item.constituency) speakerInfo.push(`Constituency: ${item.constituency}`);
         
         const speakerLine = speakerInfo.length > 0 
           ? `Speaker [${speakerInfo.join(', ')}]:`
           : '';
         
-        const contentLine = item.value ? cleanHtmlTags(item.value) : '';
+        let contentLine = item.value ? cleanHtmlTags(item.value) : '';
+        if (contentLine && (item.kind === 'division' || item.kind === 'procedural')) {
+          contentLine = `[${item.kind === 'division' ? 'Division' : 'Procedural'}] ${contentLine}`;
+        }
         
         return [speakerLine, contentLine].filter(Boolean).join('\n');
       }).filter(Boolean);
@@ -114,17 +345,19 @@ export function formatDebateContext(overview, items, childDebates = []) {
       context.push(...formatItems(items));
     }
 
-    // Format child debates
-    if (Array.isArray(childDebates) && childDebates.length > 0) {
-      childDebates.forEach(childDebate => {
-        if (childDebate.Overview && childDebate.Items) {
-          context.push(
-            `\nSub-debate: ${childDebate.Overview.Title || 'Untitled'}`
-          );
-          context.push(...formatItems(childDebate.Items));
-        }
+    // Format child debates, keeping the path to each sub-debate so exchanges stay attributable
+    const formatSections = (sections, parentTitles = []) => {
+      if (!Array.isArray(sections)) return;
+
+      sections.forEach(section => {
+        const titles = [...parentTitles, section.title || 'Untitled'];
+        context.push(`\nSub-debate: ${titles.join(' > ')}`);
+        context.push(...formatItems(section.items));
+        formatSections(section.sections, titles);
       });
-    }
+    };
+
+    formatSections(childDebates);
 
     logger.debug('Formatted debate context:', {
       title: overview?.Title,
@@ -143,6 +376,51 @@ export function formatDebateContext(overview, items, childDebates = []) {
   }
 }
 
+// Section hierarchy without item text, for storage and the vector file
+export function outlineSections(sectionTree) {
+  if (!sectionTree) return null;
+
+  return {
+    title: sectionTree.title,
+    ext_id: sectionTree.extId,
+    item_count: sectionTree.items?.length || 0,
+    sections: (sectionTree.sections || []).map(outlineSections)
+  };
+}
+
+// Bump when the hashed fields change, so hashes stored under an older scheme are replaced rather than read as revisions
+export const CONTENT_HASH_VERSION = 2;
+
+/**
+ * Hash of the normalised transcript as published, used to spot debates
+ * Hansard has revised since ingestion. Items are { memberId, attributedTo,
+ * value } taken from the source response: anything resolved against the
+ * members table can change without the debate being revised.
+ */
+export function computeContentHash(items) {
+  const normalised = (items || []).map(item => [
+    item.memberId ?? null,
+    item.attributedTo ?? null,
+    (item.value || '').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim()
+  ]);
+
+  const hash = crypto.createHash('sha256').update(JSON.stringify(normalised)).digest('hex');
+  return `v${CONTENT_HASH_VERSION}:${hash}`;
+}
+
+export function isCurrentContentHash(hash) {
+  return Boolean(hash?.startsWith(`v${CONTENT_HASH_VERSION}:`));
+}
+
+// Case-insensitive membership test for CLI filters; an empty or missing filter matches everything
+export function matchesFilter(value, allowed) {
+  if (!Array.isArray(allowed) || allowed.length === 0) return true;
+  if (!value) return false;
+
+  const normalised = value.toLowerCase();
+  return allowed.some(option => option.toLowerCase() === normalised);
+}
+
 export function getTypeSpecificPrompt(debateType) {
   return debateTypePrompts[debateType] || ``;
 }
@@ -0,0 +1,129 @@
+/**
+ * Best-effort repair of JSON returned by a model: surrounding prose and code
+ * fences are dropped, raw newlines inside strings are escaped, trailing
+ * commas are ignored, and output cut off mid-way is closed at the last
+ * complete value (a string value cut mid-way is kept and closed). Returns the
+ * repaired JSON text, or null if there is no JSON object or array to recover.
+ */
+export function repairJson(text) {
+  if (typeof text !== 'string') return null;
+
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+
+  const source = text.slice(start).replace(/\s*```\s*$/, '');
+  // One entry per open container: { type: '{' | '[', expect: 'key' | 'colon' | 'value' | 'end' }
+  const stack = [];
+  let output = '';
+  let safe = null;
+  let inString = false;
+  let stringIsKey = false;
+  let escaped = false;
+
+  const markSafe = () => {
+    safe = { length: output.length, stack: stack.map(entry => entry.type) };
+  };
+
+  const completeValue = () => {
+    const top = stack[stack.length - 1];
+    if (top) top.expect = 'end';
+    markSafe();
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+        output += char;
+      } else if (char === '\\') {
+        escaped = true;
+        output += char;
+      } else if (char === '"') {
+        inString = false;
+        output += char;
+        if (stringIsKey) {
+          stack[stack.length - 1].expect = 'colon';
+        } else {
+          completeValue();
+        }
+      } else if (char === '\n') {
+        output += '\\n';
+      } else if (char === '\r') {
+        output += '\\r';
+      } else if (char === '\t') {
+        output += '\\t';
+      } else {
+        output += char;
+      }
+      continue;
+    }
+
+    const top = stack[stack.length - 1];
+
+    if (/\s/.test(char)) {
+      output += char;
+    } else if (char === '{' || char === '[') {
+      stack.push({ type: char, expect: char === '{' ? 'key' : 'value' });
+      output += char;
+      markSafe();
+    } else if (char === '}' || char === ']') {
+      if (!top || top.type !== (char === '}' ? '{' : '[')) break;
+      // Drop a trailing comma before the closing bracket
+      output = output.replace(/,\s*$/, '');
+      stack.pop();
+      output += char;
+      completeValue();
+      if (!stack.length) break;
+    } else if (char === '"') {
+      if (!top) break;
+      inString = true;
+      stringIsKey = top.type === '{' && top.expect === 'key';
+      output += char;
+    } else if (char === ':') {
+      if (top?.expect !== 'colon') break;
+      top.expect = 'value';
+      output += char;
+    } else if (char === ',') {
+      if (top?.expect !== 'end') break;
+      top.expect = top.type === '{' ? 'key' : 'value';
+      output += char;
+    } else {
+      // Numbers and literals run to the next delimiter; one cut off at the end is dropped
+      const token = source.slice(i).match(/^[^\s,\]}]+/)[0];
+      if (!top || top.expect !== 'value' || i + token.length >= source.length) break;
+      output += token;
+      i += token.length - 1;
+      completeValue();
+    }
+  }
+
+  if (inString && !stringIsKey) {
+    // Keep a string value that was cut off, closed where it stopped, minus any half-written escape
+    output = (escaped ? output.slice(0, -1) : output.replace(/\\u[0-9a-fA-F]{0,3}$/, '')) + '"';
+    completeValue();
+  }
+
+  if (!safe) return null;
+
+  const closers = safe.stack.reverse().map(type => (type === '{' ? '}' : ']')).join('');
+  return output.slice(0, safe.length).replace(/,\s*$/, '') + closers;
+}
+
+// JSON.parse, falling back to repairJson(); { value, repaired } or throws the original parse error
+export function parseJsonWithRepair(text) {
+  try {
+    return { value: JSON.parse(text), repaired: false };
+  } catch (error) {
+    const repaired = repairJson(text);
+    if (repaired !== null) {
+      try {
+        return { value: JSON.parse(repaired), repaired: true };
+      } catch {
+        // Fall through to the original error
+      }
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Canonical parties and groups of both Houses.
+ *
+ * Hansard attributions, the Members API, division lists and hand-maintained
+ * files all spell parties differently ("Lab", "Lab/Co-op", "LD", "Democratic
+ * Unionist Party", "Non-Afl"). Every spelling resolves here to one entry with
+ * a stable id, the Members API name, a short abbreviation and a colour.
+ *
+ * `whip` names the party whose whip a member takes: Labour (Co-op) members
+ * take the Labour whip, and groups without a whip (Crossbench, Bishops,
+ * Independents, the Speaker) have none, so there is no party line to vote
+ * against.
+ */
+export const PARTIES = [
+  { id: 'lab', name: 'Labour', abbreviation: 'Lab', aliases: ['LAB', 'Labour Party'], colour: '#E4003B', whip: 'lab' },
+  { id: 'lab-coop', name: 'Labour (Co-op)', abbreviation: 'Lab/Co-op', aliases: ['Labour/Co-operative', 'Labour Co-op', 'Labour and Co-operative'], colour: '#E4003B', whip: 'lab' },
+  { id: 'con', name: 'Conservative', abbreviation: 'Con', aliases: ['CON', 'Conservative Party', 'Conservative and Unionist Party'], colour: '#0087DC', whip: 'con' },
+  { id: 'ld', name: 'Liberal Democrat', abbreviation: 'LD', aliases: ['Liberal Democrats', 'Lib Dem', 'Lib Dems', 'LDem'], colour: '#FAA61A', whip: 'ld' },
+  { id: 'snp', name: 'Scottish National Party', abbreviation: 'SNP', aliases: ['SNP (Scottish National Party)'], colour: '#FDF38E', whip: 'snp' },
+  { id: 'green', name: 'Green Party', abbreviation: 'Green', aliases: ['Grn', 'Green Party of England and Wales'], colour: '#02A95B', whip: 'green' },
+  { id: 'reform', name: 'Reform UK', abbreviation: 'RUK', aliases: ['Reform', 'Ref'], colour: '#12B6CF', whip: 'reform' },
+  { id: 'dup', name: 'Democratic Unionist Party', abbreviation: 'DUP', aliases: [], colour: '#D46A4C', whip: 'dup' },
+  { id: 'pc', name: 'Plaid Cymru', abbreviation: 'PC', aliases: ['Plaid'], colour: '#005B54', whip: 'pc' },
+  { id: 'sf', name: 'Sinn Féin', abbreviation: 'SF', aliases: ['Sinn Fein'], colour: '#326760', whip: 'sf' },
+  { id: 'alliance', name: 'Alliance', abbreviation: 'APNI', aliases: ['Alliance Party', 'Alliance Party of Northern Ireland'], colour: '#F6CB2F', whip: 'alliance' },
+  { id: 'sdlp', name: 'Social Democratic & Labour Party', abbreviation: 'SDLP', aliases: ['Social Democratic and Labour Party'], colour: '#2AA82C', whip: 'sdlp' },
+  { id: 'uup', name: 'Ulster Unionist Party', abbreviation: 'UUP', aliases: ['Ulster Unionist'], colour: '#48A5EE', whip: 'uup' },
+  { id: 'tuv', name: 'Traditional Unionist Voice', abbreviation: 'TUV', aliases: [], colour: '#0C3A6A', whip: 'tuv' },
+  { id: 'ind', name: 'Independent', abbreviation: 'Ind', aliases: ['Independents'], colour: '#DDDDDD', whip: null },
+  { id: 'cb', name: 'Crossbench', abbreviation: 'CB', aliases: ['Crossbencher', 'Cross Bench'], colour: '#A0A0A0', whip: null },
+  { id: 'bishops', name: 'Bishops', abbreviation: 'Bp', aliases: ['Bishop', 'Lord Spiritual', 'Lords Spiritual'], colour: '#7F5F9F', whip: null },
+  { id: 'non-affiliated', name: 'Non-affiliated', abbreviation: 'Non-Afl', aliases: ['Non Affiliated', 'Non-aligned'], colour: '#C0C0C0', whip: null },
+  { id: 'speaker', name: 'Speaker', abbreviation: 'Spk', aliases: ['Lord Speaker'], colour: '#FFFFFF', whip: null }
+];
+
+// Parties in government (by whip) and the date each government took office, latest last
+export const GOVERNMENTS = [
+  { start_date: '1997-05-02', parties: ['lab'] },
+  { start_date: '2010-05-11', parties: ['con', 'ld'] },
+  { start_date: '2015-05-08', parties: ['con'] },
+  { start_date: '2024-07-05', parties: ['lab'] }
+];
+
+function normaliseKey(value) {
+  return (value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+const INDEX = new Map();
+PARTIES.forEach(party => {
+  [party.id, party.name, party.abbreviation, ...party.aliases].forEach(label => {
+    INDEX.set(normaliseKey(label), party);
+  });
+});
+
+// The registry entry for any spelling of a party, or null if it is not known
+export function resolveParty(value) {
+  if (!value) return null;
+  return INDEX.get(normaliseKey(value)) || null;
+}
+
+// The Members API name for a party; unknown parties are returned as given
+export function canonicalPartyName(value) {
+  return resolveParty(value)?.name ?? (value || null);
+}
+
+// Group for comparing votes within a party: the whip id, null for members who take no whip, or the raw name for unknown parties
+export function partyWhip(value) {
+  if (!value) return null;
+  const party = resolveParty(value);
+  return party ? party.whip : normaliseKey(value);
+}
+
+export function partyColour(value) {
+  return resolveParty(value)?.colour ?? null;
+}
+
+export function sameParty(a, b) {
+  const left = resolveParty(a);
+  const right = resolveParty(b);
+  if (left && right) return left.id === right.id || (left.whip !== null && left.whip === right.whip);
+  return normaliseKey(a) === normaliseKey(b);
+}
+
+/**
+ * 'government' or 'opposition' for a party on a date (YYYY-MM-DD or ISO),
+ * or null for groups that take no whip and parties not in the registry.
+ */
+export function governmentStatus(value, date) {
+  const party = resolveParty(value);
+  if (!party?.whip) return null;
+
+  const day = (date || new Date().toISOString()).split('T')[0];
+  const government = [...GOVERNMENTS].reverse().find(entry => entry.start_date <= day);
+  if (!government) return null;
+
+  return government.parties.includes(party.whip) ? 'government' : 'opposition';
+}
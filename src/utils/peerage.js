@@ -0,0 +1,75 @@
+/**
+ * Parsing of Lords titles ("Lord Khan of Burnley", "Baroness Hoey", "Earl of
+ * Clancarty", "The Lord Bishop of Leeds") into rank, name and territorial
+ * designation, so Lords attributions can be compared field by field instead
+ * of as free text.
+ */
+
+const TEMPORAL_RANKS = ['lord', 'baroness', 'lady', 'viscountess', 'viscount', 'countess', 'earl', 'marquess', 'duke'];
+
+// Offices that read like titles: "Lord Speaker", "Lord Privy Seal", "Lord President of the Council"
+const OFFICE_NAMES = /^(speaker|chancellor|privy seal|president|chair|chairman|chief justice|advocate|high commissioner)\b/i;
+
+const SPIRITUAL_PATTERN = /^(?:the\s+)?(?:lord\s+)?(archbishop|bishop)\s+of\s+(.+)$/i;
+const TEMPORAL_PATTERN = new RegExp(`^(${TEMPORAL_RANKS.join('|')})\\s+(.+)$`, 'i');
+
+function capitalise(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+function normalise(value) {
+  return (value || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * { rank, name, territorial } for a Lords title, or null when the text is not
+ * one. Parenthesised party or group suffixes are ignored. `name` is null for
+ * titles held only by territory ("Earl of Clancarty", bishops).
+ */
+export function parsePeerageTitle(title) {
+  const text = (title || '').replace(/\([^)]*\)/g, '').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+
+  const spiritual = text.match(SPIRITUAL_PATTERN);
+  if (spiritual) {
+    return { rank: capitalise(spiritual[1]), name: null, territorial: spiritual[2].trim() };
+  }
+
+  // "The ..." is a post ("The Lord Privy Seal") unless it is a bishop
+  if (/^the\s/i.test(text)) return null;
+
+  const temporal = text.match(TEMPORAL_PATTERN);
+  if (!temporal) return null;
+
+  const [, name, territorial] = temporal[2].match(/^(.*?)(?:\s*\bof\s+(.+))?$/i);
+  if (!name && !territorial) return null;
+  if (name && OFFICE_NAMES.test(name)) return null;
+
+  return {
+    rank: capitalise(temporal[1]),
+    name: name.trim() || null,
+    territorial: territorial?.trim() || null
+  };
+}
+
+// "Lord Khan of Burnley", "The Lord Bishop of Leeds"
+export function formatPeerageTitle({ rank, name, territorial }) {
+  if (rank === 'Bishop' || rank === 'Archbishop') {
+    return `The ${rank === 'Bishop' ? 'Lord Bishop' : 'Archbishop'} of ${territorial}`;
+  }
+  return [rank, name, territorial ? `of ${territorial}` : null].filter(Boolean).join(' ');
+}
+
+/**
+ * How well two parsed titles agree: 1 when rank, name and territory all match,
+ * 0.9 when one side omits the territorial designation ("Lord Khan" for "Lord
+ * Khan of Burnley"), otherwise 0.
+ */
+export function matchPeerage(a, b) {
+  if (!a || !b || a.rank !== b.rank) return 0;
+  if (normalise(a.name) !== normalise(b.name)) return 0;
+
+  if (normalise(a.territorial) === normalise(b.territorial)) return 1;
+  if (a.name && (!a.territorial || !b.territorial)) return 0.9;
+  return 0;
+}
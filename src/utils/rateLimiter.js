@@ -0,0 +1,60 @@
+/**
+ * Token-bucket rate limiter with a concurrency ceiling.
+ *
+ * `schedule(fn)` waits until a token is available and fewer than
+ * `maxConcurrent` scheduled calls are in flight, then runs `fn`. Tokens refill
+ * continuously at `tokensPerSecond`, up to `burst`.
+ */
+export class RateLimiter {
+  constructor({ tokensPerSecond = 5, burst = tokensPerSecond, maxConcurrent = 5 } = {}) {
+    this.tokensPerSecond = tokensPerSecond;
+    this.burst = Math.max(1, burst);
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.active = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.tokensPerSecond);
+    this.lastRefill = now;
+  }
+
+  schedule(fn) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ fn, resolve, reject });
+      this.drain();
+    });
+  }
+
+  drain() {
+    this.refill();
+
+    while (this.queue.length && this.active < this.maxConcurrent && this.tokens >= 1) {
+      const { fn, resolve, reject } = this.queue.shift();
+      this.tokens -= 1;
+      this.active++;
+
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+
+    // Wake up when the next token is due if work is still waiting on the bucket
+    if (this.queue.length && this.active < this.maxConcurrent && !this.timer) {
+      const wait = Math.ceil(((1 - this.tokens) / this.tokensPerSecond) * 1000);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, Math.max(wait, 1));
+    }
+  }
+}